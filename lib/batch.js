@@ -0,0 +1,295 @@
+const { BrowserWindow, ipcMain } = require("electron");
+const fs = require("fs");
+const path = require("path");
+const {
+  DEFAULT_FPS,
+  isVideoFile,
+  frameName,
+  sortFrames,
+  makeTempDir,
+  extractFrames,
+  encodeVideo,
+} = require("./sequence");
+const { allowExportFile } = require("./export");
+
+// Shared with the queue panel (renderer/queue.js).
+const IMAGE_EXTENSIONS = require("../renderer/image-extensions.json");
+
+function isImageFile(file) {
+  const ext = path.extname(file).slice(1).toLowerCase();
+  return IMAGE_EXTENSIONS.includes(ext);
+}
+
+function statOrNull(p) {
+  try {
+    return fs.statSync(p);
+  } catch {
+    return null;
+  }
+}
+
+// Expand --input/--output into a list of { input, output } pairs.
+function collectJobs(input, output) {
+  const inStat = statOrNull(input);
+  if (!inStat) throw new Error(`Input not found: ${input}`);
+
+  if (inStat.isFile()) {
+    // parseArgs has made sure anything else is a .png file.
+    const toDir = statOrNull(output)?.isDirectory() || output.endsWith("/") || output.endsWith(path.sep);
+    const name = path.basename(input, path.extname(input)) + ".png";
+    return [{ input, output: toDir ? path.join(output, name) : output }];
+  }
+
+  const files = fs
+    .readdirSync(input)
+    .filter((f) => isImageFile(f) && statOrNull(path.join(input, f))?.isFile())
+    .sort((a, b) => a.localeCompare(b));
+  if (files.length === 0) throw new Error(`No images found in ${input}`);
+
+  const used = new Set();
+  return files.map((f) => {
+    const ext = path.extname(f);
+    let name = path.basename(f, ext) + ".png";
+    // photo.jpg and photo.png would both become photo.png
+    if (used.has(name)) name = `${path.basename(f, ext)}-${ext.slice(1)}.png`;
+    used.add(name);
+    return { input: path.join(input, f), output: path.join(output, name) };
+  });
+}
+
+function findOverride(overrides, inputPath) {
+  const candidates = [
+    path.basename(inputPath),
+    inputPath,
+    path.resolve(inputPath),
+  ];
+  for (const key of candidates) {
+    if (overrides[key]) return overrides[key];
+  }
+  return { auto: undefined, params: {} };
+}
+
+// Frames of a sequence, in natural order. A video input is extracted to a
+// temporary folder first, and a video output is rendered to one and
+// encoded afterwards; cleanup() removes both.
+async function collectFrames(opts) {
+  const temp = [];
+  const cleanup = () => {
+    for (const dir of temp) fs.rmSync(dir, { recursive: true, force: true });
+  };
+
+  try {
+    const inStat = statOrNull(opts.input);
+    if (!inStat) throw new Error(`Input not found: ${opts.input}`);
+
+    let inputDir = opts.input;
+    let fps = opts.fps || DEFAULT_FPS;
+    if (inStat.isFile()) {
+      if (!isVideoFile(opts.input)) {
+        throw new Error(`A sequence needs a folder of frames or a video: ${opts.input}`);
+      }
+      inputDir = makeTempDir();
+      temp.push(inputDir);
+      console.error(`Extracting frames from ${opts.input}`);
+      const videoFps = await extractFrames(opts.ffmpeg, opts.input, inputDir);
+      fps = opts.fps || videoFps;
+    }
+
+    const files = sortFrames(
+      fs
+        .readdirSync(inputDir)
+        .filter((f) => isImageFile(f) && statOrNull(path.join(inputDir, f))?.isFile())
+    );
+    if (files.length === 0) throw new Error(`No frames found in ${opts.input}`);
+
+    const encode = isVideoFile(opts.output);
+    const outputDir = encode ? makeTempDir() : opts.output;
+    if (encode) temp.push(outputDir);
+
+    const frames = files.map((f, n) => ({
+      input: path.join(inputDir, f),
+      output: path.join(outputDir, frameName(n)),
+    }));
+    return { frames, fps, outputDir, encode, cleanup };
+  } catch (err) {
+    cleanup();
+    throw err;
+  }
+}
+
+function writeSummary(opts, results, fatalError) {
+  for (const r of results) {
+    if (r.status === "pending") {
+      r.status = "error";
+      r.error = fatalError || "Not processed";
+    }
+  }
+  const failed = results.filter((r) => r.status !== "ok").length;
+  const summary = {
+    ok: results.length - failed,
+    failed,
+    items: results,
+  };
+  if (fatalError) summary.error = fatalError;
+
+  const json = JSON.stringify(summary, null, 2);
+  process.stdout.write(json + "\n");
+  if (opts.summary) {
+    try {
+      fs.writeFileSync(opts.summary, json + "\n");
+    } catch (err) {
+      console.error(`Cannot write summary ${opts.summary}: ${err.message}`);
+    }
+  }
+  return fatalError || failed > 0 ? 1 : 0;
+}
+
+// Render the jobs in a hidden window, filling in `results`. Resolves with
+// an error message when the batch could not run to the end.
+function renderJobs(jobs, results) {
+  let next = 0;
+
+  return new Promise((resolve) => {
+    let settled = false;
+    const win = new BrowserWindow({
+      show: false,
+      webPreferences: {
+        preload: path.join(__dirname, "..", "preload.js"),
+        contextIsolation: true,
+        nodeIntegration: false,
+        backgroundThrottling: false,
+      },
+    });
+
+    function finish(fatalError) {
+      if (settled) return;
+      settled = true;
+      ipcMain.removeHandler("batch:nextJob");
+      ipcMain.removeHandler("batch:submit");
+      ipcMain.removeHandler("batch:fail");
+      if (!win.isDestroyed()) win.destroy();
+      resolve(fatalError || null);
+    }
+
+    ipcMain.handle("batch:nextJob", () => {
+      if (next >= jobs.length) {
+        setImmediate(() => finish());
+        return null;
+      }
+      const job = jobs[next++];
+      console.error(`[${next}/${jobs.length}] ${job.input}`);
+      return job;
+    });
+
+    ipcMain.handle("batch:submit", (_evt, res) => {
+      const item = results[res.id];
+      if (!item) return;
+
+      if (res.error) {
+        item.status = "error";
+        item.error = res.error;
+        console.error(`  failed: ${res.error}`);
+        return;
+      }
+
+      try {
+        // Tiled renders have already streamed the file (imageStream:*).
+        if (!res.streamed) {
+          fs.mkdirSync(path.dirname(item.output), { recursive: true });
+          fs.writeFileSync(item.output, Buffer.from(res.pngBuffer));
+        }
+        item.status = "ok";
+        item.width = res.width;
+        item.height = res.height;
+        item.params = res.params;
+      } catch (err) {
+        item.status = "error";
+        item.error = err.message;
+        console.error(`  failed: ${err.message}`);
+      }
+    });
+
+    ipcMain.handle("batch:fail", (_evt, { message }) => finish(message));
+
+    win.webContents.on("render-process-gone", (_evt, details) =>
+      finish(`Renderer exited: ${details.reason}`)
+    );
+    win.webContents.on("did-fail-load", (_evt, _code, desc) =>
+      finish(`Failed to load batch renderer: ${desc}`)
+    );
+
+    win.loadFile(path.join(__dirname, "..", "renderer", "batch.html"));
+  });
+}
+
+// Render every input and resolve with the process exit code: 0 when all
+// images were written, 1 when any failed. Sequences are rendered in frame
+// order with Auto and the flow field carried from frame to frame.
+async function runBatch(opts) {
+  const sequence = opts.sequence ? await collectFrames(opts) : null;
+
+  try {
+    const pairs = sequence ? sequence.frames : collectJobs(opts.input, opts.output);
+    const jobs = pairs.map((pair, id) => {
+      const override = findOverride(opts.overrides, pair.input);
+      const job = {
+        id,
+        input: path.resolve(pair.input),
+        output: path.resolve(pair.output),
+        params: opts.presetParams,
+        hatchTexture: opts.hatchTexture,
+        auto: override.auto ?? opts.auto,
+        overrides: { ...opts.params, ...override.params },
+      };
+      if (sequence) {
+        job.sequence = {
+          index: id,
+          autoMode: opts.autoMode,
+          autoSmoothing: opts.autoSmoothing,
+          flowSmoothing: opts.flowSmoothing,
+        };
+      }
+      return job;
+    });
+
+    // The batch window streams tiled renders through imageStream:*.
+    for (const job of jobs) allowExportFile(job.output);
+
+    const results = jobs.map((job) => ({
+      input: job.input,
+      output: job.output,
+      status: "pending",
+    }));
+
+    let fatalError = await renderJobs(jobs, results);
+
+    if (sequence?.encode && !fatalError) {
+      const failed = results.filter((r) => r.status !== "ok").length;
+      if (failed > 0) {
+        fatalError = `${failed} frames failed; ${opts.output} was not written`;
+      } else {
+        console.error(`Encoding ${opts.output}`);
+        try {
+          fs.mkdirSync(path.dirname(path.resolve(opts.output)), { recursive: true });
+          const audio = isVideoFile(opts.input) ? opts.input : null;
+          await encodeVideo(opts.ffmpeg, sequence.outputDir, sequence.fps, opts.output, audio);
+        } catch (err) {
+          fatalError = err.message;
+        }
+      }
+    }
+    if (sequence?.encode) {
+      // The frames were temporary; point the summary at the video.
+      results.forEach((r, n) => {
+        r.output = path.resolve(opts.output);
+        r.frame = n + 1;
+      });
+    }
+
+    return writeSummary(opts, results, fatalError);
+  } finally {
+    sequence?.cleanup();
+  }
+}
+
+module.exports = { IMAGE_EXTENSIONS, collectJobs, runBatch };
@@ -0,0 +1,246 @@
+const fs = require("fs");
+const path = require("path");
+const params = require("./params");
+const { isVideoFile } = require("./sequence");
+const { PARAM_KEYS } = params;
+
+const USAGE = `Usage: crosshatch --input <file|dir> --output <file|dir> [options]
+
+  -i, --input <path>      Image file, a folder of png/jpg/jpeg/webp images,
+                          or a video
+  -o, --output <path>     Output PNG file, a folder (an existing one or a
+                          path ending in /), or a video file to encode a
+                          sequence to
+  --preset <file|name>    JSON file with parameter values, or the name of a
+                          saved or built-in preset
+  --auto                  Apply Auto settings to every image
+  --overrides <file>      JSON object mapping image file names to parameters
+  --summary <file>        Also write the JSON summary to this file
+  --sequence              Treat the input folder as the frames of one clip
+                          (implied by video input or output)
+  --auto-mode <mode>      With --auto on a sequence: frame (per frame),
+                          lock (first frame's settings, the default) or
+                          smooth (eased between frames)
+  --auto-smoothing <0-1>  How slowly smoothed Auto follows changes (0.8)
+  --flow-smoothing <0-1>  Blend each frame's flow field with the last one's
+                          to keep flow hatching steady (0.5 for sequences)
+  --fps <n>               Frame rate of the encoded video (default: the
+                          input video's, or 24)
+  --ffmpeg <path>         ffmpeg to use for video (default: from PATH)
+  --<param> <value>       Set a parameter for every image, one of:
+                          ${PARAM_KEYS.join(", ")}
+
+Precedence: defaults < preset < --auto < --<param> flags < per-file overrides.
+Exits with 0 when every image was written, 1 when some failed and 2 on
+usage errors.`;
+
+function cliError(message) {
+  const err = new Error(message);
+  err.usage = true;
+  return err;
+}
+
+// Re-throw validation errors from lib/params as usage errors.
+function asUsage(fn) {
+  return (...args) => {
+    try {
+      return fn(...args);
+    } catch (err) {
+      throw cliError(err.message);
+    }
+  };
+}
+
+const AUTO_MODES = ["frame", "lock", "smooth"];
+
+function parseFraction(name, raw) {
+  const v = Number(raw);
+  if (raw === "" || !Number.isFinite(v) || v < 0 || v > 1) {
+    throw cliError(`${name} must be a number from 0 to 1, got "${raw}"`);
+  }
+  return v;
+}
+
+const parseParam = asUsage(params.parseParam);
+const normalizeParams = asUsage(params.normalizeParams);
+
+function readJson(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (err) {
+    throw cliError(`Cannot read ${file}: ${err.message}`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw cliError(`Invalid JSON in ${file}: ${err.message}`);
+  }
+}
+
+// A preset file as saved by the app: parameters plus its hatch texture.
+function readPresetFile(file) {
+  const obj = readJson(file);
+  return {
+    params: normalizeParams(obj, file),
+    hatchTexture: obj?.hatchTexture ?? null,
+  };
+}
+
+// Per-file overrides: { "<name or path>": { ...params, auto?: boolean } }
+function readOverridesFile(file) {
+  const obj = readJson(file);
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) {
+    throw cliError(`${file}: expected an object keyed by image file name`);
+  }
+
+  const overrides = {};
+  for (const [name, entry] of Object.entries(obj)) {
+    const { auto, ...params } = entry || {};
+    if (auto !== undefined && typeof auto !== "boolean") {
+      throw cliError(`${file}: "${name}".auto must be true or false`);
+    }
+    overrides[name] = {
+      auto,
+      params: normalizeParams(params, `${file}: "${name}"`),
+    };
+  }
+  return overrides;
+}
+
+// A single image renders to a .png file or into a folder: one that exists,
+// or a path ending in a separator, which is created.
+function checkImageOutput(input, output) {
+  if (!fs.statSync(input, { throwIfNoEntry: false })?.isFile()) return;
+  if (fs.statSync(output, { throwIfNoEntry: false })?.isDirectory()) return;
+  if (output.endsWith("/") || output.endsWith(path.sep)) return;
+  if (path.extname(output).toLowerCase() !== ".png") {
+    throw cliError(`--output must be a .png file or a folder ending in ${path.sep}, got "${output}"`);
+  }
+}
+
+// Returns { batch: false } when no batch options are present, so the app
+// starts normally. Throws an error with `usage: true` on bad arguments.
+// `findPreset(name)` resolves --preset values that are not files.
+function parseArgs(argv, { findPreset } = {}) {
+  const opts = {
+    batch: false,
+    input: null,
+    output: null,
+    preset: null,
+    auto: false,
+    overrides: {},
+    params: {},
+    summary: null,
+    sequence: false,
+    autoMode: "lock",
+    autoSmoothing: 0.8,
+    flowSmoothing: null,
+    fps: null,
+    ffmpeg: "ffmpeg",
+  };
+
+  const takeValue = (args, i, name, inline) => {
+    if (inline !== undefined) return [inline, i];
+    if (i + 1 >= args.length) throw cliError(`${name} needs a value`);
+    return [args[i + 1], i + 1];
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("-")) continue;
+
+    const eq = arg.indexOf("=");
+    const name = eq >= 0 ? arg.slice(0, eq) : arg;
+    const inline = eq >= 0 ? arg.slice(eq + 1) : undefined;
+    let value;
+
+    switch (name) {
+      case "-i":
+      case "--input":
+        [value, i] = takeValue(argv, i, name, inline);
+        opts.input = value;
+        opts.batch = true;
+        break;
+      case "-o":
+      case "--output":
+        [value, i] = takeValue(argv, i, name, inline);
+        opts.output = value;
+        opts.batch = true;
+        break;
+      case "--preset":
+        [value, i] = takeValue(argv, i, name, inline);
+        opts.preset = value;
+        break;
+      case "--overrides":
+        [value, i] = takeValue(argv, i, name, inline);
+        opts.overrides = readOverridesFile(value);
+        break;
+      case "--summary":
+        [value, i] = takeValue(argv, i, name, inline);
+        opts.summary = value;
+        break;
+      case "--auto":
+        opts.auto = true;
+        break;
+      case "--sequence":
+        opts.sequence = true;
+        break;
+      case "--auto-mode":
+        [value, i] = takeValue(argv, i, name, inline);
+        if (!AUTO_MODES.includes(value)) {
+          throw cliError(`${name} must be one of ${AUTO_MODES.join(", ")}, got "${value}"`);
+        }
+        opts.autoMode = value;
+        break;
+      case "--auto-smoothing":
+        [value, i] = takeValue(argv, i, name, inline);
+        opts.autoSmoothing = parseFraction(name, value);
+        break;
+      case "--flow-smoothing":
+        [value, i] = takeValue(argv, i, name, inline);
+        opts.flowSmoothing = parseFraction(name, value);
+        break;
+      case "--fps":
+        [value, i] = takeValue(argv, i, name, inline);
+        opts.fps = Number(value);
+        if (!(opts.fps > 0)) throw cliError(`${name} must be a positive number, got "${value}"`);
+        break;
+      case "--ffmpeg":
+        [value, i] = takeValue(argv, i, name, inline);
+        opts.ffmpeg = value;
+        break;
+      default: {
+        const key = name.replace(/^--/, "");
+        if (name.startsWith("--") && PARAM_KEYS.includes(key)) {
+          [value, i] = takeValue(argv, i, name, inline);
+          opts.params[key] = parseParam(name, key, value);
+        }
+        // Anything else may be a Chromium/Electron switch; leave it alone.
+      }
+    }
+  }
+
+  if (!opts.batch) return opts;
+  if (!opts.input) throw cliError("--input is required");
+  if (!opts.output) throw cliError("--output is required");
+  if (isVideoFile(opts.input) || isVideoFile(opts.output)) opts.sequence = true;
+  if (!opts.sequence) checkImageOutput(opts.input, opts.output);
+  if (opts.flowSmoothing === null) opts.flowSmoothing = opts.sequence ? 0.5 : 0;
+
+  opts.presetParams = {};
+  opts.hatchTexture = null;
+  if (opts.preset) {
+    const named = !fs.existsSync(opts.preset) && findPreset?.(opts.preset);
+    const preset = named || readPresetFile(opts.preset);
+    opts.presetParams = preset.params;
+    opts.hatchTexture = preset.hatchTexture;
+  }
+  return opts;
+}
+
+module.exports = {
+  USAGE,
+  parseArgs,
+  readJson,
+};
@@ -0,0 +1,95 @@
+const path = require("path");
+const { createPngWriter } = require("./png-writer");
+const { createTiffWriter } = require("./tiff-writer");
+
+// PNG and TIFF are written by the main process as rows arrive; JPEG and
+// WebP are encoded by the renderer's canvas and saved whole.
+const EXPORT_FORMATS = {
+  png: { name: "PNG", extensions: ["png"], writer: createPngWriter },
+  tiff: { name: "TIFF", extensions: ["tif", "tiff"], writer: createTiffWriter },
+  jpeg: { name: "JPEG", extensions: ["jpg", "jpeg"] },
+  webp: { name: "WebP", extensions: ["webp"] },
+};
+
+function exportFormat(format) {
+  const f = EXPORT_FORMATS[format];
+  if (!f) throw new Error(`Unknown export format "${format}"`);
+  return f;
+}
+
+// "<source name>-crosshatch.<ext>" next to the source image when it is on
+// disk.
+function defaultExportPath(source, format) {
+  const ext = exportFormat(format).extensions[0];
+  const name = source?.name || (source?.path ? path.basename(source.path) : null);
+  const base = name ? path.basename(name, path.extname(name)) : "crosshatch";
+  const file = `${base}-crosshatch.${ext}`;
+  return source?.path ? path.join(path.dirname(source.path), file) : file;
+}
+
+// Where the renderer may save: files the user picked in a save dialog, files
+// directly inside a folder they picked, and batch outputs. Paths are
+// registered by the main process as it hands them out.
+const allowedFiles = new Set();
+const allowedFolders = new Set();
+
+function allowExportFile(file) {
+  allowedFiles.add(path.resolve(file));
+}
+
+function allowExportFolder(dir) {
+  allowedFolders.add(path.resolve(dir));
+}
+
+// `file` resolved, or an error when the main process never issued it.
+function checkExportPath(file) {
+  if (typeof file !== "string" || !file) throw new Error("No file to save to");
+  const resolved = path.resolve(file);
+  if (allowedFiles.has(resolved) || allowedFolders.has(path.dirname(resolved))) return resolved;
+  throw new Error(`Cannot save to ${file}: choose it with Export or the queue folder first`);
+}
+
+function createImageWriter(file, format, width, height, opts) {
+  const { writer } = exportFormat(format);
+  if (!writer) throw new Error(`${format} cannot be written in strips`);
+  return writer(file, width, height, opts);
+}
+
+// Set the density in a JPEG's JFIF header, adding the header if the
+// encoder left it out.
+function setJpegDpi(buf, dpi) {
+  if (buf[0] !== 0xff || buf[1] !== 0xd8) throw new Error("Not a JPEG");
+  const density = Math.max(1, Math.min(65535, Math.round(dpi)));
+  const isJfif =
+    buf[2] === 0xff && buf[3] === 0xe0 && buf.toString("latin1", 6, 11) === "JFIF\0";
+
+  if (isJfif) {
+    const out = Buffer.from(buf);
+    out[13] = 1; // dots per inch
+    out.writeUInt16BE(density, 14);
+    out.writeUInt16BE(density, 16);
+    return out;
+  }
+
+  const app0 = Buffer.alloc(18);
+  app0.writeUInt16BE(0xffe0, 0);
+  app0.writeUInt16BE(16, 2);
+  app0.write("JFIF\0", 4, "latin1");
+  app0[9] = 1; // version 1.01
+  app0[10] = 1;
+  app0[11] = 1;
+  app0.writeUInt16BE(density, 12);
+  app0.writeUInt16BE(density, 14);
+  return Buffer.concat([buf.subarray(0, 2), app0, buf.subarray(2)]);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportFormat,
+  defaultExportPath,
+  createImageWriter,
+  setJpegDpi,
+  allowExportFile,
+  allowExportFolder,
+  checkExportPath,
+};
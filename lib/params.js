@@ -0,0 +1,67 @@
+const SCHEMA = require("../renderer/param-schema.json");
+
+// Parameters accepted from presets, override files and command-line flags,
+// from the schema the renderer builds its controls from (see
+// renderer/params.js).
+const PARAM_KEYS = SCHEMA.map((p) => p.name);
+
+// Parameters that take one of a fixed set of strings instead of a number.
+const PARAM_CHOICES = Object.fromEntries(
+  SCHEMA.filter((p) => p.type === "choice").map((p) => [p.name, p.choices.map((c) => c.value)])
+);
+
+// Parameters that take a "#rrggbb" colour.
+const PARAM_COLORS = SCHEMA.filter((p) => p.type === "color").map((p) => p.name);
+
+const DEFAULT_PARAMS = Object.fromEntries(SCHEMA.map((p) => [p.name, p.default]));
+
+function parseNumber(name, raw) {
+  const v = Number(raw);
+  if (raw === "" || raw == null || typeof raw === "boolean" || !Number.isFinite(v)) {
+    throw new Error(`${name} must be a number, got "${raw}"`);
+  }
+  return v;
+}
+
+function parseParam(name, key, raw) {
+  if (PARAM_COLORS.includes(key)) {
+    if (typeof raw !== "string" || !/^#[0-9a-f]{6}$/i.test(raw)) {
+      throw new Error(`${name} must be a colour like #1a2b3c, got "${raw}"`);
+    }
+    return raw.toLowerCase();
+  }
+  const choices = PARAM_CHOICES[key];
+  if (!choices) return parseNumber(name, raw);
+  if (!choices.includes(raw)) {
+    throw new Error(`${name} must be one of ${choices.join(", ")}, got "${raw}"`);
+  }
+  return raw;
+}
+
+// Validate a parameter object from JSON. Accepts both a flat object and
+// one wrapped as { params: { ... } } (the preset file layout).
+function normalizeParams(obj, where) {
+  if (obj && typeof obj === "object" && obj.params) obj = obj.params;
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) {
+    throw new Error(`${where}: expected an object of parameter values`);
+  }
+
+  const params = {};
+  for (const [key, value] of Object.entries(obj)) {
+    if (!PARAM_KEYS.includes(key)) {
+      throw new Error(`${where}: unknown parameter "${key}"`);
+    }
+    params[key] = parseParam(`${where}: ${key}`, key, value);
+  }
+  return params;
+}
+
+module.exports = {
+  PARAM_KEYS,
+  DEFAULT_PARAMS,
+  PARAM_CHOICES,
+  PARAM_COLORS,
+  parseNumber,
+  parseParam,
+  normalizeParams,
+};
@@ -0,0 +1,116 @@
+const fs = require("fs");
+const zlib = require("zlib");
+
+// Streaming RGBA PNG encoder for tiled exports, which are too large to
+// encode in the renderer: rows arrive top-down in strips and are
+// compressed straight to disk.
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const out = Buffer.alloc(12 + data.length);
+  out.writeUInt32BE(data.length, 0);
+  out.write(type, 4, "latin1");
+  data.copy(out, 8);
+  out.writeUInt32BE(crc32(out.subarray(4, 8 + data.length)), 8 + data.length);
+  return out;
+}
+
+// `dpi` is stored in a pHYs chunk.
+function createPngWriter(file, width, height, { dpi = null } = {}) {
+  const rowBytes = width * 4;
+  const fd = fs.openSync(file, "w");
+  const deflate = zlib.createDeflate();
+  let rows = 0;
+  let error = null;
+
+  deflate.on("data", (data) => {
+    try {
+      fs.writeSync(fd, chunk("IDAT", data));
+    } catch (err) {
+      deflate.destroy(err);
+    }
+  });
+  deflate.on("error", (err) => {
+    error = error || err;
+  });
+
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 6; // RGBA
+  fs.writeSync(fd, Buffer.concat([SIGNATURE, chunk("IHDR", ihdr)]));
+  if (dpi > 0) {
+    const phys = Buffer.alloc(9);
+    const perMetre = Math.round(dpi / 0.0254);
+    phys.writeUInt32BE(perMetre, 0);
+    phys.writeUInt32BE(perMetre, 4);
+    phys[8] = 1; // metres
+    fs.writeSync(fd, chunk("pHYs", phys));
+  }
+
+  // Append whole rows; resolves once they are compressed.
+  function write(pixels) {
+    if (error) return Promise.reject(error);
+    const buf = Buffer.from(pixels.buffer, pixels.byteOffset, pixels.byteLength);
+    const n = buf.length / rowBytes;
+    if (!Number.isInteger(n) || rows + n > height) {
+      return Promise.reject(new Error("PNG rows do not match the image size"));
+    }
+
+    // "Sub" filter: each byte minus the one a pixel to the left.
+    const out = Buffer.alloc(n * (rowBytes + 1));
+    for (let y = 0; y < n; y++) {
+      const src = y * rowBytes;
+      const dst = y * (rowBytes + 1);
+      out[dst] = 1;
+      for (let i = 0; i < rowBytes; i++) {
+        out[dst + 1 + i] = buf[src + i] - (i >= 4 ? buf[src + i - 4] : 0);
+      }
+    }
+    rows += n;
+    return new Promise((resolve, reject) =>
+      deflate.write(out, (err) => (err ? reject(err) : resolve()))
+    );
+  }
+
+  async function end() {
+    if (rows !== height) throw new Error(`PNG has ${rows} of ${height} rows`);
+    await new Promise((resolve, reject) => {
+      deflate.once("end", resolve);
+      deflate.once("error", reject);
+      deflate.end();
+    });
+    if (error) throw error;
+    fs.writeSync(fd, chunk("IEND", Buffer.alloc(0)));
+    fs.closeSync(fd);
+  }
+
+  // Stop and delete the partial file.
+  function abort() {
+    deflate.destroy();
+    try {
+      fs.closeSync(fd);
+    } catch {
+      // already closed
+    }
+    fs.rmSync(file, { force: true });
+  }
+
+  return { write, end, abort };
+}
+
+module.exports = { createPngWriter };
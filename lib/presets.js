@@ -0,0 +1,219 @@
+const { app } = require("electron");
+const fs = require("fs");
+const path = require("path");
+const { DEFAULT_PARAMS, normalizeParams } = require("./params");
+
+const PRESET_VERSION = 1;
+const DEFAULT_HATCH_TEXTURE = { type: "builtin", name: "T_hatch" };
+
+// Each built-in lists only what it changes from the defaults.
+const BUILTIN_PRESETS = [
+  {
+    name: "Default",
+    params: { ...DEFAULT_PARAMS },
+  },
+  {
+    name: "Comic Ink",
+    params: {
+      ...DEFAULT_PARAMS,
+      brightness: 0.95,
+      hatchPeriod: 300,
+      hatching: 0.6,
+      edges: 1.6,
+      toon: 0.28,
+      lineMode: "xdog",
+      lineBlur: 1,
+      lineWeight: 1,
+    },
+  },
+  {
+    name: "Fine Hatching",
+    params: {
+      ...DEFAULT_PARAMS,
+      scale: 4.0,
+      hatchPeriod: 150,
+      edges: 0.8,
+      toon: 0.22,
+      threshold: 0.35,
+    },
+  },
+  {
+    name: "Flat Toon",
+    params: {
+      ...DEFAULT_PARAMS,
+      hatching: 0.0,
+      edges: 1.2,
+      toon: 0.35,
+      threshold: 0.4,
+    },
+  },
+  {
+    name: "Pop Art",
+    params: {
+      ...DEFAULT_PARAMS,
+      brightness: 1.05,
+      edges: 1.4,
+      toon: 0.2,
+      threshold: 0.15,
+      lineMode: "xdog",
+      lineBlur: 1,
+      lineWeight: 2,
+      midShading: "halftone",
+      halftonePeriod: 10,
+      halftoneColor: "cmyk",
+    },
+  },
+  {
+    name: "Coloured Comic",
+    params: {
+      ...DEFAULT_PARAMS,
+      hatchPeriod: 300,
+      hatching: 0.5,
+      edges: 1.4,
+      toon: 0.2,
+      threshold: 0.35,
+      lineMode: "xdog",
+      lineBlur: 1,
+      lineWeight: 1,
+      shadowShading: "hatch",
+      inkColor: "#1b1b24",
+      paperMode: "posterize",
+    },
+  },
+  {
+    name: "Engraving",
+    params: {
+      ...DEFAULT_PARAMS,
+      hatchPeriod: 320,
+      hatchSpace: "flow",
+      edges: 0.8,
+      toon: 0.25,
+      threshold: 0.25,
+      flowRadius: 32,
+    },
+  },
+].map((p) => ({ ...p, builtin: true, hatchTexture: DEFAULT_HATCH_TEXTURE }));
+
+function presetsDir() {
+  return path.join(app.getPath("userData"), "presets");
+}
+
+function fileNameFor(name) {
+  return name.replace(/[\\/:*?"<>|\x00-\x1f]/g, "_").trim() + ".json";
+}
+
+// Validate parsed preset JSON. A bare object of parameters is accepted too,
+// so batch-mode parameter files can be imported as presets.
+function normalizePreset(obj, where, fallbackName) {
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) {
+    throw new Error(`${where}: not a preset`);
+  }
+  const name = typeof obj.name === "string" && obj.name.trim()
+    ? obj.name.trim()
+    : fallbackName;
+
+  const hatchTexture =
+    obj.hatchTexture && typeof obj.hatchTexture === "object"
+      ? obj.hatchTexture
+      : DEFAULT_HATCH_TEXTURE;
+
+  const { name: _name, version: _version, hatchTexture: _tex, ...rest } = obj;
+  return {
+    name,
+    params: normalizeParams(obj.params ?? rest, where),
+    hatchTexture,
+  };
+}
+
+function readPresetFile(file) {
+  let obj;
+  try {
+    obj = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`Cannot read preset ${file}: ${err.message}`);
+  }
+  return normalizePreset(obj, file, path.basename(file, path.extname(file)));
+}
+
+function writePresetFile(file, preset) {
+  const data = {
+    name: preset.name,
+    version: PRESET_VERSION,
+    params: preset.params,
+    hatchTexture: preset.hatchTexture ?? DEFAULT_HATCH_TEXTURE,
+  };
+  fs.writeFileSync(file, JSON.stringify(data, null, 2) + "\n");
+}
+
+function listUserPresets() {
+  const dir = presetsDir();
+  let files;
+  try {
+    files = fs.readdirSync(dir).filter((f) => f.toLowerCase().endsWith(".json"));
+  } catch {
+    return [];
+  }
+
+  const presets = [];
+  for (const f of files) {
+    try {
+      presets.push({ ...readPresetFile(path.join(dir, f)), builtin: false });
+    } catch (err) {
+      console.warn(err.message);
+    }
+  }
+  return presets.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function listPresets() {
+  return [...BUILTIN_PRESETS, ...listUserPresets()];
+}
+
+function findPreset(name) {
+  return listPresets().find((p) => p.name === name) || null;
+}
+
+function isBuiltinName(name) {
+  return BUILTIN_PRESETS.some((p) => p.name === name);
+}
+
+function savePreset(preset) {
+  const name = String(preset?.name ?? "").trim();
+  if (!name) throw new Error("Preset name is empty");
+  if (isBuiltinName(name)) {
+    throw new Error(`"${name}" is a built-in preset; choose another name`);
+  }
+
+  const normalized = normalizePreset({ ...preset, name }, name, name);
+  fs.mkdirSync(presetsDir(), { recursive: true });
+  writePresetFile(path.join(presetsDir(), fileNameFor(name)), normalized);
+  return { ...normalized, builtin: false };
+}
+
+function deletePreset(name) {
+  if (isBuiltinName(name)) throw new Error(`"${name}" is a built-in preset`);
+  fs.rmSync(path.join(presetsDir(), fileNameFor(name)), { force: true });
+}
+
+// Copy an external preset file into the presets folder, renaming it if a
+// preset with the same name already exists.
+function importPresetFile(file) {
+  const preset = readPresetFile(file);
+  const taken = new Set(listPresets().map((p) => p.name));
+  let name = preset.name;
+  for (let n = 2; taken.has(name); n++) name = `${preset.name} (${n})`;
+  return savePreset({ ...preset, name });
+}
+
+module.exports = {
+  DEFAULT_HATCH_TEXTURE,
+  BUILTIN_PRESETS,
+  fileNameFor,
+  readPresetFile,
+  writePresetFile,
+  listPresets,
+  findPreset,
+  savePreset,
+  deletePreset,
+  importPresetFile,
+};
@@ -0,0 +1,161 @@
+const fs = require("fs");
+const path = require("path");
+const { normalizeParams } = require("./params");
+
+const PROJECT_FORMAT = "crosshatch-project";
+const PROJECT_VERSION = 1;
+const PROJECT_EXTENSION = "crosshatch";
+
+const COMPARE_VIEWS = ["side", "wipe", "blend", "ab"];
+const WIPE_DIRECTIONS = ["vertical", "horizontal"];
+
+const MIME_TYPES = {
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  webp: "image/webp",
+};
+
+function mimeFor(file) {
+  return MIME_TYPES[path.extname(file).slice(1).toLowerCase()] || "application/octet-stream";
+}
+
+function fileExists(p) {
+  try {
+    return fs.statSync(p).isFile();
+  } catch {
+    return false;
+  }
+}
+
+// Serialise a project from the renderer. The image is stored as an
+// absolute path plus one relative to the project file (so a folder moved
+// as a whole still opens), and optionally embedded as base64.
+function writeProject(file, project, { embed = false } = {}) {
+  const image = project.image || {};
+  const out = {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    image: {
+      path: image.path || null,
+      relativePath: image.path
+        ? path.relative(path.dirname(file), image.path)
+        : null,
+      name: image.name || (image.path ? path.basename(image.path) : null),
+      embedded: null,
+    },
+    params: project.params,
+    masks: project.masks || [],
+    hatchTexture: project.hatchTexture,
+    view: project.view,
+    compareMode: !!project.compareMode,
+    compareView: project.compareView,
+    wipeDirection: project.wipeDirection,
+    wipeSplit: project.wipeSplit,
+    blendOpacity: project.blendOpacity,
+    compareB: project.compareB || null,
+  };
+
+  if (embed || !image.path) {
+    if (image.path && fileExists(image.path)) {
+      out.image.embedded = {
+        mime: mimeFor(image.path),
+        data: fs.readFileSync(image.path).toString("base64"),
+      };
+    } else if (image.embedded) {
+      out.image.embedded = image.embedded;
+    }
+  }
+
+  fs.writeFileSync(file, JSON.stringify(out, null, 2) + "\n");
+  return out;
+}
+
+// Painted masks: [{ name, params, data }], data being a PNG data URL.
+function readMasks(list, file) {
+  if (!Array.isArray(list)) return [];
+  return list.map((m, i) => {
+    if (typeof m?.data !== "string" || !m.data.startsWith("data:image/png;base64,")) {
+      throw new Error(`${file}: mask ${i + 1} has no image data`);
+    }
+    return {
+      name: String(m.name || `Mask ${i + 1}`),
+      params: normalizeParams(m.params || {}, `${file}: mask "${m.name}"`),
+      data: m.data,
+    };
+  });
+}
+
+const fraction = (v, fallback) => (typeof v === "number" && v >= 0 && v <= 1 ? v : fallback);
+
+// B of the A/B compare: { params, masks }, or null when none was stored.
+function readCompareB(b, file) {
+  if (!b || typeof b !== "object") return null;
+  return {
+    params: normalizeParams(b.params || {}, `${file}: B`),
+    masks: readMasks(b.masks, file),
+  };
+}
+
+function readProject(file) {
+  let obj;
+  try {
+    obj = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`Cannot read project ${file}: ${err.message}`);
+  }
+  if (!obj || obj.format !== PROJECT_FORMAT) {
+    throw new Error(`${file} is not a Crosshatch project`);
+  }
+  if (obj.version > PROJECT_VERSION) {
+    throw new Error(`${file} was saved by a newer version of Crosshatch`);
+  }
+
+  const view = obj.view || {};
+  return {
+    image: obj.image || {},
+    params: normalizeParams(obj.params || {}, file),
+    masks: readMasks(obj.masks, file),
+    hatchTexture: obj.hatchTexture || null,
+    view: {
+      center: {
+        x: Number(view.center?.x) || 0,
+        y: Number(view.center?.y) || 0,
+      },
+      zoom: Number(view.zoom) > 0 ? Number(view.zoom) : 1,
+    },
+    compareMode: !!obj.compareMode,
+    // Projects from before the other views compared side by side.
+    compareView: COMPARE_VIEWS.includes(obj.compareView) ? obj.compareView : "side",
+    wipeDirection: WIPE_DIRECTIONS.includes(obj.wipeDirection) ? obj.wipeDirection : "vertical",
+    wipeSplit: fraction(obj.wipeSplit, 0.5),
+    blendOpacity: fraction(obj.blendOpacity, 0.5),
+    compareB: readCompareB(obj.compareB, file),
+  };
+}
+
+// Where to load the project's image from: { path } when a file on disk is
+// found, { dataUrl } for an embedded copy, or null when it is missing.
+function resolveProjectImage(file, image) {
+  if (image.path && fileExists(image.path)) return { path: image.path };
+
+  if (image.relativePath) {
+    const rel = path.resolve(path.dirname(file), image.relativePath);
+    if (fileExists(rel)) return { path: rel };
+  }
+
+  if (image.embedded?.data) {
+    return {
+      dataUrl: `data:${image.embedded.mime};base64,${image.embedded.data}`,
+      embedded: image.embedded,
+    };
+  }
+  return null;
+}
+
+module.exports = {
+  PROJECT_EXTENSION,
+  readProject,
+  writeProject,
+  resolveProjectImage,
+};
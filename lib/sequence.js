@@ -0,0 +1,94 @@
+const { spawn } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Image sequences and video for batch mode. Video is split into PNG frames
+// and put back together with a local ffmpeg; nothing else needs it.
+
+const VIDEO_EXTENSIONS = ["mp4", "mov", "m4v", "mkv", "webm", "avi", "gif"];
+
+const FRAME_PATTERN = "frame_%06d.png";
+const DEFAULT_FPS = 24;
+
+function isVideoFile(file) {
+  const ext = path.extname(file).slice(1).toLowerCase();
+  return VIDEO_EXTENSIONS.includes(ext);
+}
+
+// Output name of frame `n` (0-based) in a rendered sequence.
+function frameName(n) {
+  return `frame_${String(n + 1).padStart(6, "0")}.png`;
+}
+
+// Natural order, so frame2 comes before frame10.
+function sortFrames(files) {
+  return files.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
+
+function makeTempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "crosshatch-"));
+}
+
+// Run ffmpeg and resolve with its stderr, where it reports stream details.
+function run(ffmpeg, args) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(ffmpeg, args, { stdio: ["ignore", "ignore", "pipe"] });
+    let stderr = "";
+    proc.stderr.on("data", (data) => {
+      stderr = (stderr + data).slice(-64 * 1024);
+    });
+    proc.on("error", (err) => {
+      reject(
+        err.code === "ENOENT"
+          ? new Error(`ffmpeg not found (${ffmpeg}); install it or pass --ffmpeg <path>`)
+          : err
+      );
+    });
+    proc.on("close", (code) => {
+      if (code === 0) return resolve(stderr);
+      const tail = stderr.trim().split("\n").slice(-3).join("\n");
+      reject(new Error(`ffmpeg exited with code ${code}\n${tail}`));
+    });
+  });
+}
+
+// Write every frame of `video` into `dir` and resolve with its frame rate.
+async function extractFrames(ffmpeg, video, dir) {
+  const stderr = await run(ffmpeg, [
+    "-hide_banner",
+    "-i",
+    video,
+    "-vsync",
+    "0",
+    path.join(dir, FRAME_PATTERN),
+  ]);
+  const match = /(\d+(?:\.\d+)?) fps/.exec(stderr);
+  return match ? Number(match[1]) : DEFAULT_FPS;
+}
+
+// Encode the numbered frames in `dir` to `output`, taking the audio of
+// `audioFrom` when given and it has any.
+function encodeVideo(ffmpeg, dir, fps, output, audioFrom) {
+  const args = ["-hide_banner", "-y", "-framerate", String(fps), "-i", path.join(dir, FRAME_PATTERN)];
+  if (audioFrom) {
+    args.push("-i", audioFrom, "-map", "0:v", "-map", "1:a?", "-shortest");
+  }
+  if (path.extname(output).toLowerCase() !== ".gif") {
+    // Most players need 4:2:0, which needs even dimensions.
+    args.push("-pix_fmt", "yuv420p", "-vf", "pad=ceil(iw/2)*2:ceil(ih/2)*2");
+  }
+  args.push(output);
+  return run(ffmpeg, args);
+}
+
+module.exports = {
+  VIDEO_EXTENSIONS,
+  DEFAULT_FPS,
+  isVideoFile,
+  frameName,
+  sortFrames,
+  makeTempDir,
+  extractFrames,
+  encodeVideo,
+};
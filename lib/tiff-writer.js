@@ -0,0 +1,130 @@
+const fs = require("fs");
+const zlib = require("zlib");
+
+// Streaming RGBA TIFF encoder with the same interface as png-writer.js.
+// Rows are Deflate-compressed (with horizontal differencing) into strips
+// as they arrive; the directory is written last and linked from the
+// header, so nothing but the strip table stays in memory.
+
+const ROWS_PER_STRIP = 64;
+
+const TYPE = { SHORT: 3, LONG: 4, RATIONAL: 5 };
+const TYPE_SIZE = { 3: 2, 4: 4, 5: 8 };
+
+function createTiffWriter(file, width, height, { dpi = null } = {}) {
+  const rowBytes = width * 4;
+  const fd = fs.openSync(file, "w");
+  const offsets = [];
+  const counts = [];
+  let pending = []; // rows waiting for a full strip
+  let rows = 0;
+  let pos = 8;
+
+  // Little-endian header; the directory offset is filled in by end().
+  fs.writeSync(fd, Buffer.from([0x49, 0x49, 42, 0, 0, 0, 0, 0]));
+
+  function writeAt(buf) {
+    if (pos + buf.length > 0xffffffff) throw new Error("TIFF would exceed 4 GB");
+    fs.writeSync(fd, buf, 0, buf.length, pos);
+    const at = pos;
+    pos += buf.length;
+    return at;
+  }
+
+  function flushStrip() {
+    const strip = Buffer.concat(pending);
+    pending = [];
+    // Predictor 2: each sample minus the one a pixel to the left.
+    for (let r = strip.length - rowBytes; r >= 0; r -= rowBytes) {
+      for (let i = rowBytes - 1; i >= 4; i--) strip[r + i] -= strip[r + i - 4];
+    }
+    const data = zlib.deflateSync(strip);
+    offsets.push(writeAt(data));
+    counts.push(data.length);
+  }
+
+  // Append whole rows (a Uint8Array, top-down RGBA).
+  async function write(pixels) {
+    const buf = Buffer.from(pixels.buffer, pixels.byteOffset, pixels.byteLength);
+    const n = buf.length / rowBytes;
+    if (!Number.isInteger(n) || rows + n > height) {
+      throw new Error("TIFF rows do not match the image size");
+    }
+    for (let y = 0; y < n; y++) {
+      pending.push(Buffer.from(buf.subarray(y * rowBytes, (y + 1) * rowBytes)));
+      if (pending.length === ROWS_PER_STRIP) flushStrip();
+    }
+    rows += n;
+  }
+
+  async function end() {
+    if (rows !== height) throw new Error(`TIFF has ${rows} of ${height} rows`);
+    if (pending.length) flushStrip();
+
+    const res = dpi > 0 ? [Math.round(dpi * 100), 100] : [72, 1];
+    const entries = [
+      [256, TYPE.LONG, [width]],
+      [257, TYPE.LONG, [height]],
+      [258, TYPE.SHORT, [8, 8, 8, 8]], // bits per sample
+      [259, TYPE.SHORT, [8]], // Deflate
+      [262, TYPE.SHORT, [2]], // RGB
+      [273, TYPE.LONG, offsets],
+      [277, TYPE.SHORT, [4]], // samples per pixel
+      [278, TYPE.LONG, [ROWS_PER_STRIP]],
+      [279, TYPE.LONG, counts],
+      [282, TYPE.RATIONAL, res],
+      [283, TYPE.RATIONAL, res],
+      [284, TYPE.SHORT, [1]], // chunky
+      [296, TYPE.SHORT, [2]], // inches
+      [317, TYPE.SHORT, [2]], // horizontal differencing
+      [338, TYPE.SHORT, [2]], // unassociated alpha
+    ];
+
+    // TIFF wants the directory and its values on a word boundary.
+    if (pos % 2) writeAt(Buffer.alloc(1));
+    const ifdSize = 2 + entries.length * 12 + 4;
+    const ifd = Buffer.alloc(ifdSize);
+    const extra = [];
+    let extraPos = pos + ifdSize;
+    ifd.writeUInt16LE(entries.length, 0);
+    entries.forEach(([tag, type, values], i) => {
+      const at = 2 + i * 12;
+      const count = type === TYPE.RATIONAL ? values.length / 2 : values.length;
+      const bytes = Buffer.alloc(Math.max(4, values.length * (type === TYPE.SHORT ? 2 : 4)));
+      values.forEach((v, k) => {
+        if (type === TYPE.SHORT) bytes.writeUInt16LE(v, k * 2);
+        else bytes.writeUInt32LE(v, k * 4);
+      });
+      ifd.writeUInt16LE(tag, at);
+      ifd.writeUInt16LE(type, at + 2);
+      ifd.writeUInt32LE(count, at + 4);
+      if (count * TYPE_SIZE[type] <= 4) {
+        bytes.copy(ifd, at + 8, 0, 4);
+      } else {
+        ifd.writeUInt32LE(extraPos, at + 8);
+        extra.push(bytes);
+        extraPos += bytes.length;
+      }
+    });
+
+    const ifdPos = writeAt(Buffer.concat([ifd, ...extra]));
+    const link = Buffer.alloc(4);
+    link.writeUInt32LE(ifdPos, 0);
+    fs.writeSync(fd, link, 0, 4, 4);
+    fs.closeSync(fd);
+  }
+
+  // Stop and delete the partial file.
+  function abort() {
+    try {
+      fs.closeSync(fd);
+    } catch {
+      // already closed
+    }
+    fs.rmSync(file, { force: true });
+  }
+
+  return { write, end, abort };
+}
+
+module.exports = { createTiffWriter };
@@ -0,0 +1,58 @@
+const { app } = require("electron");
+const fs = require("fs");
+const path = require("path");
+
+// Custom fragment shaders live in a `shaders` folder inside the app's user
+// data directory; see renderer/user-shaders.js for what they get.
+
+const SHADER_EXTENSIONS = [".frag", ".glsl"];
+
+// Editors often write a file in several steps; wait for them to finish.
+const WATCH_DELAY_MS = 150;
+
+function shadersDir() {
+  return path.join(app.getPath("userData"), "shaders");
+}
+
+// [{ name, path, source }] sorted by name. Creates the folder so it can be
+// opened before anything is in it.
+function listUserShaders() {
+  const dir = shadersDir();
+  fs.mkdirSync(dir, { recursive: true });
+  const shaders = [];
+  for (const f of fs.readdirSync(dir)) {
+    if (!SHADER_EXTENSIONS.includes(path.extname(f).toLowerCase())) continue;
+    const file = path.join(dir, f);
+    try {
+      shaders.push({
+        name: path.basename(f, path.extname(f)),
+        path: file,
+        source: fs.readFileSync(file, "utf8"),
+      });
+    } catch (err) {
+      console.warn(err.message);
+    }
+  }
+  return shaders.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Call onChange() after files in the shaders folder change. Returns the
+// watcher; close() it when done.
+function watchUserShaders(onChange) {
+  fs.mkdirSync(shadersDir(), { recursive: true });
+  let timer = null;
+  const watcher = fs.watch(shadersDir(), () => {
+    clearTimeout(timer);
+    timer = setTimeout(onChange, WATCH_DELAY_MS);
+  });
+  watcher.on("close", () => clearTimeout(timer));
+  watcher.on("error", (err) => console.warn(`Not watching shaders: ${err.message}`));
+  return watcher;
+}
+
+module.exports = {
+  SHADER_EXTENSIONS,
+  shadersDir,
+  listUserShaders,
+  watchUserShaders,
+};
@@ -1,5 +1,20 @@
-const { app, BrowserWindow, ipcMain, dialog } = require("electron");
+const {
+  app,
+  BrowserWindow,
+  ipcMain,
+  dialog,
+  clipboard,
+  nativeImage,
+  shell,
+} = require("electron");
 const fs = require("fs");
+const path = require("path");
+const { USAGE, parseArgs } = require("./lib/cli");
+const { IMAGE_EXTENSIONS, runBatch } = require("./lib/batch");
+const presets = require("./lib/presets");
+const projectFiles = require("./lib/project");
+const exportFiles = require("./lib/export");
+const userShaders = require("./lib/user-shaders");
 
 function createWindow() {
   const win = new BrowserWindow({
@@ -12,10 +27,59 @@ function createWindow() {
     },
   });
 
+  // Ask before discarding unsaved project changes. "Save" hands control
+  // to the renderer, which calls closeWindow once the project is written.
+  win.on("close", (e) => {
+    if (!win.documentEdited || win.forceClose) return;
+    e.preventDefault();
+    const choice = dialog.showMessageBoxSync(win, {
+      type: "question",
+      message: "Save changes to this project before closing?",
+      buttons: ["Save", "Don't Save", "Cancel"],
+      defaultId: 0,
+      cancelId: 2,
+    });
+    if (choice === 0) win.webContents.send("saveBeforeClose");
+    else if (choice === 1) {
+      win.forceClose = true;
+      win.close();
+    }
+  });
+
+  // Tell the renderer when user shaders change so it can reload them.
+  const shaderWatcher = userShaders.watchUserShaders(() => {
+    if (!win.isDestroyed()) win.webContents.send("userShadersChanged");
+  });
+  win.on("closed", () => shaderWatcher.close());
+
   win.loadFile(__dirname + "/renderer/index.html");
 }
 
+let cli;
+try {
+  cli = parseArgs(process.argv.slice(app.isPackaged ? 1 : 2), {
+    findPreset: presets.findPreset,
+  });
+} catch (err) {
+  console.error(err.message);
+  if (err.usage) console.error("\n" + USAGE);
+  process.exit(2);
+}
+
 app.whenReady().then(() => {
+  if (cli.batch) {
+    Promise.resolve()
+      .then(() => runBatch(cli))
+      .then(
+        (code) => app.exit(code),
+        (err) => {
+          console.error(err.message);
+          app.exit(2);
+        }
+      );
+    return;
+  }
+
   createWindow();
 
   app.on("activate", () => {
@@ -24,25 +88,224 @@ app.whenReady().then(() => {
 });
 
 app.on("window-all-closed", () => {
+  if (cli.batch) return;
   if (process.platform !== "darwin") app.quit();
 });
 
 ipcMain.handle("pickImage", async () => {
   const res = await dialog.showOpenDialog({
     properties: ["openFile"],
-    filters: [{ name: "Images", extensions: ["png", "jpg", "jpeg", "webp"] }],
+    filters: [{ name: "Images", extensions: IMAGE_EXTENSIONS }],
   });
   if (res.canceled || res.filePaths.length === 0) return null;
   return res.filePaths[0];
 });
 
-ipcMain.handle("savePng", async (_evt, { pngBuffer }) => {
+ipcMain.handle("pickFolder", async () => {
+  const res = await dialog.showOpenDialog({
+    properties: ["openDirectory", "createDirectory"],
+  });
+  if (res.canceled || res.filePaths.length === 0) return null;
+  // The queue saves its outputs here.
+  exportFiles.allowExportFolder(res.filePaths[0]);
+  return res.filePaths[0];
+});
+
+ipcMain.handle("pickImages", async (_evt, { multiple = false } = {}) => {
+  const res = await dialog.showOpenDialog({
+    properties: multiple ? ["openFile", "multiSelections"] : ["openFile"],
+    filters: [{ name: "Images", extensions: IMAGE_EXTENSIONS }],
+  });
+  if (res.canceled) return [];
+  return res.filePaths;
+});
+
+// The clipboard's bitmap as PNG bytes, or null when it holds none.
+ipcMain.handle("readClipboardImage", () => {
+  const image = clipboard.readImage();
+  return image.isEmpty() ? null : image.toPNG();
+});
+
+ipcMain.handle("copyImage", (_evt, { pngBytes }) => {
+  const image = nativeImage.createFromBuffer(Buffer.from(pngBytes));
+  if (image.isEmpty()) throw new Error("Could not copy the image");
+  clipboard.writeImage(image);
+});
+
+// `source` is the loaded image's { path, name }, for the default name.
+ipcMain.handle("pickExportPath", async (_evt, { format, source }) => {
+  const { name, extensions } = exportFiles.exportFormat(format);
+  const res = await dialog.showSaveDialog({
+    filters: [{ name, extensions }],
+    defaultPath: exportFiles.defaultExportPath(source, format),
+  });
+  if (res.canceled || !res.filePath) return null;
+  exportFiles.allowExportFile(res.filePath);
+  return res.filePath;
+});
+
+// JPEG and WebP bytes from the renderer's encoder.
+ipcMain.handle("saveImage", (_evt, { filePath, bytes, format, dpi }) => {
+  const target = exportFiles.checkExportPath(filePath);
+  let buf = Buffer.from(bytes);
+  if (format === "jpeg" && dpi > 0) buf = exportFiles.setJpegDpi(buf, dpi);
+  fs.writeFileSync(target, buf);
+  return { ok: true, path: target };
+});
+
+// PNG and TIFF exports send their rows in strips: begin, write..., then
+// end or abort.
+const imageStreams = new Map();
+let nextImageStream = 1;
+
+function imageStream(id) {
+  const writer = imageStreams.get(id);
+  if (!writer) throw new Error("Export is no longer open");
+  return writer;
+}
+
+ipcMain.handle("imageStream:begin", (_evt, { filePath, format, width, height, dpi }) => {
+  const target = exportFiles.checkExportPath(filePath);
+  // Batch outputs may go to folders that do not exist yet.
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  const id = nextImageStream++;
+  imageStreams.set(
+    id,
+    exportFiles.createImageWriter(target, format, width, height, { dpi })
+  );
+  return { ok: true, id, path: target };
+});
+
+ipcMain.handle("imageStream:write", (_evt, { id, rows }) => imageStream(id).write(rows));
+
+ipcMain.handle("imageStream:end", async (_evt, { id }) => {
+  const writer = imageStream(id);
+  imageStreams.delete(id);
+  try {
+    await writer.end();
+  } catch (err) {
+    writer.abort();
+    throw err;
+  }
+});
+
+ipcMain.handle("imageStream:abort", (_evt, { id }) => {
+  imageStreams.get(id)?.abort();
+  imageStreams.delete(id);
+});
+
+ipcMain.handle("listPresets", () => presets.listPresets());
+
+ipcMain.handle("savePreset", (_evt, preset) => presets.savePreset(preset));
+
+ipcMain.handle("deletePreset", (_evt, { name }) => presets.deletePreset(name));
+
+ipcMain.handle("importPreset", async () => {
+  const res = await dialog.showOpenDialog({
+    properties: ["openFile"],
+    filters: [{ name: "Crosshatch preset", extensions: ["json"] }],
+  });
+  if (res.canceled || res.filePaths.length === 0) return null;
+  return presets.importPresetFile(res.filePaths[0]);
+});
+
+ipcMain.handle("exportPreset", async (_evt, preset) => {
+  const res = await dialog.showSaveDialog({
+    filters: [{ name: "Crosshatch preset", extensions: ["json"] }],
+    defaultPath: presets.fileNameFor(preset.name || "preset"),
+  });
+  if (res.canceled || !res.filePath) return { ok: false };
+
+  presets.writePresetFile(res.filePath, preset);
+  return { ok: true, path: res.filePath };
+});
+
+ipcMain.handle("listUserShaders", () => userShaders.listUserShaders());
+
+ipcMain.handle("openUserShadersFolder", async () => {
+  const error = await shell.openPath(userShaders.shadersDir());
+  if (error) throw new Error(error);
+});
+
+const projectFilters = [
+  { name: "Crosshatch project", extensions: [projectFiles.PROJECT_EXTENSION] },
+];
+
+ipcMain.handle("openProject", async () => {
+  const res = await dialog.showOpenDialog({
+    properties: ["openFile"],
+    filters: projectFilters,
+  });
+  if (res.canceled || res.filePaths.length === 0) return null;
+
+  const filePath = res.filePaths[0];
+  const project = projectFiles.readProject(filePath);
+  let image = projectFiles.resolveProjectImage(filePath, project.image);
+
+  if (!image) {
+    const missing = project.image.path || project.image.name || "(unknown)";
+    const choice = await dialog.showMessageBox({
+      type: "warning",
+      message: "The image used by this project could not be found.",
+      detail: `${missing}\n\nLocate the image to open the project.`,
+      buttons: ["Locate…", "Cancel"],
+      defaultId: 0,
+      cancelId: 1,
+    });
+    if (choice.response !== 0) return null;
+
+    const pick = await dialog.showOpenDialog({
+      properties: ["openFile"],
+      defaultPath: path.dirname(filePath),
+      filters: [{ name: "Images", extensions: IMAGE_EXTENSIONS }],
+    });
+    if (pick.canceled || pick.filePaths.length === 0) return null;
+    image = { path: pick.filePaths[0] };
+  }
+
+  image.relocated = !!image.path && image.path !== project.image.path;
+  return { filePath, project, image };
+});
+
+ipcMain.handle("saveProject", async (_evt, { filePath, project, embed }) => {
+  let target = filePath;
+  if (!target) {
+    const base = project.image?.name
+      ? path.basename(project.image.name, path.extname(project.image.name))
+      : "Untitled";
+    const res = await dialog.showSaveDialog({
+      filters: projectFilters,
+      defaultPath: `${base}.${projectFiles.PROJECT_EXTENSION}`,
+    });
+    if (res.canceled || !res.filePath) return { ok: false };
+    target = res.filePath;
+  }
+
+  projectFiles.writeProject(target, project, { embed });
+  return { ok: true, path: target };
+});
+
+ipcMain.on("setDocumentEdited", (evt, edited) => {
+  const win = BrowserWindow.fromWebContents(evt.sender);
+  if (!win) return;
+  win.documentEdited = !!edited;
+  if (process.platform === "darwin") win.setDocumentEdited(!!edited);
+});
+
+ipcMain.handle("closeWindow", (evt) => {
+  const win = BrowserWindow.fromWebContents(evt.sender);
+  if (!win) return;
+  win.forceClose = true;
+  win.close();
+});
+
+ipcMain.handle("saveSvg", async (_evt, { svgText }) => {
   const res = await dialog.showSaveDialog({
-    filters: [{ name: "PNG", extensions: ["png"] }],
-    defaultPath: "crosshatch.png",
+    filters: [{ name: "SVG", extensions: ["svg"] }],
+    defaultPath: "crosshatch.svg",
   });
   if (res.canceled || !res.filePath) return { ok: false };
 
-  fs.writeFileSync(res.filePath, Buffer.from(pngBuffer));
+  fs.writeFileSync(res.filePath, svgText, "utf8");
   return { ok: true, path: res.filePath };
 });
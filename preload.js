@@ -1,6 +1,44 @@
-const { contextBridge, ipcRenderer } = require("electron");
+const { contextBridge, ipcRenderer, webUtils } = require("electron");
 
 contextBridge.exposeInMainWorld("api", {
   pickImage: () => ipcRenderer.invoke("pickImage"),
-  savePng: (pngBuffer) => ipcRenderer.invoke("savePng", { pngBuffer }),
+  pickImages: (opts) => ipcRenderer.invoke("pickImages", opts),
+  pickFolder: () => ipcRenderer.invoke("pickFolder"),
+  // Path of a File from a drop or file input.
+  pathForFile: (file) => webUtils.getPathForFile(file),
+  saveSvg: (svgText) => ipcRenderer.invoke("saveSvg", { svgText }),
+  pickExportPath: (format, source) =>
+    ipcRenderer.invoke("pickExportPath", { format, source }),
+  saveImage: (opts) => ipcRenderer.invoke("saveImage", opts),
+  readClipboardImage: () => ipcRenderer.invoke("readClipboardImage"),
+  copyImage: (pngBytes) => ipcRenderer.invoke("copyImage", { pngBytes }),
+  imageStream: {
+    begin: (opts) => ipcRenderer.invoke("imageStream:begin", opts),
+    write: (id, rows) => ipcRenderer.invoke("imageStream:write", { id, rows }),
+    end: (id) => ipcRenderer.invoke("imageStream:end", { id }),
+    abort: (id) => ipcRenderer.invoke("imageStream:abort", { id }),
+  },
+
+  listPresets: () => ipcRenderer.invoke("listPresets"),
+  savePreset: (preset) => ipcRenderer.invoke("savePreset", preset),
+  deletePreset: (name) => ipcRenderer.invoke("deletePreset", { name }),
+  importPreset: () => ipcRenderer.invoke("importPreset"),
+  exportPreset: (preset) => ipcRenderer.invoke("exportPreset", preset),
+
+  listUserShaders: () => ipcRenderer.invoke("listUserShaders"),
+  openUserShadersFolder: () => ipcRenderer.invoke("openUserShadersFolder"),
+  onUserShadersChanged: (cb) => ipcRenderer.on("userShadersChanged", () => cb()),
+
+  openProject: () => ipcRenderer.invoke("openProject"),
+  saveProject: (filePath, project, embed) =>
+    ipcRenderer.invoke("saveProject", { filePath, project, embed }),
+  setDocumentEdited: (edited) => ipcRenderer.send("setDocumentEdited", edited),
+  closeWindow: () => ipcRenderer.invoke("closeWindow"),
+  onSaveBeforeClose: (cb) => ipcRenderer.on("saveBeforeClose", () => cb()),
+
+  batch: {
+    nextJob: () => ipcRenderer.invoke("batch:nextJob"),
+    submit: (result) => ipcRenderer.invoke("batch:submit", result),
+    fail: (message) => ipcRenderer.invoke("batch:fail", { message }),
+  },
 });
@@ -0,0 +1,186 @@
+import { createProgram, createFullscreenQuad, createFBO } from "./gl.js";
+import { DEFAULT_PARAMS, clampParams } from "./params.js";
+
+// --- Image Analysis ---
+
+function mapRange(value, inMin, inMax, outMin, outMax) {
+  const clamped = Math.max(inMin, Math.min(inMax, value));
+  return outMin + (outMax - outMin) * ((clamped - inMin) / (inMax - inMin));
+}
+
+function rgbToLuminance(r, g, b) {
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+// Read the image back scaled to size x size, as RGBA bytes.
+function readDownsampled(gl, srcTex, analysisSize) {
+  const fbo = createFBO(gl, analysisSize, analysisSize);
+  
+  const analysisVS = `#version 300 es
+    layout(location=0) in vec2 a_pos;
+    out vec2 v_uv;
+    void main() {
+      v_uv = a_pos * 0.5 + 0.5;
+      gl_Position = vec4(a_pos, 0.0, 1.0);
+    }
+  `;
+  const analysisFS = `#version 300 es
+    precision highp float;
+    uniform sampler2D u_image;
+    in vec2 v_uv;
+    out vec4 outColor;
+    void main() {
+      outColor = texture(u_image, v_uv);
+    }
+  `;
+  
+  const analysisProg = createProgram(gl, analysisVS, analysisFS);
+  const analysisQuad = createFullscreenQuad(gl);
+  
+  gl.bindFramebuffer(gl.FRAMEBUFFER, fbo.fbo);
+  gl.viewport(0, 0, analysisSize, analysisSize);
+  gl.useProgram(analysisProg);
+  gl.bindVertexArray(analysisQuad.vao);
+  
+  gl.activeTexture(gl.TEXTURE0);
+  gl.bindTexture(gl.TEXTURE_2D, srcTex);
+  gl.uniform1i(gl.getUniformLocation(analysisProg, "u_image"), 0);
+  
+  gl.drawArrays(gl.TRIANGLES, 0, 6);
+  
+  const pixels = new Uint8Array(analysisSize * analysisSize * 4);
+  gl.readPixels(0, 0, analysisSize, analysisSize, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+  
+  gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  gl.deleteFramebuffer(fbo.fbo);
+  gl.deleteTexture(fbo.tex);
+  gl.deleteProgram(analysisProg);
+  gl.deleteVertexArray(analysisQuad.vao);
+  gl.deleteBuffer(analysisQuad.vbo);
+  return pixels;
+}
+
+export const HISTOGRAM_BINS = 256;
+
+// Luminance histogram of the image (before Brightness) from a 256 x 256
+// readback: HISTOGRAM_BINS counts over 0..1.
+export function luminanceHistogram(gl, srcTex) {
+  const size = 256;
+  const pixels = readDownsampled(gl, srcTex, size);
+  const bins = new Uint32Array(HISTOGRAM_BINS);
+  for (let i = 0; i < size * size; i++) {
+    const lum = rgbToLuminance(pixels[i * 4], pixels[i * 4 + 1], pixels[i * 4 + 2]) / 255;
+    bins[Math.min(HISTOGRAM_BINS - 1, Math.floor(lum * HISTOGRAM_BINS))]++;
+  }
+  return bins;
+}
+
+// Side of the square readback Auto's statistics are computed from.
+export const ANALYSIS_SIZE = 64;
+
+export function analyzeImage(gl, srcTex, srcW, srcH) {
+  return analyzePixels(readDownsampled(gl, srcTex, ANALYSIS_SIZE), ANALYSIS_SIZE);
+}
+
+// Statistics of size x size RGBA bytes, as read back by analyzeImage.
+export function analyzePixels(pixels, analysisSize) {
+  const numPixels = analysisSize * analysisSize;
+  let sumLum = 0;
+  let sumLumSq = 0;
+  const luminances = new Float32Array(numPixels);
+  
+  for (let i = 0; i < numPixels; i++) {
+    const r = pixels[i * 4] / 255;
+    const g = pixels[i * 4 + 1] / 255;
+    const b = pixels[i * 4 + 2] / 255;
+    const lum = rgbToLuminance(r, g, b);
+    luminances[i] = lum;
+    sumLum += lum;
+    sumLumSq += lum * lum;
+  }
+  
+  const meanLum = sumLum / numPixels;
+  const variance = (sumLumSq / numPixels) - (meanLum * meanLum);
+  const stdLum = Math.sqrt(Math.max(0, variance));
+  
+  let edgeSum = 0;
+  for (let y = 1; y < analysisSize - 1; y++) {
+    for (let x = 1; x < analysisSize - 1; x++) {
+      const idx = y * analysisSize + x;
+      const left = luminances[idx - 1];
+      const right = luminances[idx + 1];
+      const up = luminances[idx - analysisSize];
+      const down = luminances[idx + analysisSize];
+      
+      const gx = right - left;
+      const gy = down - up;
+      const gradient = Math.sqrt(gx * gx + gy * gy);
+      edgeSum += gradient;
+    }
+  }
+  const edgeDensity = edgeSum / ((analysisSize - 2) * (analysisSize - 2));
+  
+  let localVarSum = 0;
+  const blockSize = 8;
+  const numBlocks = Math.floor(analysisSize / blockSize);
+  
+  for (let by = 0; by < numBlocks; by++) {
+    for (let bx = 0; bx < numBlocks; bx++) {
+      let blockSum = 0;
+      let blockSumSq = 0;
+      const blockPixels = blockSize * blockSize;
+      
+      for (let dy = 0; dy < blockSize; dy++) {
+        for (let dx = 0; dx < blockSize; dx++) {
+          const idx = (by * blockSize + dy) * analysisSize + (bx * blockSize + dx);
+          const lum = luminances[idx];
+          blockSum += lum;
+          blockSumSq += lum * lum;
+        }
+      }
+      
+      const blockMean = blockSum / blockPixels;
+      const blockVar = (blockSumSq / blockPixels) - (blockMean * blockMean);
+      localVarSum += blockVar;
+    }
+  }
+  const textureComplexity = localVarSum / (numBlocks * numBlocks);
+  
+  return {
+    meanLum,
+    stdLum,
+    edgeDensity: Math.min(1, edgeDensity * 5),
+    textureComplexity: Math.min(1, textureComplexity * 20)
+  };
+}
+
+export function calculateAutoSettings(analysis) {
+  // Brightness: dark+high contrast = less boost, dark+low contrast = more boost
+  let brightness;
+  if (analysis.meanLum < 0.35) {
+    const contrastFactor = mapRange(analysis.stdLum, 0.1, 0.25, 1.0, 0.3);
+    brightness = 0.95 + (0.3 * contrastFactor);
+  } else if (analysis.meanLum < 0.55) {
+    brightness = mapRange(analysis.meanLum, 0.35, 0.55, 0.95, 0.85);
+  } else {
+    brightness = mapRange(analysis.meanLum, 0.55, 0.75, 0.85, 0.75);
+  }
+
+  const toon = mapRange(analysis.stdLum, 0.1, 0.25, 0.24, 0.28);
+
+  const threshold = analysis.meanLum < 0.35 
+    ? mapRange(analysis.meanLum, 0.15, 0.35, 0.25, 0.32)
+    : mapRange(analysis.meanLum, 0.35, 0.6, 0.34, 0.30);
+
+  const edges = analysis.meanLum < 0.35
+    ? 1.0
+    : mapRange(analysis.textureComplexity, 0.4, 0.8, 1.15, 1.0);
+
+  const hatching = analysis.meanLum < 0.35
+    ? mapRange(analysis.meanLum, 0.15, 0.35, 0.75, 0.90)
+    : 1.0;
+
+  const scale = DEFAULT_PARAMS.scale;
+
+  return clampParams({ brightness, scale, hatching, edges, toon, threshold });
+}
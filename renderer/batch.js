@@ -0,0 +1,207 @@
+import { createGL } from "./gl.js";
+import { DEFAULT_PARAMS } from "./params.js";
+import {
+  loadImageFromPath,
+  createCrosshatchPipeline,
+  createSource,
+  needsTiling,
+  renderFullResolution,
+  encodePng,
+} from "./pipeline.js";
+import { ANALYSIS_SIZE, analyzeImage, analyzePixels, calculateAutoSettings } from "./analysis.js";
+import { DEFAULT_HATCH_TEXTURE, loadHatchLayers } from "./textures.js";
+import { renderTiled } from "./tiles.js";
+import { createCpuWorkers, imageDataOf, imageSource } from "./cpu-workers.js";
+
+// Headless counterpart of renderer.js: pulls jobs from the main process,
+// renders each one through the same pipeline and hands back PNG bytes.
+// Without WebGL 2 the jobs are rendered on the CPU instead.
+
+// Jobs usually share one texture, so only reload when it changes.
+let hatchTextureKey = JSON.stringify(DEFAULT_HATCH_TEXTURE);
+
+async function useHatchTexture(pipeline, desc) {
+  const key = JSON.stringify(desc || DEFAULT_HATCH_TEXTURE);
+  if (key === hatchTextureKey) return;
+  pipeline.setHatchLayers(await loadHatchLayers(desc || DEFAULT_HATCH_TEXTURE));
+  hatchTextureKey = key;
+}
+
+// How long to wait for a lost WebGL context to come back.
+const RESTORE_TIMEOUT_MS = 10000;
+
+// Auto settings carried between the frames of a sequence.
+let sequenceAuto = null;
+
+// Auto for one frame: its own ("frame"), the first frame's ("lock"), or
+// eased towards its own so looks drift rather than flicker ("smooth").
+function sequenceAutoSettings(auto, { index, autoMode, autoSmoothing }) {
+  if (index === 0 || !sequenceAuto || autoMode === "frame") {
+    sequenceAuto = auto;
+  } else if (autoMode === "smooth") {
+    const k = autoSmoothing;
+    const eased = { ...auto };
+    for (const [key, value] of Object.entries(auto)) {
+      const prev = sequenceAuto[key];
+      if (typeof value === "number" && typeof prev === "number") {
+        eased[key] = prev * k + value * (1 - k);
+      }
+    }
+    sequenceAuto = eased;
+  }
+  return sequenceAuto;
+}
+
+// Parameters of a job: its preset, then Auto from the statistics
+// `analyze()` returns, then its overrides.
+function jobParams(job, analyze) {
+  let params = { ...DEFAULT_PARAMS, ...job.params };
+  if (job.auto) {
+    let auto = calculateAutoSettings(analyze());
+    if (job.sequence) auto = sequenceAutoSettings(auto, job.sequence);
+    params = { ...params, ...auto };
+  }
+  return { ...params, ...job.overrides };
+}
+
+async function streamTiled(gl, pipeline, img, source, params, filePath) {
+  const stream = await window.api.imageStream.begin({
+    filePath,
+    format: "png",
+    width: source.imageW,
+    height: source.imageH,
+  });
+  try {
+    await renderTiled(gl, pipeline, img, source, params, {
+      onRows: (rows) => window.api.imageStream.write(stream.id, rows),
+    });
+    await window.api.imageStream.end(stream.id);
+  } catch (err) {
+    await window.api.imageStream.abort(stream.id);
+    throw err;
+  }
+}
+
+async function runJob(gl, pipeline, job) {
+  await useHatchTexture(pipeline, job.hatchTexture);
+  if (job.sequence?.index === 0) pipeline.setFlowSmoothing(job.sequence.flowSmoothing);
+  const img = await loadImageFromPath(job.input);
+  const source = createSource(gl, img);
+
+  try {
+    const params = jobParams(job, () => analyzeImage(gl, source.tex, source.w, source.h));
+    pipeline.setParams(params);
+    const width = source.imageW;
+    const height = source.imageH;
+    if (needsTiling(source)) {
+      await streamTiled(gl, pipeline, img, source, params, job.output);
+      return { streamed: true, params, width, height };
+    }
+    const pixels = renderFullResolution(gl, pipeline, source);
+    const pngBuffer = await encodePng(pixels, width, height);
+    return { pngBuffer, params, width, height };
+  } finally {
+    gl.deleteTexture(source.tex);
+  }
+}
+
+// Hand each job to `await run(job)` and its result or error back to the
+// main process. An error from `await prepare()` before a job ends the
+// batch.
+async function processJobs(run, prepare = async () => {}) {
+  for (;;) {
+    const job = await window.api.batch.nextJob();
+    if (!job) break;
+    await prepare();
+    try {
+      const result = await run(job);
+      await window.api.batch.submit({ id: job.id, ...result });
+    } catch (err) {
+      await window.api.batch.submit({
+        id: job.id,
+        error: err?.message || String(err),
+      });
+    }
+  }
+}
+
+let cpuHatch = null; // { key, layers }
+
+async function runCpuJob(workers, job) {
+  const key = JSON.stringify(job.hatchTexture || DEFAULT_HATCH_TEXTURE);
+  if (cpuHatch?.key !== key) {
+    const layers = await loadHatchLayers(job.hatchTexture || DEFAULT_HATCH_TEXTURE);
+    cpuHatch = { key, layers: layers.map((img) => imageDataOf(img)) };
+  }
+  if (job.sequence?.index === 0) workers.setFlowSmoothing(job.sequence.flowSmoothing);
+  const img = await loadImageFromPath(job.input);
+  const source = imageSource(img);
+
+  // The statistics of analyzeImage, from a canvas instead of the GPU.
+  const params = jobParams(job, () =>
+    analyzePixels(imageDataOf(img, ANALYSIS_SIZE, ANALYSIS_SIZE).data, ANALYSIS_SIZE)
+  );
+  const width = source.imageW;
+  const height = source.imageH;
+
+  const stream = await window.api.imageStream.begin({
+    filePath: job.output,
+    format: "png",
+    width,
+    height,
+  });
+  try {
+    await workers.render(
+      width,
+      height,
+      source,
+      { center: { x: width / 2, y: height / 2 }, zoom: 1 },
+      { params, hatch: cpuHatch.layers },
+      { onRows: (rows) => window.api.imageStream.write(stream.id, rows) }
+    );
+    await window.api.imageStream.end(stream.id);
+  } catch (err) {
+    await window.api.imageStream.abort(stream.id);
+    throw err;
+  }
+  return { streamed: true, params, width, height };
+}
+
+async function main() {
+  const canvas = document.getElementById("gl");
+  let gl;
+  try {
+    gl = createGL(canvas);
+  } catch (err) {
+    console.warn(`${err.message}; rendering on the CPU`);
+    const workers = createCpuWorkers();
+    await processJobs((job) => runCpuJob(workers, job));
+    workers.dispose();
+    return;
+  }
+  let pipeline = await createCrosshatchPipeline(gl);
+  // Without this a lost context is not restored.
+  canvas.addEventListener("webglcontextlost", (e) => e.preventDefault());
+
+  await processJobs(
+    (job) => runJob(gl, pipeline, job),
+    async () => {
+      // A GPU reset fails the job it interrupts (see assertContext); later
+      // jobs wait for the context and a new pipeline.
+      if (!gl.isContextLost()) return;
+      await new Promise((resolve, reject) => {
+        canvas.addEventListener("webglcontextrestored", resolve, { once: true });
+        setTimeout(() => reject(new Error("The graphics device did not recover")), RESTORE_TIMEOUT_MS);
+      });
+      pipeline = await createCrosshatchPipeline(gl);
+      hatchTextureKey = JSON.stringify(DEFAULT_HATCH_TEXTURE);
+    }
+  );
+
+  pipeline.dispose();
+}
+
+main().catch((err) => {
+  console.error(err);
+  window.api.batch.fail(String(err?.message || err));
+});
@@ -0,0 +1,178 @@
+import { loadImageFromPath } from "./pipeline.js";
+import { PARAMS, createParamControls, updateParamRows } from "./params.js";
+import { DEFAULT_HATCH_TEXTURE, loadHatchLayers } from "./textures.js";
+import { createCpuWorkers, imageDataOf, imageSource } from "./cpu-workers.js";
+import { showNotice } from "./notices.js";
+
+// The window on a computer without WebGL 2: opening an image, the
+// parameters and PNG export, rendered on the CPU by cpu-workers.js. The
+// rest of the toolbar needs the GPU and stays disabled.
+
+// Longest side of the source the preview is rendered from, as the GPU
+// preview's is capped by MAX_SOURCE_SIZE.
+const PREVIEW_MAX_SIZE = 1024;
+
+export async function startCpuFallback() {
+  const topbar = document.getElementById("topbar");
+  const canvas = document.getElementById("gl");
+  const ctx = canvas.getContext("2d");
+  const btnOpen = document.getElementById("btnOpen");
+  const btnExport = document.getElementById("btnExport");
+  const progressDialog = document.getElementById("progressDialog");
+  const progressLabel = document.getElementById("progressLabel");
+  const progressBar = document.getElementById("progressBar");
+
+  for (const el of topbar.querySelectorAll("button, select, input")) {
+    if (el !== btnOpen) el.disabled = true;
+  }
+  const controls = createParamControls(topbar);
+  const updateRows = () => {
+    const p = controls.read();
+    updateParamRows(controls, p);
+    canvas.classList.toggle("checkerboard", p.paperMode === "transparent");
+  };
+  for (const def of PARAMS) {
+    if (def.type === "choice") controls.inputs[def.name].addEventListener("change", updateRows);
+  }
+  updateRows();
+
+  const workers = createCpuWorkers();
+  // Kept as one array so the workers prepare it once.
+  const hatch = (await loadHatchLayers(DEFAULT_HATCH_TEXTURE)).map((img) => imageDataOf(img));
+  showNotice(
+    `WebGL 2 is not available, so images are rendered on the CPU (${workers.threads} ` +
+      `${workers.threads === 1 ? "thread" : "threads"}). Opening, the settings and PNG export ` +
+      "work; the other tools need WebGL 2.",
+    "info"
+  );
+
+  let image = null; // { img, path, name }
+  let preview = null;
+  let exporting = false;
+
+  // --- Preview ---
+
+  // Bumped by every change; a render that sees it move stops and starts
+  // over.
+  let generation = 0;
+  let previewRunning = false;
+
+  async function drawPreview(isCancelled) {
+    const dpr = window.devicePixelRatio || 1;
+    const w = Math.max(1, Math.floor(canvas.clientWidth * dpr));
+    const h = Math.max(1, Math.floor(canvas.clientHeight * dpr));
+    if (canvas.width !== w || canvas.height !== h) {
+      canvas.width = w;
+      canvas.height = h;
+    }
+    const view = {
+      center: { x: preview.imageW / 2, y: preview.imageH / 2 },
+      zoom: Math.min(w / preview.imageW, h / preview.imageH),
+    };
+    let y = 0;
+    return await workers.render(
+      w,
+      h,
+      preview,
+      view,
+      { params: controls.read(), hatch },
+      {
+        isCancelled,
+        onRows: (rows, rowsH) => {
+          ctx.putImageData(new ImageData(rows, w, rowsH), 0, y);
+          y += rowsH;
+        },
+      }
+    );
+  }
+
+  async function requestPreview() {
+    generation++;
+    if (previewRunning || !preview) return;
+    previewRunning = true;
+    try {
+      for (;;) {
+        const current = generation;
+        const done = await drawPreview(() => current !== generation);
+        if (done && current === generation) break;
+      }
+    } catch (err) {
+      console.error(err);
+      showNotice(err?.message || String(err));
+    } finally {
+      previewRunning = false;
+    }
+  }
+
+  topbar.addEventListener("input", requestPreview);
+  topbar.addEventListener("change", requestPreview);
+  new ResizeObserver(requestPreview).observe(canvas);
+
+  // --- Open and export ---
+
+  btnOpen.addEventListener("click", async () => {
+    const filePath = await window.api.pickImage();
+    if (!filePath) return;
+    try {
+      const img = await loadImageFromPath(filePath);
+      image = { img, path: filePath, name: filePath.split(/[\\/]/).pop() };
+      preview = imageSource(img, PREVIEW_MAX_SIZE);
+      btnExport.disabled = false;
+      requestPreview();
+    } catch (err) {
+      showNotice(err?.message || String(err));
+    }
+  });
+
+  let exportCancelled = false;
+  document.getElementById("btnCancelProgress").addEventListener("click", () => {
+    exportCancelled = true;
+    progressLabel.textContent = "Cancelling…";
+  });
+  progressDialog.addEventListener("cancel", (e) => e.preventDefault());
+
+  // PNG at full size, streamed to the main process strip by strip.
+  btnExport.addEventListener("click", async () => {
+    if (!image || exporting) return;
+    const filePath = await window.api.pickExportPath("png", { path: image.path, name: image.name });
+    if (!filePath) return;
+
+    exporting = true;
+    exportCancelled = false;
+    generation++;
+    const source = imageSource(image.img);
+    const { imageW: w, imageH: h } = source;
+    progressLabel.textContent = `Exporting ${w} × ${h} on the CPU…`;
+    progressBar.value = 0;
+    progressDialog.showModal();
+    try {
+      const stream = await window.api.imageStream.begin({ filePath, format: "png", width: w, height: h });
+      try {
+        const done = await workers.render(
+          w,
+          h,
+          source,
+          { center: { x: w / 2, y: h / 2 }, zoom: 1 },
+          { params: controls.read(), hatch },
+          {
+            onRows: (rows) => window.api.imageStream.write(stream.id, rows),
+            onProgress: (fraction) => (progressBar.value = fraction),
+            isCancelled: () => exportCancelled,
+          }
+        );
+        if (done) await window.api.imageStream.end(stream.id);
+        else await window.api.imageStream.abort(stream.id);
+      } catch (err) {
+        await window.api.imageStream.abort(stream.id).catch(() => {});
+        throw err;
+      }
+    } catch (err) {
+      console.error(err);
+      showNotice(err?.message || String(err));
+    } finally {
+      exporting = false;
+      progressDialog.close();
+      requestPreview();
+    }
+  });
+}
@@ -0,0 +1,743 @@
+import {
+  LINE_MODES,
+  HYSTERESIS_PASSES,
+  XDOG_SIGMA,
+  XDOG_K,
+  MAX_LINE_WEIGHT,
+  lineMargin,
+} from "./lines.js";
+import { FLOW_MAX_SIZE, hatchLod, hexToRgb } from "./pipeline.js";
+import { DEFAULT_PARAMS } from "./params.js";
+
+// The crosshatch pipeline in plain JavaScript: the passes of pipeline.js
+// and lines.js and their shaders, for machines without WebGL 2 and for
+// scripts under Node. cpu-workers.js runs it on several threads.
+//
+// Images in and out are { width, height, data } with top-down RGBA bytes,
+// like ImageData. Inside, rows are bottom-up like the GL textures, so the
+// code follows the shaders line for line. The line passes round to half
+// floats like the GPU's targets, so the result matches the GPU's up to
+// rounding.
+
+const LUMA = [0.2126, 0.7152, 0.0722];
+const FLOW_STEPS = 12;
+// Kernel limits of lines.frag and flow_blur.frag.
+const MAX_LINE_BLUR_RADIUS = 64;
+const MAX_FLOW_BLUR_RADIUS = 128;
+
+// x rounded to a half float, as the float targets of lines.js store it.
+function roundHalf(x) {
+  const a = Math.abs(x);
+  let e = Math.max(-14, Math.floor(Math.log2(a)));
+  if (e > -14 && 2 ** e > a) e--; // log2 rounded up to a power of two
+  const ulp = 2 ** (e - 10);
+  const q = x / ulp;
+  const n = Math.round(q);
+  return (n - q === 0.5 && n % 2 ? n - 1 : n) * ulp; // ties to even
+}
+
+const clamp01 = (x) => Math.min(1, Math.max(0, x));
+const clampIndex = (i, n) => (i < 0 ? 0 : i >= n ? n - 1 : i);
+const fract = (x) => x - Math.floor(x);
+const mix = (a, b, t) => a + (b - a) * t;
+const step = (edge, x) => (x < edge ? 0 : 1);
+const luminance = (r, g, b) => LUMA[0] * r + LUMA[1] * g + LUMA[2] * b;
+
+function flipRows(data, height) {
+  const out = new data.constructor(data.length);
+  const row = data.length / height;
+  for (let y = 0; y < height; y++) {
+    out.set(data.subarray(y * row, (y + 1) * row), (height - 1 - y) * row);
+  }
+  return out;
+}
+
+// Area-averaged copy of top-down RGBA bytes at w x h, for downscaled
+// sources and hatch layers of another size.
+function resample(image, w, h) {
+  const { width: W, height: H, data } = image;
+  const out = new Uint8ClampedArray(w * h * 4);
+  const sx = W / w;
+  const sy = H / h;
+  for (let y = 0; y < h; y++) {
+    const ya = Math.floor(y * sy);
+    const yb = Math.max(ya + 1, Math.min(H, Math.round((y + 1) * sy)));
+    for (let x = 0; x < w; x++) {
+      const xa = Math.floor(x * sx);
+      const xb = Math.max(xa + 1, Math.min(W, Math.round((x + 1) * sx)));
+      const sum = [0, 0, 0, 0];
+      for (let v = ya; v < yb; v++) {
+        for (let u = xa; u < xb; u++) {
+          const i = (v * W + u) * 4;
+          for (let c = 0; c < 4; c++) sum[c] += data[i + c];
+        }
+      }
+      const n = (yb - ya) * (xb - xa);
+      const o = (y * w + x) * 4;
+      for (let c = 0; c < 4; c++) out[o + c] = Math.round(sum[c] / n);
+    }
+  }
+  return { width: w, height: h, data: out };
+}
+
+// Textures are { data, w, h, channels, scale }, `scale` turning stored
+// values into 0..1.
+const byteTexture = (source) => ({ data: source.data, w: source.w, h: source.h, channels: 4, scale: 1 / 255 });
+
+// texture() with LINEAR filtering and CLAMP_TO_EDGE at texel position
+// (x, y), texel centres at +0.5: the first out.length channels into `out`.
+function sampleLinear(tex, x, y, out) {
+  const { data, w, h, channels, scale } = tex;
+  const fx = x - 0.5;
+  const fy = y - 0.5;
+  const ix = Math.floor(fx);
+  const iy = Math.floor(fy);
+  const ax = fx - ix;
+  const ay = fy - iy;
+  const x0 = clampIndex(ix, w) * channels;
+  const x1 = clampIndex(ix + 1, w) * channels;
+  const row0 = clampIndex(iy, h) * w * channels;
+  const row1 = clampIndex(iy + 1, h) * w * channels;
+  for (let c = 0; c < out.length; c++) {
+    const lower = mix(data[row0 + x0 + c], data[row0 + x1 + c], ax);
+    const upper = mix(data[row1 + x0 + c], data[row1 + x1 + c], ax);
+    out[c] = mix(lower, upper, ay) * scale;
+  }
+  return out;
+}
+
+// As sampleLinear with REPEAT, on one level of a hatch layer.
+function sampleRepeat(level, u, v) {
+  const { data, w, h } = level;
+  const fx = u * w - 0.5;
+  const fy = v * h - 0.5;
+  const ix = Math.floor(fx);
+  const iy = Math.floor(fy);
+  const ax = fx - ix;
+  const ay = fy - iy;
+  const x0 = ((ix % w) + w) % w;
+  const x1 = (x0 + 1) % w;
+  const row0 = (((iy % h) + h) % h) * w;
+  const row1 = ((row0 / w + 1) % h) * w;
+  return mix(mix(data[row0 + x0], data[row0 + x1], ax), mix(data[row1 + x0], data[row1 + x1], ax), ay);
+}
+
+// One hatch image as GL keeps it after generateMipmap: levels halved down
+// to 1 x 1, each stored as luminance, which is all crosshatch.frag reads.
+// A texel of the next level is a bilinear sample of this one at its centre,
+// as ANGLE blits them: a box filter for even sizes, and like theirs rounded
+// half to even by Uint8ClampedArray.
+function mipChain(image) {
+  let { width: w, height: h } = image;
+  let data = flipRows(image.data, h);
+  const levels = [];
+  for (;;) {
+    const lum = new Float32Array(w * h);
+    for (let i = 0; i < w * h; i++) {
+      lum[i] = luminance(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]) / 255;
+    }
+    levels.push({ data: lum, w, h });
+    if (w === 1 && h === 1) return levels;
+
+    const nw = Math.max(1, w >> 1);
+    const nh = Math.max(1, h >> 1);
+    const next = new Uint8ClampedArray(nw * nh * 4);
+    for (let y = 0; y < nh; y++) {
+      const fy = ((y + 0.5) * h) / nh - 0.5;
+      const ay = fy - Math.floor(fy);
+      const ya = clampIndex(Math.floor(fy), h) * w;
+      const yb = clampIndex(Math.floor(fy) + 1, h) * w;
+      for (let x = 0; x < nw; x++) {
+        const fx = ((x + 0.5) * w) / nw - 0.5;
+        const ax = fx - Math.floor(fx);
+        const xa = clampIndex(Math.floor(fx), w);
+        const xb = clampIndex(Math.floor(fx) + 1, w);
+        for (let c = 0; c < 3; c++) {
+          next[(y * nw + x) * 4 + c] = mix(
+            mix(data[(ya + xa) * 4 + c], data[(ya + xb) * 4 + c], ax),
+            mix(data[(yb + xa) * 4 + c], data[(yb + xb) * 4 + c], ax),
+            ay
+          );
+        }
+      }
+    }
+    data = next;
+    w = nw;
+    h = nh;
+  }
+}
+
+// The hatch images (see textures.js) as pipeline.setHatchLayers takes
+// them, ready for renderCpu. Layers are scaled to the first one's size.
+export function prepareHatch(layers) {
+  if (!layers?.length) throw new Error("No hatch images given");
+  const { width, height } = layers[0];
+  return layers.map((layer) =>
+    mipChain(layer.width === width && layer.height === height ? layer : resample(layer, width, height))
+  );
+}
+
+// Mask coverage for renderCpu: the alpha of an image over the whole image.
+export function prepareMask(coverage) {
+  const { width: w, height: h } = coverage;
+  const alpha = new Uint8ClampedArray(w * h);
+  for (let i = 0; i < w * h; i++) alpha[i] = coverage.data[i * 4 + 3];
+  return { data: flipRows(alpha, h), w, h, channels: 1, scale: 1 / 255 };
+}
+
+// A source as createSource (pipeline.js) makes one: w x h texels of RGBA
+// bytes, bottom-up, covering `rect` (bottom-up image pixels) of an imageW x
+// imageH image. Images larger than `maxSize` on their longest side are
+// scaled down.
+export function createCpuSource(image, maxSize = Infinity) {
+  const { width: imageW, height: imageH } = image;
+  const scale = Math.min(1, maxSize / Math.max(imageW, imageH));
+  const w = Math.max(1, Math.round(imageW * scale));
+  const h = Math.max(1, Math.round(imageH * scale));
+  return {
+    data: flipRows((scale < 1 ? resample(image, w, h) : image).data, h),
+    w,
+    h,
+    imageW,
+    imageH,
+    rect: { x: 0, y: 0, w: imageW, h: imageH },
+  };
+}
+
+// Texels [x0, x1) x [y0, y1) of `source` as a source of their own, like
+// the tiles of tiles.js.
+export function cropSource(source, [x0, y0, x1, y1]) {
+  const w = x1 - x0;
+  const h = y1 - y0;
+  const data = new Uint8ClampedArray(w * h * 4);
+  for (let y = 0; y < h; y++) {
+    const start = ((y0 + y) * source.w + x0) * 4;
+    data.set(source.data.subarray(start, start + w * 4), y * w * 4);
+  }
+  const sx = source.rect.w / source.w;
+  const sy = source.rect.h / source.h;
+  return {
+    data,
+    w,
+    h,
+    imageW: source.imageW,
+    imageH: source.imageH,
+    rect: { x: source.rect.x + x0 * sx, y: source.rect.y + y0 * sy, w: w * sx, h: h * sy },
+  };
+}
+
+// Texels of `source` that output pixels [0, outW) x [0, outH) of `view`
+// filter from, widened by `margin`: [x0, y0, x1, y1], at least one texel.
+export function sourceRegion(source, outW, outH, view, margin = 0) {
+  const outSize = view.outSize || { w: outW, h: outH };
+  const outOffset = view.outOffset || { x: 0, y: 0 };
+  const zoom = Math.max(view.zoom, 1e-6);
+  const { rect } = source;
+  const texelX = (fragX) => (((fragX - 0.5 * outSize.w) / zoom + view.center.x - rect.x) / rect.w) * source.w;
+  const texelY = (fragY) => (((fragY - 0.5 * outSize.h) / zoom + view.center.y - rect.y) / rect.h) * source.h;
+  const range = (lo, hi, size) => {
+    const start = clampIndex(Math.floor(lo - 0.5) - margin, size);
+    return [start, Math.min(size, Math.max(start + 1, Math.floor(hi - 0.5) + 2 + margin))];
+  };
+  const [x0, x1] = range(texelX(outOffset.x + 0.5), texelX(outOffset.x + outW - 0.5), source.w);
+  const [y0, y1] = range(texelY(outOffset.y + 0.5), texelY(outOffset.y + outH - 0.5), source.h);
+  return [x0, y0, x1, y1];
+}
+
+// One direction of lines.frag's blur over R and G, each with its own sigma.
+function blurPass(r, g, w, h, [dx, dy], sigmaR, sigmaG) {
+  const sr = Math.max(sigmaR, 1e-3);
+  const sg = Math.max(sigmaG, 1e-3);
+  const radius = Math.min(Math.ceil(2.5 * Math.max(sr, sg)), MAX_LINE_BLUR_RADIUS);
+  const wr = [];
+  const wg = [];
+  for (let i = 1; i <= radius; i++) {
+    wr.push(Math.exp((-0.5 * i * i) / (sr * sr)));
+    wg.push(Math.exp((-0.5 * i * i) / (sg * sg)));
+  }
+  const outR = new Float32Array(w * h);
+  const outG = new Float32Array(w * h);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const c = y * w + x;
+      let sumR = r[c];
+      let sumG = g[c];
+      let wsumR = 1;
+      let wsumG = 1;
+      for (let i = 1; i <= radius; i++) {
+        const a = clampIndex(y + dy * i, h) * w + clampIndex(x + dx * i, w);
+        const b = clampIndex(y - dy * i, h) * w + clampIndex(x - dx * i, w);
+        sumR += wr[i - 1] * (r[a] + r[b]);
+        sumG += wg[i - 1] * (g[a] + g[b]);
+        wsumR += 2 * wr[i - 1];
+        wsumG += 2 * wg[i - 1];
+      }
+      outR[c] = roundHalf(sumR / wsumR);
+      outG[c] = roundHalf(sumG / wsumG);
+    }
+  }
+  return [outR, outG];
+}
+
+// Outline ink for texels `region` of `source`, as lines.js extracts it
+// from the whole source; the region needs lineMargin() texels of context
+// on each side for its inner part to match.
+function extractLines(source, params, [x0, y0, x1, y1]) {
+  const mode = Math.max(0, LINE_MODES.indexOf(params.lineMode));
+  const blurSigma = Math.max(0, params.lineBlur);
+  const weight = Math.min(MAX_LINE_WEIGHT, Math.max(0, Math.round(params.lineWeight)));
+  const w = x1 - x0;
+  const h = y1 - y0;
+  const at = (a, x, y) => a[clampIndex(y, h) * w + clampIndex(x, w)];
+
+  let r = new Float32Array(w * h);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const i = ((y0 + y) * source.w + x0 + x) * 4;
+      r[y * w + x] = roundHalf(luminance(source.data[i], source.data[i + 1], source.data[i + 2]) / 255);
+    }
+  }
+  let g = r.slice();
+  const blur = (sx, sy) => {
+    for (const dir of [[1, 0], [0, 1]]) [r, g] = blurPass(r, g, w, h, dir, sx, sy);
+  };
+  if (blurSigma >= 0.3) blur(blurSigma, blurSigma);
+  if (mode === 1) blur(XDOG_SIGMA, XDOG_SIGMA * XDOG_K);
+
+  const gradient = (x, y) => {
+    const tl = at(r, x - 1, y + 1);
+    const tm = at(r, x, y + 1);
+    const tr = at(r, x + 1, y + 1);
+    const ml = at(r, x - 1, y);
+    const mr = at(r, x + 1, y);
+    const bl = at(r, x - 1, y - 1);
+    const bm = at(r, x, y - 1);
+    const br = at(r, x + 1, y - 1);
+    return [-tl + tr - 2 * ml + 2 * mr - bl + br, tl + 2 * tm + tr - bl - 2 * bm - br];
+  };
+  const response = (x, y) => Math.hypot(...gradient(x, y)) * 3.5 * params.edges;
+
+  let ink = new Float32Array(w * h);
+  const weak = mode === 2 ? new Float32Array(w * h) : null;
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const i = y * w + x;
+      if (mode === 1) {
+        ink[i] = step(params.lineThreshold, Math.max(g[i] - r[i], 0) * 120 * params.edges);
+      } else if (mode === 2) {
+        const [gx, gy] = gradient(x, y);
+        const m = Math.hypot(gx, gy) * 3.5 * params.edges;
+        const [dx, dy] =
+          Math.abs(gx) > 2.414 * Math.abs(gy) ? [1, 0]
+          : Math.abs(gy) > 2.414 * Math.abs(gx) ? [0, 1]
+          : gx * gy > 0 ? [1, 1] : [1, -1];
+        const peak = m >= Math.max(response(x + dx, y + dy), response(x - dx, y - dy)) ? 1 : 0;
+        ink[i] = peak * step(params.lineThreshold, m);
+        weak[i] = peak * step(0.5 * params.lineThreshold, m);
+      } else {
+        ink[i] = step(params.lineThreshold, Math.min(Math.hypot(...gradient(x, y)) * 3.5, 1) * params.edges);
+      }
+    }
+  }
+
+  if (mode === 2) {
+    for (let pass = 0; pass < HYSTERESIS_PASSES; pass++) {
+      const next = ink.slice();
+      for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+          const i = y * w + x;
+          if (ink[i] > 0.5 || weak[i] < 0.5) continue;
+          search: for (let oy = -1; oy <= 1; oy++) {
+            for (let ox = -1; ox <= 1; ox++) {
+              if (at(ink, x + ox, y + oy) > 0.5) {
+                next[i] = 1;
+                break search;
+              }
+            }
+          }
+        }
+      }
+      ink = next;
+    }
+  }
+
+  for (let pass = 0; pass < weight; pass++) {
+    const diagonal = pass % 2 === 1;
+    const next = new Float32Array(w * h);
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        let v = Math.max(ink[y * w + x], at(ink, x + 1, y), at(ink, x - 1, y), at(ink, x, y + 1), at(ink, x, y - 1));
+        if (diagonal) {
+          v = Math.max(v, at(ink, x + 1, y + 1), at(ink, x - 1, y + 1), at(ink, x + 1, y - 1), at(ink, x - 1, y - 1));
+        }
+        next[y * w + x] = v;
+      }
+    }
+    ink = next;
+  }
+
+  return { data: ink, w, h, channels: 1, scale: 1, x0, y0 };
+}
+
+// One direction of flow_blur.frag, on three channels.
+function flowBlurPass(t, w, h, [dx, dy], sigma) {
+  const radius = Math.min(Math.ceil(2.5 * sigma), MAX_FLOW_BLUR_RADIUS);
+  const k = -0.5 / Math.max(sigma * sigma, 1e-4);
+  const out = new Float32Array(t.length);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const c = (y * w + x) * 3;
+      const sum = [t[c], t[c + 1], t[c + 2]];
+      let wsum = 1;
+      for (let i = 1; i <= radius; i++) {
+        const weight = Math.exp(i * i * k);
+        const a = (clampIndex(y + dy * i, h) * w + clampIndex(x + dx * i, w)) * 3;
+        const b = (clampIndex(y - dy * i, h) * w + clampIndex(x - dx * i, w)) * 3;
+        for (let ch = 0; ch < 3; ch++) sum[ch] += weight * (t[a + ch] + t[b + ch]);
+        wsum += 2 * weight;
+      }
+      for (let ch = 0; ch < 3; ch++) out[c + ch] = sum[ch] / wsum;
+    }
+  }
+  return out;
+}
+
+// The smoothed structure tensor flow hatching follows, as pipeline.js
+// builds it: flow_tensor.frag then flow_blur.frag both ways, at most
+// FLOW_MAX_SIZE on the longest side. `source` must cover the whole image.
+export function computeFlowField(source, radius) {
+  const scale = Math.min(1, FLOW_MAX_SIZE / Math.max(source.w, source.h));
+  const w = Math.max(1, Math.round(source.w * scale));
+  const h = Math.max(1, Math.round(source.h * scale));
+  const image = byteTexture(source);
+  const rgb = [0, 0, 0];
+  const lum = (x, y) => {
+    sampleLinear(image, ((x + 0.5) / w) * source.w, ((y + 0.5) / h) * source.h, rgb);
+    return luminance(rgb[0], rgb[1], rgb[2]);
+  };
+
+  let t = new Float32Array(w * h * 3);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const tl = lum(x - 1, y + 1);
+      const tm = lum(x, y + 1);
+      const tr = lum(x + 1, y + 1);
+      const ml = lum(x - 1, y);
+      const mr = lum(x + 1, y);
+      const bl = lum(x - 1, y - 1);
+      const bm = lum(x, y - 1);
+      const br = lum(x + 1, y - 1);
+      const gx = (-tl + tr - 2 * ml + 2 * mr - bl + br) * 0.25;
+      const gy = (-bl - 2 * bm - br + tl + 2 * tm + tr) * 0.25;
+      const c = (y * w + x) * 3;
+      t[c] = gx * gx;
+      t[c + 1] = gx * gy;
+      t[c + 2] = gy * gy;
+    }
+  }
+  const sigma = (radius * w) / source.imageW;
+  t = flowBlurPass(t, w, h, [1, 0], sigma);
+  t = flowBlurPass(t, w, h, [0, 1], sigma);
+  return { data: t, w, h, channels: 3, scale: 1 };
+}
+
+// crosshatch.frag's hash: the same unsigned 32-bit arithmetic, and the
+// float division of the GPU.
+function hash(x, y, seed) {
+  const q = Math.imul(x, 1597334673) ^ Math.imul(y, 3812015801) ^ Math.imul(seed, 2654435761);
+  let n = Math.imul(q, 1597334673);
+  n ^= n >>> 16;
+  n = Math.imul(n, 2246822519);
+  n ^= n >>> 13;
+  return Math.fround(Math.fround(n >>> 0) / 4294967295);
+}
+
+function valueNoise(px, py, seed) {
+  const ix = Math.floor(px);
+  const iy = Math.floor(py);
+  const fx = px - ix;
+  const fy = py - iy;
+  const ux = fx * fx * (3 - 2 * fx);
+  const uy = fy * fy * (3 - 2 * fy);
+  return mix(
+    mix(hash(ix, iy, seed), hash(ix + 1, iy, seed), ux),
+    mix(hash(ix, iy + 1, seed), hash(ix + 1, iy + 1, seed), ux),
+    uy
+  );
+}
+
+// crosshatch.frag's shade() for one layer's parameters, as a function of
+// (fragX, fragY, imageX, imageY) writing RGBA in 0..1 into `color`.
+function createShader(source, p, { hatch, flow, lines, outSize, zoom, outputMode }) {
+  const image = byteTexture(source);
+  const texelX = source.w / source.rect.w;
+  const texelY = source.h / source.rect.h;
+  const ink = hexToRgb(p.inkColor);
+  const paperColor = hexToRgb(p.paperColor);
+  const shadowThreshold = p.toon + 0.05;
+  const highlightThreshold = 1 - p.threshold;
+  const period = Math.max(p.hatchPeriod, 1);
+  const halftonePeriod = Math.max(p.halftonePeriod, 1);
+  const src = [0, 0, 0];
+  const lineInk = [0];
+  const tangent = [0, 0, 0];
+  const dots = [0, 0, 0];
+
+  const tileScale = p.scale * (outSize.h / 800);
+  const lod = hatchLod(p, hatch[0][0], outSize, zoom);
+
+  function hatchLayer(u, v, layer) {
+    const levels = hatch[layer];
+    if (!(lod > 0)) return sampleRepeat(levels[0], u, v);
+    const l = Math.min(lod, levels.length - 1);
+    const i = Math.floor(l);
+    const a = sampleRepeat(levels[i], u, v);
+    return i + 1 < levels.length ? mix(a, sampleRepeat(levels[i + 1], u, v), l - i) : a;
+  }
+
+  // Writes the unit tangent at an image position into tangent[0..1].
+  function flowTangent(x, y) {
+    sampleLinear(flow, (x / source.imageW) * flow.w, (y / source.imageH) * flow.h, tangent);
+    const [t0, t1, t2] = tangent;
+    const lambda2 = 0.5 * (t0 + t2 - Math.sqrt((t0 - t2) * (t0 - t2) + 4 * t1 * t1));
+    let vx = t1;
+    let vy = lambda2 - t0;
+    const bx = lambda2 - t2;
+    const by = t1;
+    if (!(vx * vx + vy * vy > bx * bx + by * by)) [vx, vy] = [bx, by];
+    const len = Math.hypot(vx, vy);
+    if (len > 1e-10) [tangent[0], tangent[1]] = [vx / len, vy / len];
+    else tangent[0] = tangent[1] = 0.70710678;
+  }
+
+  // GLSL's mat2(c, s, -s, c) * v
+  function rotatedTangent(x, y, c, s) {
+    flowTangent(x, y);
+    const [tx, ty] = tangent;
+    return [c * tx - s * ty, s * tx + c * ty];
+  }
+
+  function flowStrokes(x, y, angle, seed, spacing) {
+    const c = Math.cos(angle);
+    const s = Math.sin(angle);
+    const cell = spacing * 0.5;
+    const stepLen = (6 * spacing) / FLOW_STEPS;
+    let sum = valueNoise(x / cell, y / cell, seed);
+    let wsum = 1;
+    for (let side = 0; side < 2; side++) {
+      let px = x;
+      let py = y;
+      let [dx, dy] = rotatedTangent(px, py, c, s);
+      if (side === 1) [dx, dy] = [-dx, -dy];
+      for (let i = 1; i <= FLOW_STEPS; i++) {
+        px += dx * stepLen;
+        py += dy * stepLen;
+        const [tx, ty] = rotatedTangent(px, py, c, s);
+        [dx, dy] = tx * dx + ty * dy < 0 ? [-tx, -ty] : [tx, ty];
+        const w = 1 - i / (FLOW_STEPS + 1);
+        sum += w * valueNoise(px / cell, py / cell, seed);
+        wsum += w;
+      }
+    }
+    return clamp01(0.5 + (sum / wsum - 0.5) * 5);
+  }
+
+  function hatchShade(x, y, u, v, tonePos) {
+    const pureResult = step(0.5, tonePos);
+    let textureResult;
+    if (p.hatchSpace === "flow") {
+      const spacing = period / 40;
+      textureResult = step(0.5, flowStrokes(x, y, 0, 1, spacing) + tonePos);
+      if (p.flowCross === "perpendicular") {
+        const crossValue = flowStrokes(x, y, 1.5707963, 2, spacing);
+        textureResult = Math.min(textureResult, step(0.5, crossValue + 0.25 + 0.5 * tonePos));
+      }
+    } else if (hatch.length > 1) {
+      const n = hatch.length;
+      const level = (1 - tonePos) * n;
+      const i = Math.floor(level);
+      const lighter = i < 1 ? 1 : hatchLayer(u, v, i - 1);
+      const denser = hatchLayer(u, v, Math.min(i, n - 1));
+      textureResult = step(0.5, mix(lighter, denser, level - i));
+    } else {
+      textureResult = step(0.5, hatchLayer(u, v, 0) + tonePos);
+    }
+    return mix(pureResult, textureResult, p.hatching);
+  }
+
+  function screenDot(x, y, angle, coverage) {
+    if (coverage <= 0 || coverage >= 1) return step(1, coverage);
+    // GLSL's mat2(c, -s, s, c) * v
+    const c = Math.cos(angle);
+    const s = Math.sin(angle);
+    const px = fract((c * x + s * y) / halftonePeriod) - 0.5;
+    const py = fract((-s * x + c * y) / halftonePeriod) - 0.5;
+    if (p.halftoneShape === "line") return step(Math.abs(py), 0.5 * coverage);
+    let centre;
+    let corner;
+    if (p.halftoneShape === "diamond") {
+      const d = Math.abs(px) + Math.abs(py);
+      centre = 2 * d * d;
+      corner = 2 * (1 - d) * (1 - d);
+    } else {
+      const qx = 0.5 - Math.abs(px);
+      const qy = 0.5 - Math.abs(py);
+      centre = 3.14159265 * (px * px + py * py);
+      corner = 3.14159265 * (qx * qx + qy * qy);
+    }
+    return coverage <= 0.5 ? step(centre, coverage) : 1 - step(corner, 1 - coverage);
+  }
+
+  // Into dots[0..2].
+  function halftone(x, y, lum) {
+    const angle = (p.halftoneAngle * Math.PI) / 180;
+    if (p.halftoneColor !== "cmyk") {
+      dots[0] = dots[1] = dots[2] = 1 - screenDot(x, y, angle, 1 - lum);
+      return;
+    }
+    const rgb = src.map((v) => clamp01(v * p.brightness));
+    const k = 1 - Math.max(...rgb);
+    const cmy = rgb.map((v) => (k < 1 ? (1 - v - k) / (1 - k) : 0));
+    const inkK = screenDot(x, y, angle, k);
+    const angles = [angle - Math.PI / 6, angle + Math.PI / 6, angle - Math.PI / 4];
+    for (let c = 0; c < 3; c++) dots[c] = (1 - screenDot(x, y, angles[c], cmy[c])) * (1 - inkK);
+  }
+
+  return function shade(fragX, fragY, x, y, color) {
+    const tx = (x - source.rect.x) * texelX;
+    const ty = (y - source.rect.y) * texelY;
+    sampleLinear(image, tx, ty, src);
+    const lum = clamp01(luminance(src[0], src[1], src[2]) * p.brightness);
+    sampleLinear(lines, tx - lines.x0, ty - lines.y0, lineInk);
+    const edgeMask = step(0.5, 1 - lineInk[0]);
+
+    if (outputMode === "analysis") {
+      const zone = lum < shadowThreshold ? 0 : lum > highlightThreshold ? 1 : 0.5;
+      const midPos = clamp01((lum - shadowThreshold) / (highlightThreshold - shadowThreshold));
+      [color[0], color[1], color[2], color[3]] = [1 - edgeMask, zone, midPos, 1];
+      return;
+    }
+    if (outputMode === "zones") {
+      const tint =
+        lum < shadowThreshold ? [0.2, 0.35, 0.9] : lum > highlightThreshold ? [1, 0.85, 0.2] : [0.3, 0.8, 0.4];
+      for (let c = 0; c < 3; c++) color[c] = edgeMask < 0.5 ? [0.9, 0.1, 0.1][c] : mix(lum, tint[c], 0.6);
+      color[3] = 1;
+      return;
+    }
+
+    const u = p.hatchSpace === "screen" ? (fragX / outSize.w) * tileScale : x / period;
+    const v = p.hatchSpace === "screen" ? (fragY / outSize.h) * tileScale : y / period;
+    if (lum < shadowThreshold) {
+      if (p.shadowShading === "hatch") dots.fill(hatchShade(x, y, u, v, 0));
+      else if (p.shadowShading === "halftone") halftone(x, y, lum);
+      else dots.fill(0);
+    } else if (lum > highlightThreshold) {
+      if (p.highlightShading === "halftone") halftone(x, y, lum);
+      else dots.fill(1);
+    } else if (p.midShading === "halftone") {
+      halftone(x, y, lum);
+    } else {
+      dots.fill(hatchShade(x, y, u, v, (lum - shadowThreshold) / (highlightThreshold - shadowThreshold)));
+    }
+    const result = dots.map((d) => d * edgeMask);
+
+    if (p.paperMode === "transparent") {
+      const alpha = 1 - Math.min(...result);
+      for (let c = 0; c < 3; c++) {
+        const overWhite = mix(ink[c], 1, result[c]);
+        color[c] = alpha > 0 ? clamp01((overWhite - (1 - alpha)) / alpha) : 0;
+      }
+      color[3] = alpha;
+      return;
+    }
+    let paper = paperColor;
+    if (p.paperMode === "posterize") {
+      const n = Math.max(p.posterizeLevels - 1, 1);
+      paper = src.map((c) => Math.floor(clamp01(c * p.brightness) * n + 0.5) / n);
+    }
+    for (let c = 0; c < 3; c++) color[c] = mix(ink[c], paper[c], result[c]);
+    color[3] = 1;
+  };
+}
+
+// Render like pipeline.render, returning { width, height, data } with
+// top-down RGBA bytes. `source` is from createCpuSource or cropSource;
+// `view` is { center, zoom }, plus { outSize, outOffset } for one part of
+// a larger output. Options:
+//
+//   params      base parameters (see params.js)
+//   hatch       prepareHatch() of the hatch images
+//   masks       [{ mask: prepareMask(), params }] drawn over the base
+//   outputMode  "ink", "analysis" or "zones"
+//   flows       flow fields by radius (computeFlowField), filled in as
+//               needed from `flowSource`, the whole-image source; both
+//               default to this call's own
+export function renderCpu(outW, outH, source, view, options) {
+  const { hatch, masks = [], outputMode = "ink", flows = {}, flowSource = source } = options;
+  const outSize = view.outSize || { w: outW, h: outH };
+  const outOffset = view.outOffset || { x: 0, y: 0 };
+  const zoom = Math.max(view.zoom, 1e-6);
+  const out = new Uint8ClampedArray(outW * outH * 4);
+  const color = [0, 0, 0, 0];
+  const coverage = [0];
+
+  const layers = [{ params: options.params, mask: null }, ...masks];
+  for (const layer of layers) {
+    const p = { ...DEFAULT_PARAMS, ...layer.params };
+    // Line sizes are in image pixels; a downscaled source has fewer.
+    const texelScale = source.w / source.rect.w;
+    const lineParams = {
+      ...p,
+      lineBlur: p.lineBlur * texelScale,
+      lineWeight: p.lineWeight * texelScale,
+    };
+    const region = sourceRegion(source, outW, outH, view, lineMargin(lineParams) + 1);
+    if (p.hatchSpace === "flow") flows[p.flowRadius] ??= computeFlowField(flowSource, p.flowRadius);
+    const shade = createShader(source, p, {
+      hatch,
+      flow: flows[p.flowRadius],
+      lines: extractLines(source, lineParams, region),
+      outSize,
+      zoom,
+      outputMode,
+    });
+
+    for (let y = 0; y < outH; y++) {
+      const fragY = y + 0.5 + outOffset.y;
+      const imageY = (fragY - 0.5 * outSize.h) / zoom + view.center.y;
+      for (let x = 0; x < outW; x++) {
+        const fragX = x + 0.5 + outOffset.x;
+        const imageX = (fragX - 0.5 * outSize.w) / zoom + view.center.x;
+        const i = (y * outW + x) * 4;
+        if (imageX < 0 || imageY < 0 || imageX > source.imageW || imageY > source.imageH) {
+          out.fill(255, i, i + 4);
+          continue;
+        }
+        shade(fragX, fragY, imageX, imageY, color);
+        if (layer.mask) {
+          const { mask } = layer;
+          sampleLinear(mask, (imageX / source.imageW) * mask.w, (imageY / source.imageH) * mask.h, coverage);
+          for (let c = 0; c < 4; c++) color[c] = mix(out[i + c] / 255, color[c], coverage[0]);
+        }
+        for (let c = 0; c < 4; c++) out[i + c] = Math.round(clamp01(color[c]) * 255);
+      }
+    }
+  }
+  return { width: outW, height: outH, data: flipRows(out, outH) };
+}
+
+// Render a whole image scaled by `zoom`, like renderFullResolution on the
+// GPU. `hatch` lists the hatch images, e.g. [generateHatchTile()] from
+// textures.js; `masks` is [{ coverage, params }] with coverage images the
+// size of the image.
+export function renderImage(image, params, { hatch, zoom = 1, masks = [], outputMode = "ink" } = {}) {
+  const width = Math.max(1, Math.round(image.width * zoom));
+  const height = Math.max(1, Math.round(image.height * zoom));
+  const view = { center: { x: image.width * 0.5, y: image.height * 0.5 }, zoom };
+  return renderCpu(width, height, createCpuSource(image), view, {
+    params,
+    hatch: prepareHatch(hatch),
+    masks: masks.map(({ coverage, params }) => ({ mask: prepareMask(coverage), params })),
+    outputMode,
+  });
+}
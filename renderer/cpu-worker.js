@@ -0,0 +1,37 @@
+import { renderCpu, computeFlowField, prepareHatch, prepareMask } from "./cpu-render.js";
+
+// One thread of cpu-workers.js. Messages are { id, type, args } and get
+// { id, result } or { id, error } back:
+//
+//   "flow" [source, radius]       -> computeFlowField()
+//   "job"  [options]              -> null; options for the next bands,
+//                                    hatch null to keep the last one
+//   "band" [outW, outH, source, view] -> renderCpu() with the job's options
+
+let job = null;
+let hatch = null;
+
+function run(type, args) {
+  if (type === "flow") return computeFlowField(...args);
+  if (type === "job") {
+    const [options] = args;
+    if (options.hatch) hatch = prepareHatch(options.hatch);
+    job = {
+      ...options,
+      hatch,
+      masks: options.masks.map(({ coverage, params }) => ({ mask: prepareMask(coverage), params })),
+    };
+    return null;
+  }
+  if (type === "band") return renderCpu(...args, job);
+  throw new Error(`Unknown message "${type}"`);
+}
+
+self.onmessage = ({ data: { id, type, args } }) => {
+  try {
+    const result = run(type, args);
+    self.postMessage({ id, result }, result ? [result.data.buffer] : []);
+  } catch (err) {
+    self.postMessage({ id, error: err?.message || String(err) });
+  }
+};
@@ -0,0 +1,192 @@
+import { lineMargin } from "./lines.js";
+import { DEFAULT_PARAMS } from "./params.js";
+import { createCpuSource, cropSource, sourceRegion } from "./cpu-render.js";
+
+// renderCpu (cpu-render.js) on worker threads, so the window stays
+// responsive while the CPU renders. The output is cut into bands of rows;
+// each band is rendered from just the part of the source it needs, with a
+// margin so outlines match across the seams, as tiles.js does on the GPU.
+
+const MAX_THREADS = 4;
+const MIN_BAND_ROWS = 16;
+const MAX_BAND_ROWS = 256;
+
+// Pixels of an image, canvas or ImageData, drawn at w x h by the browser.
+export function imageDataOf(img, w = img.naturalWidth || img.width, h = img.naturalHeight || img.height) {
+  const canvas = document.createElement("canvas");
+  canvas.width = w;
+  canvas.height = h;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  if (img instanceof ImageData) ctx.putImageData(img, 0, 0);
+  else ctx.drawImage(img, 0, 0, w, h);
+  return ctx.getImageData(0, 0, w, h);
+}
+
+// A source for render() covering the whole image, scaled down to maxSize
+// by the browser as createSource does on the GPU.
+export function imageSource(img, maxSize = Infinity) {
+  const imageW = img.naturalWidth || img.width;
+  const imageH = img.naturalHeight || img.height;
+  const scale = Math.min(1, maxSize / Math.max(imageW, imageH));
+  const pixels = imageDataOf(img, Math.max(1, Math.round(imageW * scale)), Math.max(1, Math.round(imageH * scale)));
+  return { ...createCpuSource(pixels), imageW, imageH, rect: { x: 0, y: 0, w: imageW, h: imageH } };
+}
+
+// The bands of `bandRows` rows an outW x outH render of `source` is cut
+// into, from the top: { top, h, view, region }. renderCpu of
+// cropSource(source, region) with `view` gives the band's rows as the
+// whole render has them. `layerParams` are the base's and the masks'.
+export function splitBands(outW, outH, source, view, layerParams, bandRows) {
+  // Line sizes are in image pixels; a downscaled source has fewer. One
+  // more texel for rounding the band's region outwards.
+  const texelScale = source.w / source.rect.w;
+  const margin =
+    Math.max(
+      ...layerParams.map((p) =>
+        lineMargin({ ...p, lineBlur: p.lineBlur * texelScale, lineWeight: p.lineWeight * texelScale })
+      )
+    ) + 1;
+  const outSize = view.outSize || { w: outW, h: outH };
+  const outOffset = view.outOffset || { x: 0, y: 0 };
+
+  const bands = [];
+  for (let top = 0; top < outH; top += bandRows) {
+    const h = Math.min(bandRows, outH - top);
+    const bandView = { ...view, outSize, outOffset: { x: outOffset.x, y: outOffset.y + outH - top - h } };
+    bands.push({ top, h, view: bandView, region: sourceRegion(source, outW, h, bandView, margin) });
+  }
+  return bands;
+}
+
+// One core is left to the window.
+const defaultThreads = () => Math.max(1, Math.min(MAX_THREADS, (navigator.hardwareConcurrency || 2) - 1));
+
+export function createCpuWorkers(count = defaultThreads()) {
+  const workers = Array.from(
+    { length: count },
+    () => new Worker(new URL("./cpu-worker.js", import.meta.url), { type: "module" })
+  );
+  const pending = new Map(); // id -> { worker, resolve, reject }
+  let nextId = 0;
+  let sentHatch = null;
+  // Flow fields of the last source, by radius; they take a while and only
+  // change with the image.
+  let flowCache = { source: null, fields: {} };
+  // For sequences, as pipeline.setFlowSmoothing: the weight of the previous
+  // source's fields, by radius, in each new one.
+  let flowSmoothing = 0;
+  let previousFields = {};
+  // Workers hold the options of one render at a time, so renders queue.
+  let lastRender = Promise.resolve();
+
+  for (const worker of workers) {
+    worker.onmessage = ({ data }) => {
+      const call = pending.get(data.id);
+      pending.delete(data.id);
+      if (data.error) call.reject(new Error(data.error));
+      else call.resolve(data.result);
+    };
+    worker.onerror = (e) => {
+      e.preventDefault();
+      const error = new Error(`The CPU renderer failed: ${e.message || "worker error"}`);
+      for (const [id, call] of pending) {
+        if (call.worker !== worker) continue;
+        pending.delete(id);
+        call.reject(error);
+      }
+    };
+  }
+
+  function call(worker, type, args, transfer = []) {
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      pending.set(id, { worker, resolve, reject });
+      worker.postMessage({ id, type, args }, transfer);
+    });
+  }
+
+  // Blend each new flow field with the previous one, by `amount` (0..1).
+  // Setting it starts a new sequence.
+  function setFlowSmoothing(amount) {
+    flowSmoothing = Math.min(0.99, Math.max(0, amount || 0));
+    previousFields = {};
+  }
+
+  async function flowFields(source, layerParams) {
+    if (flowCache.source !== source) flowCache = { source, fields: {} };
+    const { fields } = flowCache;
+    const radii = new Set(layerParams.filter((p) => p.hatchSpace === "flow").map((p) => p.flowRadius));
+    await Promise.all(
+      [...radii]
+        .filter((radius) => !(radius in fields))
+        .map(async (radius, i) => {
+          const field = await call(workers[i % workers.length], "flow", [source, radius]);
+          const previous = previousFields[radius];
+          if (flowSmoothing > 0 && previous?.w === field.w && previous.h === field.h) {
+            for (let j = 0; j < field.data.length; j++) {
+              field.data[j] += (previous.data[j] - field.data[j]) * flowSmoothing;
+            }
+          }
+          if (flowSmoothing > 0) previousFields[radius] = field;
+          fields[radius] = field;
+        })
+    );
+    return Object.fromEntries([...radii].map((radius) => [radius, fields[radius]]));
+  }
+
+  // Render like renderCpu, handing top-down strips of rows, the full width
+  // wide, to `await onRows(rows, height)` from the top down, as renderTiled
+  // does. `source` is from createCpuSource and covers the whole image.
+  // Options are renderCpu's, except for hatch images as prepareHatch takes
+  // them and masks as [{ coverage, params }], see prepareMask. Returns
+  // false when isCancelled() stopped it early. Calls made while one runs
+  // wait for it.
+  function render(...args) {
+    const run = lastRender.then(() => renderBands(...args));
+    lastRender = run.catch(() => {});
+    return run;
+  }
+
+  async function renderBands(
+    outW,
+    outH,
+    source,
+    view,
+    { params, hatch, masks = [], outputMode = "ink" },
+    { onRows, onProgress = () => {}, isCancelled = () => false } = {}
+  ) {
+    const layerParams = [params, ...masks.map((m) => m.params)].map((p) => ({ ...DEFAULT_PARAMS, ...p }));
+    const flows = await flowFields(source, layerParams);
+    const options = { params, hatch: hatch === sentHatch ? null : hatch, masks, outputMode, flows };
+    await Promise.all(workers.map((worker) => call(worker, "job", [options])));
+    sentHatch = hatch;
+
+    const bandRows = Math.min(MAX_BAND_ROWS, Math.max(MIN_BAND_ROWS, Math.ceil(outH / (workers.length * 4))));
+    const bands = splitBands(outW, outH, source, view, layerParams, bandRows);
+    const renderBand = (worker, band) => {
+      const part = cropSource(source, band.region);
+      return call(worker, "band", [outW, band.h, part, band.view], [part.data.buffer]);
+    };
+
+    // One band per worker at a time, so finished strips never pile up.
+    for (let first = 0; first < bands.length; first += workers.length) {
+      if (isCancelled()) return false;
+      const strips = await Promise.all(
+        bands.slice(first, first + workers.length).map((band, i) => renderBand(workers[i], band))
+      );
+      for (const [i, strip] of strips.entries()) {
+        await onRows(strip.data, strip.height);
+        onProgress((first + i + 1) / bands.length);
+      }
+    }
+    return true;
+  }
+
+  function dispose() {
+    for (const worker of workers) worker.terminate();
+    for (const call of pending.values()) call.reject(new Error("The CPU renderer was closed"));
+    pending.clear();
+  }
+
+  return { threads: count, render, setFlowSmoothing, dispose };
+}
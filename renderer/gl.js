@@ -7,6 +7,14 @@ export function createGL(canvas) {
   return gl;
 }
 
+// Reads from a lost context come back as zeros; throw rather than save
+// them.
+export function assertContext(gl) {
+  if (gl.isContextLost()) {
+    throw new Error("The graphics device was reset while rendering; try again");
+  }
+}
+
 export function compileShader(gl, type, src) {
   const sh = gl.createShader(type);
   gl.shaderSource(sh, src);
@@ -68,7 +76,9 @@ export function createTextureFromImage(gl, img) {
   return tex;
 }
 
-export function createFBO(gl, w, h) {
+// `float` gives a half-float target for intermediate data; rendering to it
+// needs EXT_color_buffer_float.
+export function createFBO(gl, w, h, { float = false } = {}) {
   const tex = gl.createTexture();
   gl.bindTexture(gl.TEXTURE_2D, tex);
   gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
@@ -78,12 +88,12 @@ export function createFBO(gl, w, h) {
   gl.texImage2D(
     gl.TEXTURE_2D,
     0,
-    gl.RGBA8,
+    float ? gl.RGBA16F : gl.RGBA8,
     w,
     h,
     0,
     gl.RGBA,
-    gl.UNSIGNED_BYTE,
+    float ? gl.HALF_FLOAT : gl.UNSIGNED_BYTE,
     null
   );
 
@@ -105,3 +115,20 @@ export function createFBO(gl, w, h) {
   if (!ok) throw new Error("FBO incomplete");
   return { fbo, tex, w, h };
 }
+
+// Draw one fullscreen pass of `program` into `target` ({ fbo, w, h }) with
+// `inputTex` on texture unit 0. `setUniforms(program)` sets the rest;
+// u_outSize is set here.
+export function runPass(gl, quad, program, target, inputTex, setUniforms) {
+  gl.useProgram(program);
+  gl.bindVertexArray(quad.vao);
+  gl.bindFramebuffer(gl.FRAMEBUFFER, target.fbo);
+  gl.viewport(0, 0, target.w, target.h);
+  gl.disable(gl.DEPTH_TEST);
+  gl.disable(gl.BLEND);
+  gl.activeTexture(gl.TEXTURE0);
+  gl.bindTexture(gl.TEXTURE_2D, inputTex);
+  setUniforms?.(program);
+  gl.uniform2f(gl.getUniformLocation(program, "u_outSize"), target.w, target.h);
+  gl.drawArrays(gl.TRIANGLES, 0, quad.vertexCount);
+}
@@ -0,0 +1,104 @@
+// Linear undo/redo stack over whole-state snapshots.
+//
+// The owner supplies capture() to snapshot the current state, restore(s)
+// to put a snapshot back, and isEqual(a, b) so no-op commits are dropped.
+// Call commit(label) after each user-visible change; commits that share a
+// `key` within `coalesceMs` of each other merge into one step.
+
+export function createHistory({
+  capture,
+  restore,
+  isEqual,
+  onChange = () => {},
+  limit = 100,
+  coalesceMs = 1000,
+}) {
+  let entries = []; // { label, key, time, before, after }
+  let index = 0; // entries[0..index) are applied
+  let current = capture();
+  let restoring = false;
+
+  function commit(label, { key = null } = {}) {
+    if (restoring) return;
+    const after = capture();
+    if (isEqual(current, after)) return;
+
+    entries.length = index; // a new edit drops the redo branch
+    const now = Date.now();
+    const last = entries[index - 1];
+
+    if (key && last && last.key === key && now - last.time < coalesceMs) {
+      last.after = after;
+      last.time = now;
+    } else {
+      entries.push({ label, key, time: now, before: current, after });
+      if (entries.length > limit) entries.shift();
+    }
+
+    index = entries.length;
+    current = after;
+    onChange();
+  }
+
+  function apply(snapshot) {
+    restoring = true;
+    try {
+      restore(snapshot);
+    } finally {
+      restoring = false;
+    }
+    current = snapshot;
+  }
+
+  function undo() {
+    if (index === 0) return false;
+    apply(entries[--index].before);
+    onChange();
+    return true;
+  }
+
+  function redo() {
+    if (index >= entries.length) return false;
+    apply(entries[index++].after);
+    onChange();
+    return true;
+  }
+
+  // Jump so that the first n entries are applied.
+  function goTo(n) {
+    n = Math.max(0, Math.min(entries.length, n));
+    if (n === index) return;
+    if (n < index) apply(entries[n].before);
+    else apply(entries[n - 1].after);
+    index = n;
+    onChange();
+  }
+
+  // Forget all steps, e.g. after opening a different document.
+  function reset() {
+    entries = [];
+    index = 0;
+    current = capture();
+    onChange();
+  }
+
+  return {
+    commit,
+    undo,
+    redo,
+    goTo,
+    reset,
+    get entries() {
+      return entries;
+    },
+    get index() {
+      return index;
+    },
+    get canUndo() {
+      return index > 0;
+    },
+    get canRedo() {
+      return index < entries.length;
+    },
+  };
+}
@@ -0,0 +1,156 @@
+import { createProgram, createFBO, runPass } from "./gl.js";
+
+// Outline extraction through lines.frag, rendered at source resolution and
+// cached per source and line parameters:
+//
+//   luminance -> pre-blur -> extractor -> [Canny hysteresis] -> dilation
+//
+// The result texture holds ink coverage in R, sampled by crosshatch.frag.
+
+export const LINE_MODES = ["sobel", "xdog", "canny"];
+
+// Parameters the extracted lines depend on.
+export const LINE_PARAMS = ["lineMode", "lineBlur", "lineWeight", "lineThreshold", "edges"];
+
+const PASS = { luminance: 0, blur: 1, extract: 2, hysteresis: 3, dilate: 4 };
+
+// Hysteresis grows strong edges one pixel per pass, so this bounds how far
+// a weak edge can continue from a strong one.
+export const HYSTERESIS_PASSES = 24;
+
+// XDoG blur radii in pixels; the pre-blur widens both.
+export const XDOG_SIGMA = 1.0;
+export const XDOG_K = 1.6;
+
+export const MAX_LINE_WEIGHT = 32;
+
+// Results kept, so switching between two sets of line parameters (A/B
+// comparison) extracts neither again. The second is allocated once a
+// second set is used.
+const KEPT_RESULTS = 2;
+
+// Matches the kernel radius in lines.frag.
+const blurRadius = (sigma) => (sigma >= 0.3 ? Math.min(64, Math.ceil(2.5 * sigma)) : 0);
+
+// How far, in source pixels, a pixel's outline depends on its neighbours.
+// Tiles are rendered with this much extra source around them so their
+// lines match the whole-image result.
+export function lineMargin(params) {
+  const blurSigma = Math.max(0, params.lineBlur);
+  const weight = Math.min(MAX_LINE_WEIGHT, Math.max(0, Math.round(params.lineWeight)));
+  let margin = blurRadius(blurSigma) + 2 + weight; // gradient plus NMS: 2
+  if (params.lineMode === "xdog") margin += blurRadius(XDOG_SIGMA * XDOG_K);
+  if (params.lineMode === "canny") margin += HYSTERESIS_PASSES;
+  return margin;
+}
+
+export function createLineExtractor(gl, quad, vsSrc, fsSrc, { float = false } = {}) {
+  const prog = createProgram(gl, vsSrc, fsSrc);
+  const U = (name) => gl.getUniformLocation(prog, name);
+  const u = {
+    input: U("u_input"),
+    pass: U("u_pass"),
+    dir: U("u_dir"),
+    sigma: U("u_sigma"),
+    lineMode: U("u_lineMode"),
+    edgeStrength: U("u_edgeStrength"),
+    lineThreshold: U("u_lineThreshold"),
+    diagonal: U("u_diagonal"),
+  };
+
+  // FBOs at source size: the kept results, most recently used first, and
+  // a spare that the passes ping-pong with.
+  let size = null;
+  let results = []; // [{ key, source, target }]
+  let spare = null;
+
+  const createTarget = () => createFBO(gl, size.w, size.h, { float });
+
+  function disposeTargets() {
+    for (const t of [spare, ...results.map((r) => r.target)]) {
+      if (!t) continue;
+      gl.deleteFramebuffer(t.fbo);
+      gl.deleteTexture(t.tex);
+    }
+    size = spare = null;
+    results = [];
+  }
+
+  // Returns the ink texture for `source` ({ tex, w, h }).
+  function update(source, params) {
+    const mode = Math.max(0, LINE_MODES.indexOf(params.lineMode));
+    const blurSigma = Math.max(0, params.lineBlur);
+    const weight = Math.min(MAX_LINE_WEIGHT, Math.max(0, Math.round(params.lineWeight)));
+    const key = JSON.stringify([
+      mode,
+      blurSigma,
+      weight,
+      params.lineThreshold,
+      params.edges,
+      source.w,
+      source.h,
+    ]);
+
+    if (!size || size.w !== source.w || size.h !== source.h) {
+      disposeTargets();
+      size = { w: source.w, h: source.h };
+    }
+    const hit = results.find((r) => r.key === key && r.source === source.tex);
+    if (hit) {
+      results = [hit, ...results.filter((r) => r !== hit)];
+      return hit.target.tex;
+    }
+
+    // Once all results are kept, the least recently used is overwritten.
+    // Each pass reads targets[0] and writes targets[1], then they swap.
+    const reused = results.length >= KEPT_RESULTS ? results.pop() : null;
+    const targets = [reused?.target ?? createTarget(), spare ?? createTarget()];
+    let input = source.tex;
+    const pass = (id, setUniforms) => {
+      runPass(gl, quad, prog, targets[1], input, () => {
+        gl.uniform1i(u.input, 0);
+        gl.uniform1i(u.pass, id);
+        setUniforms?.();
+      });
+      targets.reverse();
+      input = targets[0].tex;
+    };
+    const blur = (sx, sy) => {
+      for (const dir of [[1, 0], [0, 1]]) {
+        pass(PASS.blur, () => {
+          gl.uniform2f(u.dir, dir[0], dir[1]);
+          gl.uniform2f(u.sigma, sx, sy);
+        });
+      }
+    };
+
+    pass(PASS.luminance);
+    if (blurSigma >= 0.3) blur(blurSigma, blurSigma);
+    if (mode === 1) blur(XDOG_SIGMA, XDOG_SIGMA * XDOG_K);
+
+    pass(PASS.extract, () => {
+      gl.uniform1i(u.lineMode, mode);
+      gl.uniform1f(u.edgeStrength, params.edges);
+      gl.uniform1f(u.lineThreshold, params.lineThreshold);
+    });
+    if (mode === 2) {
+      for (let i = 0; i < HYSTERESIS_PASSES; i++) pass(PASS.hysteresis);
+    }
+    for (let i = 0; i < weight; i++) {
+      pass(PASS.dilate, () => gl.uniform1i(u.diagonal, i % 2));
+    }
+
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    spare = targets[1];
+    results.unshift({ key, source: source.tex, target: targets[0] });
+    return targets[0].tex;
+  }
+
+  function dispose() {
+    disposeTargets();
+    gl.deleteProgram(prog);
+  }
+
+  return { update, dispose };
+}
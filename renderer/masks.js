@@ -0,0 +1,119 @@
+// Paintable masks: named regions of the image, each overriding some
+// parameters. A mask is { id, name, canvas, overrides }; the canvas covers
+// the whole image (top-down) at up to MASK_MAX_SIZE, with coverage in
+// alpha. pipeline.js renders each mask's parameters over the layers below
+// where it is painted.
+//
+// Masks are treated as values so history snapshots stay intact: a stroke
+// paints on a copy of the canvas (see beginStroke) and edits replace
+// `overrides` rather than changing it.
+
+export const MASK_MAX_SIZE = 1024;
+
+let nextId = 1;
+
+export function maskSize(imageW, imageH) {
+  const scale = Math.min(1, MASK_MAX_SIZE / Math.max(imageW, imageH));
+  return {
+    w: Math.max(1, Math.round(imageW * scale)),
+    h: Math.max(1, Math.round(imageH * scale)),
+  };
+}
+
+export function createMask(name, imageW, imageH) {
+  const { w, h } = maskSize(imageW, imageH);
+  const canvas = document.createElement("canvas");
+  canvas.width = w;
+  canvas.height = h;
+  return { id: nextId++, name, canvas, overrides: {} };
+}
+
+function copyCanvas(src) {
+  const c = document.createElement("canvas");
+  c.width = src.width;
+  c.height = src.height;
+  c.getContext("2d").drawImage(src, 0, 0);
+  return c;
+}
+
+// The mask with a private canvas to paint this stroke on.
+export function beginStroke(mask) {
+  return { ...mask, canvas: copyCanvas(mask.canvas) };
+}
+
+// Paint a round brush along a line between two image positions (top-down
+// pixels); start a stroke with from === to. `size` is the brush diameter
+// in image pixels and `hardness` the fraction of its radius painted fully
+// before the edge fades out.
+export function paintLine(mask, from, to, imageW, { size, hardness, erase }) {
+  const ctx = mask.canvas.getContext("2d");
+  const k = mask.canvas.width / imageW;
+  const r = Math.max(0.5, (size * k) / 2);
+  const x0 = from.x * k;
+  const y0 = from.y * k;
+  const dx = to.x * k - x0;
+  const dy = to.y * k - y0;
+  const steps = Math.max(1, Math.ceil(Math.hypot(dx, dy) / Math.max(1, r * 0.25)));
+
+  ctx.save();
+  ctx.globalCompositeOperation = erase ? "destination-out" : "source-over";
+  // The dab at `from` was painted by the previous segment.
+  for (let i = 1; i <= steps; i++) {
+    const x = x0 + (dx * i) / steps;
+    const y = y0 + (dy * i) / steps;
+    const g = ctx.createRadialGradient(x, y, 0, x, y, r);
+    g.addColorStop(0, "rgba(255,255,255,1)");
+    g.addColorStop(Math.min(0.99, Math.max(0, hardness)), "rgba(255,255,255,1)");
+    g.addColorStop(1, "rgba(255,255,255,0)");
+    ctx.fillStyle = g;
+    ctx.fillRect(x - r, y - r, 2 * r, 2 * r);
+  }
+  ctx.restore();
+}
+
+// The parameters a mask changes: those of `params` that differ from `base`.
+export function diffParams(params, base) {
+  return Object.fromEntries(Object.entries(params).filter(([key, v]) => v !== base[key]));
+}
+
+// Project form: { name, params, data } with the canvas as a PNG data URL.
+export function serializeMasks(masks) {
+  return masks.map((m) => ({
+    name: m.name,
+    params: m.overrides,
+    data: m.canvas.toDataURL("image/png"),
+  }));
+}
+
+export async function deserializeMasks(list, imageW, imageH) {
+  const masks = [];
+  for (const entry of list || []) {
+    const mask = createMask(entry.name, imageW, imageH);
+    mask.overrides = { ...entry.params };
+    if (entry.data) {
+      const img = new Image();
+      img.src = entry.data;
+      await img.decode();
+      mask.canvas.getContext("2d").drawImage(img, 0, 0, mask.canvas.width, mask.canvas.height);
+    }
+    masks.push(mask);
+  }
+  return masks;
+}
+
+// Show the masked area tinted over the preview. The transform maps
+// top-down image pixels to overlay pixels.
+export function drawMaskOverlay(ctx, mask, imageW, { scale, x, y }) {
+  const { canvas } = ctx;
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  if (!mask) return;
+  const k = imageW / mask.canvas.width;
+  ctx.setTransform(scale * k, 0, 0, scale * k, x, y);
+  ctx.drawImage(mask.canvas, 0, 0);
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.globalCompositeOperation = "source-in";
+  ctx.fillStyle = "rgb(255, 40, 80)";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.globalCompositeOperation = "source-over";
+}
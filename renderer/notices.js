@@ -0,0 +1,32 @@
+// Non-blocking messages in the corner of the window (#notices). Errors
+// stay until closed; "info" notices go away by themselves. A message that
+// is already shown moves to the end instead of showing twice.
+
+const INFO_TIMEOUT_MS = 5000;
+const MAX_NOTICES = 4;
+
+// Returns a function that removes the notice.
+export function showNotice(message, kind = "error") {
+  const root = document.getElementById("notices");
+  for (const old of [...root.children]) {
+    if (old.dataset.message === message) old.remove();
+  }
+
+  const el = document.createElement("div");
+  el.className = `notice ${kind}`;
+  el.dataset.message = message;
+  el.setAttribute("role", kind === "error" ? "alert" : "status");
+  const text = document.createElement("span");
+  text.textContent = message;
+  const close = document.createElement("button");
+  close.textContent = "×";
+  close.title = "Dismiss";
+  const remove = () => el.remove();
+  close.addEventListener("click", remove);
+  el.append(text, close);
+  root.append(el);
+
+  while (root.children.length > MAX_NOTICES) root.firstElementChild.remove();
+  if (kind !== "error") setTimeout(remove, INFO_TIMEOUT_MS);
+  return remove;
+}
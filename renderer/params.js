@@ -0,0 +1,196 @@
+import PARAMS from "./param-schema.json" with { type: "json" };
+
+// Every crosshatch parameter is one entry of param-schema.json:
+//
+//   { name, label, short?, group, type, min?, max?, step?, unit?, choices?,
+//     default, uniform, title? }
+//
+// `type` is "number" (a slider with a number field), "choice" (a select of
+// `choices`, [{ value, label }]) or "color" ("#rrggbb"). `label` names the
+// parameter in history and mask lists and `short`, when given, on its
+// control. `uniform` is the crosshatch.frag uniform it is uploaded to, or
+// null for parameters used on the CPU side: a number as a float, a choice
+// as its index in `choices` and a colour as a vec3. `group` places the
+// control in index.html. lib/params.js validates the same names for the
+// main process.
+
+/**
+ * @typedef {object} Params
+ * @property {number} brightness
+ * @property {"image" | "screen" | "flow"} hatchSpace
+ * @property {number} hatchPeriod tile size in image pixels
+ * @property {number} scale screen-space tiling factor
+ * @property {number} hatching
+ * @property {number} flowRadius
+ * @property {"off" | "perpendicular"} flowCross
+ * @property {"sobel" | "xdog" | "canny"} lineMode
+ * @property {number} edges
+ * @property {number} lineBlur
+ * @property {number} lineWeight
+ * @property {number} lineThreshold
+ * @property {number} toon
+ * @property {number} threshold
+ * @property {"solid" | "hatch" | "halftone"} shadowShading
+ * @property {"hatch" | "halftone"} midShading
+ * @property {"paper" | "halftone"} highlightShading
+ * @property {string} inkColor
+ * @property {"color" | "posterize" | "transparent"} paperMode
+ * @property {string} paperColor
+ * @property {number} posterizeLevels
+ * @property {"round" | "line" | "diamond"} halftoneShape
+ * @property {number} halftoneAngle
+ * @property {number} halftonePeriod
+ * @property {"mono" | "cmyk"} halftoneColor
+ */
+
+export { PARAMS };
+
+export const PARAM_BY_NAME = Object.fromEntries(PARAMS.map((p) => [p.name, p]));
+
+/** @type {Params} */
+export const DEFAULT_PARAMS = Object.fromEntries(PARAMS.map((p) => [p.name, p.default]));
+
+export const PARAM_LABELS = Object.fromEntries(PARAMS.map((p) => [p.name, p.label]));
+
+// `value` made valid for parameter `name`: numbers clamped to the range,
+// anything unknown replaced by the default.
+export function clampParam(name, value) {
+  const def = PARAM_BY_NAME[name];
+  if (def.type === "number") {
+    const v = Number(value);
+    return Number.isFinite(v) ? Math.min(def.max, Math.max(def.min, v)) : def.default;
+  }
+  if (def.type === "color") return /^#[0-9a-f]{6}$/i.test(value) ? value.toLowerCase() : def.default;
+  return def.choices.some((c) => c.value === value) ? value : def.default;
+}
+
+// The known parameters of `params`, each made valid with clampParam.
+export function clampParams(params) {
+  return Object.fromEntries(
+    Object.entries(params)
+      .filter(([name]) => name in PARAM_BY_NAME)
+      .map(([name, value]) => [name, clampParam(name, value)])
+  );
+}
+
+// Value shown next to a slider.
+export function formatParam(name, value) {
+  const { step } = PARAM_BY_NAME[name];
+  return Number(value).toFixed(step >= 1 ? 0 : String(step).split(".")[1].length);
+}
+
+function controlFor(def) {
+  if (def.type === "choice") {
+    const select = document.createElement("select");
+    select.append(
+      ...def.choices.map(({ value, label }) => {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = label;
+        return option;
+      })
+    );
+    return { input: select };
+  }
+  if (def.type === "color") {
+    const input = document.createElement("input");
+    input.type = "color";
+    return { input };
+  }
+  const input = document.createElement("input");
+  input.type = "range";
+  const number = document.createElement("input");
+  number.type = "number";
+  number.className = "param-number";
+  for (const el of [input, number]) Object.assign(el, { min: def.min, max: def.max, step: def.step });
+  return { input, number };
+}
+
+// Build the control of every parameter into the element of its group,
+// [data-param-group="<group>"] under `root`. Returns
+//
+//   { inputs, rows, read, write }
+//
+// with the input (slider, select or colour picker) and the label around it
+// by parameter name, read() -> Params and write(partial params). Inputs
+// fire the usual "input" and "change" events, also when a value is typed
+// into the number field or reset by double-clicking the parameter's name.
+export function createParamControls(root) {
+  const inputs = {};
+  const rows = {};
+  const numbers = {};
+
+  for (const def of PARAMS) {
+    const group = root.querySelector(`[data-param-group="${def.group}"]`);
+    if (!group) throw new Error(`No element for parameter group "${def.group}"`);
+
+    const row = document.createElement("label");
+    row.className = "param";
+    row.title = def.title || "";
+    const name = document.createElement("span");
+    name.textContent = def.short ?? def.label;
+    name.title = `Double-click to reset to ${def.default}`;
+    const { input, number } = controlFor(def);
+    input.id = def.name;
+    row.append(name, input);
+    if (number) row.append(number);
+    if (def.unit) row.append(def.unit);
+    group.append(row);
+
+    inputs[def.name] = input;
+    rows[def.name] = row;
+    if (number) {
+      numbers[def.name] = number;
+      input.addEventListener("input", () => (number.value = formatParam(def.name, input.value)));
+      // Typed values count once committed with Enter or by leaving the
+      // field.
+      number.addEventListener("change", () => setAndNotify(def.name, number.value));
+    }
+    name.addEventListener("dblclick", (e) => {
+      e.preventDefault();
+      setAndNotify(def.name, def.default);
+    });
+  }
+
+  function setValue(name, value) {
+    const v = clampParam(name, value);
+    inputs[name].value = v;
+    if (numbers[name]) numbers[name].value = formatParam(name, v);
+  }
+
+  function setAndNotify(name, value) {
+    setValue(name, value);
+    inputs[name].dispatchEvent(new Event("input", { bubbles: true }));
+    inputs[name].dispatchEvent(new Event("change", { bubbles: true }));
+  }
+
+  /** @returns {Params} */
+  function read() {
+    return Object.fromEntries(PARAMS.map((def) => [def.name, clampParam(def.name, inputs[def.name].value)]));
+  }
+
+  /** @param {Partial<Params>} params */
+  function write(params) {
+    for (const def of PARAMS) {
+      if (params[def.name] !== undefined) setValue(def.name, params[def.name]);
+    }
+  }
+
+  write(DEFAULT_PARAMS);
+  return { inputs, rows, read, write };
+}
+
+// Hide the controls `params` make irrelevant: the period or scale of the
+// other hatch space, unused flow and halftone groups, and the paper
+// settings of other paper modes.
+export function updateParamRows({ rows }, params, root = document) {
+  const group = (name) => root.querySelector(`[data-param-group="${name}"]`);
+  rows.hatchPeriod.hidden = params.hatchSpace === "screen";
+  rows.scale.hidden = params.hatchSpace !== "screen";
+  group("flow").hidden = params.hatchSpace !== "flow";
+  group("halftone").hidden = ![params.shadowShading, params.midShading, params.highlightShading].includes(
+    "halftone"
+  );
+  rows.paperColor.hidden = params.paperMode !== "color";
+  rows.posterizeLevels.hidden = params.paperMode !== "posterize";
+}
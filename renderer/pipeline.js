@@ -0,0 +1,676 @@
+import {
+  createProgram,
+  createFullscreenQuad,
+  createTextureFromImage,
+  createFBO,
+  runPass,
+  assertContext,
+} from "./gl.js";
+import { LINE_PARAMS, createLineExtractor } from "./lines.js";
+import { PARAMS, DEFAULT_PARAMS } from "./params.js";
+
+// Longest side of the flow field; it is smooth, so it need not match the
+// source resolution.
+export const FLOW_MAX_SIZE = 1024;
+
+// setMasks calls a mask's texture outlives its last use in.
+const MASK_CACHE_CALLS = 4;
+
+// Longest side rendered in one piece. Larger images get a downscaled
+// preview texture and are exported in tiles (see tiles.js).
+export const MAX_SOURCE_SIZE = 4096;
+
+export function sourceSizeLimit(gl) {
+  return Math.min(MAX_SOURCE_SIZE, gl.getParameter(gl.MAX_TEXTURE_SIZE));
+}
+
+// "#rrggbb" -> [r, g, b] in 0..1
+export function hexToRgb(hex) {
+  const n = parseInt(String(hex).replace(/^#/, ""), 16);
+  if (!Number.isFinite(n)) return [0, 0, 0];
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255].map((v) => v / 255);
+}
+
+// Mip level for the hatch texture (w x h texels) under parameters `p`,
+// for an output of outSize ({ w, h }) at `zoom`: hatch coordinates change
+// at a constant rate across the output, so it is the same for every pixel.
+export function hatchLod(p, { w, h }, outSize, zoom) {
+  if (p.hatchSpace === "screen") {
+    const tileScale = p.scale * (outSize.h / 800);
+    return Math.log2(Math.max((tileScale / outSize.w) * w, (tileScale / outSize.h) * h));
+  }
+  return Math.log2(Math.max(w, h) / (Math.max(zoom, 1e-6) * Math.max(p.hatchPeriod, 1)));
+}
+
+// u_screenRot for a screen angle in degrees: the K, C, M and Y screens at
+// +0°, -30°, +30° and -45° from it, as column-major mat2s.
+function screenRotations(angle) {
+  return [0, -30, 30, -45].flatMap((offset) => {
+    const a = ((angle + offset) * Math.PI) / 180;
+    return [Math.cos(a), -Math.sin(a), Math.sin(a), Math.cos(a)];
+  });
+}
+
+export async function loadText(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Failed to load ${url}`);
+  return await res.text();
+}
+
+export async function loadImage(url) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    // Data URLs are too long to quote.
+    img.onerror = () =>
+      reject(new Error(`Could not read ${url.startsWith("data:") ? "the image data" : url} as an image`));
+    img.src = url;
+  });
+}
+
+// file:// URL of a local path, with each segment escaped so that names
+// containing #, ? or % still point at the file. Windows paths keep their
+// drive letter and take forward slashes.
+export function fileUrl(filePath) {
+  const segments = filePath.replaceAll("\\", "/").split("/");
+  const path = segments
+    .map((s, i) => (i === 0 && /^[A-Za-z]:$/.test(s) ? s : encodeURIComponent(s)))
+    .join("/");
+  return `file://${path.startsWith("/") ? "" : "/"}${path}`;
+}
+
+export async function loadImageFromPath(filePath) {
+  const img = new Image();
+  img.decoding = "async";
+  img.src = fileUrl(filePath);
+  try {
+    await img.decode();
+  } catch {
+    throw new Error(`Could not read ${filePath} as an image`);
+  }
+  return img;
+}
+
+function sourceSize(src) {
+  return {
+    w: src.naturalWidth || src.width,
+    h: src.naturalHeight || src.height,
+  };
+}
+
+// Redraw an image (or ImageData) at w x h so all array layers match.
+function resizeSource(src, w, h) {
+  let drawable = src;
+  if (typeof ImageData !== "undefined" && src instanceof ImageData) {
+    drawable = document.createElement("canvas");
+    drawable.width = src.width;
+    drawable.height = src.height;
+    drawable.getContext("2d").putImageData(src, 0, 0);
+  }
+  const c = document.createElement("canvas");
+  c.width = w;
+  c.height = h;
+  c.getContext("2d").drawImage(drawable, 0, 0, w, h);
+  return c;
+}
+
+// Repeating, mipmapped texture array with one layer per hatch image. Layers
+// are scaled to the size of the first one.
+export function createTilingTexture(gl, layers) {
+  const { w, h } = sourceSize(layers[0]);
+  const tex = gl.createTexture();
+  gl.bindTexture(gl.TEXTURE_2D_ARRAY, tex);
+  gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+  gl.texParameteri(
+    gl.TEXTURE_2D_ARRAY,
+    gl.TEXTURE_MIN_FILTER,
+    gl.LINEAR_MIPMAP_LINEAR
+  );
+  gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+  gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_WRAP_S, gl.REPEAT);
+  gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_WRAP_T, gl.REPEAT);
+  gl.texImage3D(
+    gl.TEXTURE_2D_ARRAY,
+    0,
+    gl.RGBA8,
+    w,
+    h,
+    layers.length,
+    0,
+    gl.RGBA,
+    gl.UNSIGNED_BYTE,
+    null
+  );
+  layers.forEach((layer, i) => {
+    const size = sourceSize(layer);
+    const src = size.w === w && size.h === h ? layer : resizeSource(layer, w, h);
+    gl.texSubImage3D(
+      gl.TEXTURE_2D_ARRAY,
+      0,
+      0,
+      0,
+      i,
+      w,
+      h,
+      1,
+      gl.RGBA,
+      gl.UNSIGNED_BYTE,
+      src
+    );
+  });
+  gl.generateMipmap(gl.TEXTURE_2D_ARRAY);
+  gl.bindTexture(gl.TEXTURE_2D_ARRAY, null);
+  return tex;
+}
+
+// Program, quad and hatch texture for crosshatch.frag, shared by the
+// interactive window and the headless batch window.
+export async function createCrosshatchPipeline(gl) {
+  const vsSrc = await loadText("./shaders/fullscreen.vert");
+  const fsSrc = await loadText("./shaders/crosshatch.frag");
+  const prog = createProgram(gl, vsSrc, fsSrc);
+  const quad = createFullscreenQuad(gl);
+
+  const tensorProg = createProgram(gl, vsSrc, await loadText("./shaders/flow_tensor.frag"));
+  const blurProg = createProgram(gl, vsSrc, await loadText("./shaders/flow_blur.frag"));
+  const floatTargets = !!gl.getExtension("EXT_color_buffer_float");
+  const linesSrc = await loadText("./shaders/lines.frag");
+  const createLines = () => createLineExtractor(gl, quad, vsSrc, linesSrc, { float: floatTargets });
+  const lines = createLines();
+
+  const hatchImg = await loadImage("../T_hatch.jpg");
+  let hatchTex = createTilingTexture(gl, [hatchImg]);
+  let hatchSize = sourceSize(hatchImg);
+  let hatchLevels = 1;
+
+  const U = (name) => gl.getUniformLocation(prog, name);
+  const u = {
+    image: U("u_image"),
+    hatchTex: U("u_hatchTex"),
+    hatchLevels: U("u_hatchLevels"),
+    hatchLod: U("u_hatchLod"),
+    imageSize: U("u_imageSize"),
+    texRect: U("u_texRect"),
+    outSize: U("u_outSize"),
+    outOffset: U("u_outOffset"),
+
+    centerPx: U("u_centerPx"),
+    zoom: U("u_zoom"),
+    lines: U("u_lines"),
+    outputMode: U("u_outputMode"),
+    screenRot: U("u_screenRot"),
+    flow: U("u_flow"),
+    maskLayer: U("u_maskLayer"),
+    mask: U("u_mask"),
+    below: U("u_below"),
+  };
+  // Parameter uniforms by parameter name, see params.js.
+  const paramUniforms = Object.fromEntries(
+    PARAMS.filter((def) => def.uniform).map((def) => [def.name, U(def.uniform)])
+  );
+
+  const OUTPUT_MODES = { ink: 0, analysis: 1, zones: 2 };
+
+  let flowRadius = null; // set while flow hatching is on
+  let flowField = null; // { tex, radius, fbo, tmp, prev }
+  let flowSmoothing = 0; // weight of the previous frame's field
+  let warnedNoFloat = false;
+  let baseParams = DEFAULT_PARAMS;
+  let lineParams = DEFAULT_PARAMS;
+  let hatchParams = DEFAULT_PARAMS; // the applied layer's, see hatchLod
+  // Mask layers, drawn over the base in order: { canvas, params, tex,
+  // lines }. `lines` is their own extractor when they change line
+  // parameters, otherwise the base one.
+  let masks = [];
+  const maskCache = new Map(); // canvas -> { tex, ownLines, used }
+  let maskGeneration = 0; // setMasks calls
+  let layerTargets = null; // [a, b] output-sized, while there are masks
+  let filter = null; // user shader drawn instead, see setFilter
+  let outputMode = "ink";
+
+  function setParams(params) {
+    baseParams = { ...DEFAULT_PARAMS, ...params };
+    applyParams(baseParams);
+  }
+
+  // Uniforms for one layer's parameters.
+  function applyParams(p) {
+    let hatchSpace = p.hatchSpace;
+    if (hatchSpace === "flow" && !floatTargets) {
+      if (!warnedNoFloat) {
+        console.warn("Flow hatching needs EXT_color_buffer_float; using image space");
+        warnedNoFloat = true;
+      }
+      hatchSpace = "image";
+    }
+    flowRadius = hatchSpace === "flow" ? p.flowRadius : null;
+    lineParams = p;
+
+    const values = { ...p, hatchSpace };
+    hatchParams = values;
+    gl.useProgram(prog);
+    for (const def of PARAMS) {
+      const loc = paramUniforms[def.name];
+      const v = values[def.name];
+      if (!loc) continue;
+      if (def.type === "number") gl.uniform1f(loc, v);
+      else if (def.type === "color") gl.uniform3fv(loc, hexToRgb(v));
+      else gl.uniform1i(loc, Math.max(0, def.choices.findIndex((c) => c.value === v)));
+    }
+    gl.uniformMatrix2fv(u.screenRot, false, screenRotations(p.halftoneAngle));
+  }
+
+  // Replace the hatch texture; several layers form a tonal art map.
+  function setHatchLayers(layers) {
+    const tex = createTilingTexture(gl, layers);
+    gl.deleteTexture(hatchTex);
+    hatchTex = tex;
+    hatchSize = sourceSize(layers[0]);
+    hatchLevels = layers.length;
+  }
+
+  function setOutputMode(mode) {
+    outputMode = mode;
+    gl.useProgram(prog);
+    gl.uniform1i(u.outputMode, OUTPUT_MODES[mode] ?? 0);
+  }
+
+  function deleteTarget(t) {
+    gl.deleteFramebuffer(t.fbo);
+    gl.deleteTexture(t.tex);
+  }
+
+  function uploadMask(tex, canvas) {
+    gl.bindTexture(gl.TEXTURE_2D, tex);
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, canvas);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+  }
+
+  function deleteMask(mask) {
+    gl.deleteTexture(mask.tex);
+    if (mask.ownLines) mask.ownLines.dispose();
+  }
+
+  // Masks painted over the image: [{ canvas, params }], with coverage in
+  // the canvas's alpha and full parameter sets. Textures are kept per
+  // canvas, also for a few calls after a canvas is left out, so switching
+  // between two sets of masks (A/B comparison) does not upload them again;
+  // call updateMask after painting on one.
+  function setMasks(list) {
+    maskGeneration++;
+    masks = list.map(({ canvas, params }) => {
+      const p = { ...DEFAULT_PARAMS, ...params };
+      let mask = maskCache.get(canvas);
+      if (!mask) {
+        mask = { canvas, tex: createTextureFromImage(gl, canvas), ownLines: null };
+        maskCache.set(canvas, mask);
+      }
+      mask.used = maskGeneration;
+      const ownLines = LINE_PARAMS.some((key) => p[key] !== baseParams[key]);
+      if (ownLines && !mask.ownLines) mask.ownLines = createLines();
+      return { canvas, tex: mask.tex, params: p, lines: ownLines ? mask.ownLines : lines };
+    });
+    for (const [canvas, mask] of maskCache) {
+      if (maskGeneration - mask.used < MASK_CACHE_CALLS) continue;
+      deleteMask(mask);
+      maskCache.delete(canvas);
+    }
+    if (!maskCache.size) deleteLayerTargets();
+  }
+
+  function updateMask(canvas) {
+    const mask = maskCache.get(canvas);
+    if (mask) uploadMask(mask.tex, canvas);
+  }
+
+  // Parameters of each mask layer, e.g. for tile margins.
+  function maskParams() {
+    return masks.map((m) => m.params);
+  }
+
+  function deleteLayerTargets() {
+    for (const t of layerTargets || []) deleteTarget(t);
+    layerTargets = null;
+  }
+
+  function deleteFlowField() {
+    if (!flowField) return;
+    for (const t of [flowField.fbo, flowField.tmp, flowField.prev]) {
+      if (t) deleteTarget(t);
+    }
+    flowField = null;
+  }
+
+  // Blend each new flow field with the previous one, by `amount` (0..1),
+  // so flow hatching does not swim between the frames of a sequence.
+  // Setting it starts a new sequence.
+  function setFlowSmoothing(amount) {
+    flowSmoothing = Math.min(0.99, Math.max(0, amount || 0));
+    if (flowField?.prev) {
+      deleteTarget(flowField.prev);
+      flowField.prev = null;
+    }
+  }
+
+  // Smoothed structure tensor of the whole image, rebuilt when the source
+  // or the smoothing radius changes. Tiles use their source's preview.
+  function updateFlowField(tile) {
+    const source = tile.preview || tile;
+    if (flowField && flowField.tex === source.tex && flowField.radius === flowRadius) {
+      return flowField.fbo.tex;
+    }
+
+    const scale = Math.min(1, FLOW_MAX_SIZE / Math.max(source.w, source.h));
+    const w = Math.max(1, Math.round(source.w * scale));
+    const h = Math.max(1, Math.round(source.h * scale));
+    if (!flowField || flowField.fbo.w !== w || flowField.fbo.h !== h) {
+      deleteFlowField();
+      flowField = {
+        fbo: createFBO(gl, w, h, { float: true }),
+        tmp: createFBO(gl, w, h, { float: true }),
+        prev: null,
+      };
+    }
+    flowField.tex = source.tex;
+    flowField.radius = flowRadius;
+
+    // The last result becomes the history; its old buffer is reused.
+    let history = 0;
+    if (flowSmoothing > 0) {
+      if (flowField.prev) {
+        [flowField.prev, flowField.fbo] = [flowField.fbo, flowField.prev];
+        history = flowSmoothing;
+      } else {
+        flowField.prev = createFBO(gl, w, h, { float: true });
+      }
+    }
+
+    runPass(gl, quad, tensorProg, flowField.fbo, source.tex, (p) =>
+      gl.uniform1i(gl.getUniformLocation(p, "u_image"), 0)
+    );
+    const sigma = (flowRadius * w) / source.imageW;
+    const blur = (dir, weight) => (p) => {
+      gl.uniform1i(gl.getUniformLocation(p, "u_input"), 0);
+      gl.uniform2f(gl.getUniformLocation(p, "u_dir"), dir[0], dir[1]);
+      gl.uniform1f(gl.getUniformLocation(p, "u_sigma"), sigma);
+      // With no history, point u_previous at the input rather than risk
+      // sampling the render target.
+      gl.uniform1i(gl.getUniformLocation(p, "u_previous"), weight > 0 ? 1 : 0);
+      gl.uniform1f(gl.getUniformLocation(p, "u_history"), weight);
+      if (weight > 0) {
+        gl.activeTexture(gl.TEXTURE1);
+        gl.bindTexture(gl.TEXTURE_2D, flowField.prev.tex);
+        gl.activeTexture(gl.TEXTURE0);
+      }
+    };
+    runPass(gl, quad, blurProg, flowField.tmp, flowField.fbo.tex, blur([1, 0], 0));
+    runPass(gl, quad, blurProg, flowField.fbo, flowField.tmp.tex, blur([0, 1], history));
+
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    return flowField.fbo.tex;
+  }
+
+  // source: see createSource. view: { center: { x, y }, zoom }, plus
+  // { outSize: { w, h }, outOffset: { x, y } } when rendering one tile of a
+  // larger output.
+  function render(targetFboOrNull, outW, outH, source, view) {
+    if (filter && outputMode === "ink") {
+      drawFilter(targetFboOrNull, outW, outH, source, view);
+      return;
+    }
+    if (!masks.length) {
+      drawLayer(targetFboOrNull, outW, outH, source, view, lines, null);
+      return;
+    }
+
+    // Base into one target, then each mask over the last result; the top
+    // layer goes straight to the real target.
+    if (!layerTargets || layerTargets[0].w !== outW || layerTargets[0].h !== outH) {
+      deleteLayerTargets();
+      layerTargets = [createFBO(gl, outW, outH), createFBO(gl, outW, outH)];
+    }
+    drawLayer(layerTargets[0].fbo, outW, outH, source, view, lines, null);
+    masks.forEach((mask, i) => {
+      const last = i === masks.length - 1;
+      applyParams(mask.params);
+      drawLayer(last ? targetFboOrNull : layerTargets[1].fbo, outW, outH, source, view, mask.lines, {
+        mask: mask.tex,
+        below: layerTargets[0].tex,
+      });
+      if (!last) layerTargets.reverse();
+    });
+    applyParams(baseParams);
+  }
+
+  // A user shader (see user-shaders.js) draws instead of crosshatch.frag,
+  // with no masks; null goes back to crosshatch.frag. The other output
+  // modes still come from crosshatch.frag.
+  function setFilter(shader) {
+    filter = shader;
+  }
+
+  // User shaders only know the simple view, so a tile is drawn as a whole
+  // output of its own, centred on its part of the image. They sample the
+  // whole-image texture: the preview for tiled images.
+  function drawFilter(targetFboOrNull, outW, outH, source, view) {
+    const whole = source.preview || source;
+    const outSize = view.outSize || { w: outW, h: outH };
+    const outOffset = view.outOffset || { x: 0, y: 0 };
+    const center = {
+      x: view.center.x + (outOffset.x + 0.5 * (outW - outSize.w)) / view.zoom,
+      y: view.center.y + (outOffset.y + 0.5 * (outH - outSize.h)) / view.zoom,
+    };
+    gl.bindFramebuffer(gl.FRAMEBUFFER, targetFboOrNull);
+    gl.viewport(0, 0, outW, outH);
+    gl.disable(gl.DEPTH_TEST);
+    gl.disable(gl.BLEND);
+    filter.draw(quad, whole.tex, source.imageW, source.imageH, outW, outH, center, view.zoom);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  }
+
+  // One layer with the parameters currently applied. `layer` is null for
+  // the base, or the { mask, below } textures of a mask layer.
+  function drawLayer(targetFboOrNull, outW, outH, source, view, lineExtractor, layer) {
+    const flowTex = flowRadius !== null ? updateFlowField(source) : null;
+    // Line sizes are in image pixels; a preview texture has fewer.
+    const texelScale = source.w / source.rect.w;
+    const linesTex = lineExtractor.update(source, {
+      ...lineParams,
+      lineBlur: lineParams.lineBlur * texelScale,
+      lineWeight: lineParams.lineWeight * texelScale,
+    });
+
+    gl.useProgram(prog);
+    gl.bindVertexArray(quad.vao);
+
+    if (targetFboOrNull) gl.bindFramebuffer(gl.FRAMEBUFFER, targetFboOrNull);
+    else gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    gl.viewport(0, 0, outW, outH);
+    gl.disable(gl.DEPTH_TEST);
+    gl.disable(gl.BLEND);
+
+    // Bind source image to texture unit 0
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, source.tex);
+    gl.uniform1i(u.image, 0);
+
+    // Bind hatch texture to texture unit 1
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D_ARRAY, hatchTex);
+    gl.uniform1i(u.hatchTex, 1);
+    gl.uniform1i(u.hatchLevels, hatchLevels);
+
+    // Flow field on texture unit 2
+    gl.activeTexture(gl.TEXTURE2);
+    gl.bindTexture(gl.TEXTURE_2D, flowTex);
+    gl.uniform1i(u.flow, 2);
+
+    // Outline ink on texture unit 3
+    gl.activeTexture(gl.TEXTURE3);
+    gl.bindTexture(gl.TEXTURE_2D, linesTex);
+    gl.uniform1i(u.lines, 3);
+
+    // Mask coverage and the layers below on units 4 and 5
+    gl.uniform1i(u.maskLayer, layer ? 1 : 0);
+    gl.activeTexture(gl.TEXTURE4);
+    gl.bindTexture(gl.TEXTURE_2D, layer?.mask ?? null);
+    gl.uniform1i(u.mask, 4);
+    gl.activeTexture(gl.TEXTURE5);
+    gl.bindTexture(gl.TEXTURE_2D, layer?.below ?? null);
+    gl.uniform1i(u.below, 5);
+
+    const { rect } = source;
+    const outSize = view.outSize || { w: outW, h: outH };
+    const outOffset = view.outOffset || { x: 0, y: 0 };
+    gl.uniform2f(u.imageSize, source.imageW, source.imageH);
+    gl.uniform4f(u.texRect, rect.x, rect.y, rect.w, rect.h);
+    gl.uniform2f(u.outSize, outSize.w, outSize.h);
+    gl.uniform2f(u.outOffset, outOffset.x, outOffset.y);
+    gl.uniform1f(u.hatchLod, hatchLod(hatchParams, hatchSize, outSize, view.zoom));
+
+    // View uniforms
+    gl.uniform2f(u.centerPx, view.center.x, view.center.y);
+    gl.uniform1f(u.zoom, view.zoom);
+
+    gl.drawArrays(gl.TRIANGLES, 0, quad.vertexCount);
+
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.activeTexture(gl.TEXTURE4);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.activeTexture(gl.TEXTURE3);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.activeTexture(gl.TEXTURE2);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D_ARRAY, null);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.bindVertexArray(null);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  }
+
+  function dispose() {
+    masks = [];
+    maskCache.forEach(deleteMask);
+    maskCache.clear();
+    deleteLayerTargets();
+    deleteFlowField();
+    lines.dispose();
+    gl.deleteProgram(tensorProg);
+    gl.deleteProgram(blurProg);
+    gl.deleteTexture(hatchTex);
+    if (quad.vao) gl.deleteVertexArray(quad.vao);
+    if (quad.vbo) gl.deleteBuffer(quad.vbo);
+    gl.deleteProgram(prog);
+  }
+
+  return {
+    prog,
+    quad,
+    setParams,
+    setHatchLayers,
+    setOutputMode,
+    setFlowSmoothing,
+    setMasks,
+    updateMask,
+    maskParams,
+    setFilter,
+    render,
+    dispose,
+  };
+}
+
+// A source is a texture (w x h texels) covering `rect` of an image of
+// imageW x imageH pixels; rect is bottom-up like the texture. Images larger
+// than sourceSizeLimit() are downscaled here and rendered at full size by
+// tiles.js, whose tile sources keep the whole-image one as `preview`.
+export function createSource(gl, img) {
+  const { w: imageW, h: imageH } = sourceSize(img);
+  const scale = Math.min(1, sourceSizeLimit(gl) / Math.max(imageW, imageH));
+  const w = Math.max(1, Math.round(imageW * scale));
+  const h = Math.max(1, Math.round(imageH * scale));
+  return {
+    tex: createTextureFromImage(gl, scale < 1 ? resizeSource(img, w, h) : img),
+    w,
+    h,
+    imageW,
+    imageH,
+    rect: { x: 0, y: 0, w: imageW, h: imageH },
+  };
+}
+
+// Whether the image must be exported with renderTiled (tiles.js).
+export function needsTiling(source) {
+  return source.w < source.imageW || source.h < source.imageH;
+}
+
+// Render the whole source scaled by `zoom` and return top-down RGBA rows.
+export function renderImageToPixels(gl, pipeline, source, zoom) {
+  const w = Math.max(1, Math.round(source.imageW * zoom));
+  const h = Math.max(1, Math.round(source.imageH * zoom));
+  const view = { center: { x: source.imageW * 0.5, y: source.imageH * 0.5 }, zoom };
+
+  const fbo = createFBO(gl, w, h);
+  const pixels = new Uint8Array(w * h * 4);
+  try {
+    pipeline.render(fbo.fbo, w, h, source, view);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, fbo.fbo);
+    gl.readPixels(0, 0, w, h, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    assertContext(gl);
+  } finally {
+    gl.deleteFramebuffer(fbo.fbo);
+    gl.deleteTexture(fbo.tex);
+  }
+
+  return { pixels: flipRows(pixels, w, h), w, h };
+}
+
+function flipRows(pixels, w, h) {
+  const flipped = new Uint8Array(pixels.length);
+  const rowBytes = w * 4;
+  for (let y = 0; y < h; y++) {
+    const srcRow = (h - 1 - y) * rowBytes;
+    const dstRow = y * rowBytes;
+    flipped.set(pixels.subarray(srcRow, srcRow + rowBytes), dstRow);
+  }
+  return flipped;
+}
+
+// Render the whole source at 1:1 and return top-down RGBA rows.
+export function renderFullResolution(gl, pipeline, source) {
+  if (needsTiling(source)) throw new Error("Image is too large to render in one piece");
+  return renderImageToPixels(gl, pipeline, source, 1.0).pixels;
+}
+
+// Edge/zone masks (see u_outputMode) for vector tracing, with the longest
+// side capped at maxSize. `scale` is mask pixels per source pixel.
+export function renderAnalysisMasks(gl, pipeline, source, maxSize) {
+  const size = Math.min(maxSize, sourceSizeLimit(gl));
+  const scale = Math.min(1, size / Math.max(source.imageW, source.imageH));
+  pipeline.setOutputMode("analysis");
+  try {
+    return { ...renderImageToPixels(gl, pipeline, source, scale), scale };
+  } finally {
+    pipeline.setOutputMode("ink");
+  }
+}
+
+export async function encodePng(pixels, w, h) {
+  const c2 = document.createElement("canvas");
+  c2.width = w;
+  c2.height = h;
+  const ctx = c2.getContext("2d");
+  const imageData = ctx.createImageData(w, h);
+  imageData.data.set(pixels);
+  ctx.putImageData(imageData, 0, 0);
+
+  const blob = await new Promise((resolve) => c2.toBlob(resolve, "image/png"));
+  if (!blob) throw new Error("PNG encoding failed");
+  return new Uint8Array(await blob.arrayBuffer());
+}
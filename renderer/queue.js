@@ -0,0 +1,35 @@
+import IMAGE_EXTENSIONS from "./image-extensions.json" with { type: "json" };
+
+// Helpers for the batch queue panel in renderer.js.
+
+export const DEFAULT_NAME_TEMPLATE = "{name}-crosshatch";
+
+// The extensions batch mode picks up from folders (lib/batch.js).
+export function isImageFile(filePath) {
+  const ext = /\.([^./\\]+)$/.exec(filePath)?.[1].toLowerCase();
+  return IMAGE_EXTENSIONS.includes(ext);
+}
+
+// Output file name, without extension, for a queue item. Tokens: {name} the
+// source file name without its extension, {index} the item's position in
+// the queue and {settings} what it is rendered with ("current", "auto",
+// "custom" or a preset name). Unknown tokens are left as they are.
+export function expandNameTemplate(template, vars) {
+  const name = String(template || DEFAULT_NAME_TEMPLATE).replace(
+    /\{(\w+)\}/g,
+    (token, key) => (key in vars ? String(vars[key]) : token)
+  );
+  return name.replace(/[\\/:*?"<>|\x00-\x1f]/g, "_").trim() || "untitled";
+}
+
+// Small data URL preview of an image, longest side `size`.
+export function makeThumbnail(img, size = 48) {
+  const w = img.naturalWidth || img.width;
+  const h = img.naturalHeight || img.height;
+  const scale = size / Math.max(w, h, 1);
+  const c = document.createElement("canvas");
+  c.width = Math.max(1, Math.round(w * scale));
+  c.height = Math.max(1, Math.round(h * scale));
+  c.getContext("2d").drawImage(img, 0, 0, c.width, c.height);
+  return c.toDataURL("image/png");
+}
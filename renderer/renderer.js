@@ -1,25 +1,54 @@
+import { createGL, createProgram, createFBO } from "./gl.js";
 import {
-  createGL,
-  createProgram,
-  createFullscreenQuad,
-  createTextureFromImage,
-  createFBO,
-} from "./gl.js";
-
-async function loadText(url) {
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`Failed to load ${url}`);
-  return await res.text();
-}
-
-async function loadImage(url) {
-  return new Promise((resolve, reject) => {
-    const img = new Image();
-    img.onload = () => resolve(img);
-    img.onerror = reject;
-    img.src = url;
-  });
-}
+  loadText,
+  loadImage,
+  loadImageFromPath,
+  createCrosshatchPipeline,
+  createSource,
+  renderAnalysisMasks,
+} from "./pipeline.js";
+import {
+  HISTOGRAM_BINS,
+  analyzeImage,
+  calculateAutoSettings,
+  luminanceHistogram,
+} from "./analysis.js";
+import { decodeAnalysisPixels, vectorize, toSvg } from "./vector.js";
+import { createHistory } from "./history.js";
+import { renderTiled, tiledOutputSize } from "./tiles.js";
+import {
+  createMask,
+  beginStroke,
+  paintLine,
+  diffParams,
+  serializeMasks,
+  deserializeMasks,
+  drawMaskOverlay,
+} from "./masks.js";
+import {
+  DEFAULT_NAME_TEMPLATE,
+  isImageFile,
+  expandNameTemplate,
+  makeThumbnail,
+} from "./queue.js";
+import {
+  DEFAULT_HATCH_TEXTURE,
+  DEFAULT_PROCEDURAL_OPTIONS,
+  proceduralTam,
+  loadHatchLayers,
+  describeHatchTexture,
+} from "./textures.js";
+import { createUserShader, describeCompileErrors } from "./user-shaders.js";
+import {
+  DEFAULT_PARAMS,
+  PARAMS,
+  PARAM_LABELS,
+  clampParams,
+  createParamControls,
+  updateParamRows,
+} from "./params.js";
+import { showNotice } from "./notices.js";
+import { startCpuFallback } from "./cpu-fallback.js";
 
 function resizeCanvasToDisplaySize(canvas) {
   const dpr = window.devicePixelRatio || 1;
@@ -33,24 +62,6 @@ function resizeCanvasToDisplaySize(canvas) {
   return false;
 }
 
-function createTilingTexture(gl, img) {
-  const tex = gl.createTexture();
-  gl.bindTexture(gl.TEXTURE_2D, tex);
-  gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
-  gl.texParameteri(
-    gl.TEXTURE_2D,
-    gl.TEXTURE_MIN_FILTER,
-    gl.LINEAR_MIPMAP_LINEAR
-  );
-  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
-  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.REPEAT);
-  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, img);
-  gl.generateMipmap(gl.TEXTURE_2D);
-  gl.bindTexture(gl.TEXTURE_2D, null);
-  return tex;
-}
-
 const PASSTHROUGH_FRAG = `#version 300 es
 precision highp float;
 
@@ -77,210 +88,96 @@ void main() {
 }
 `;
 
-// --- Image Analysis ---
+// In-place comparison of the processed view (u_a) with the original or the
+// B settings (u_b), both rendered at the output size.
+const COMPARE_FRAG = `#version 300 es
+precision highp float;
 
-function mapRange(value, inMin, inMax, outMin, outMax) {
-  const clamped = Math.max(inMin, Math.min(inMax, value));
-  return outMin + (outMax - outMin) * ((clamped - inMin) / (inMax - inMin));
-}
+uniform sampler2D u_a;
+uniform sampler2D u_b;
+uniform int u_blend;
+uniform float u_opacity; // blend: weight of u_b
+uniform float u_split; // wipe: divider position, 0..1 from the left or top
+uniform int u_horizontal; // wipe: the divider runs across
+uniform vec2 u_outSize;
 
-function rgbToLuminance(r, g, b) {
-  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
-}
+out vec4 outColor;
 
-function analyzeImage(gl, srcTex, srcW, srcH) {
-  const analysisSize = 64;
-  const fbo = createFBO(gl, analysisSize, analysisSize);
-  
-  const analysisVS = `#version 300 es
-    layout(location=0) in vec2 a_pos;
-    out vec2 v_uv;
-    void main() {
-      v_uv = a_pos * 0.5 + 0.5;
-      gl_Position = vec4(a_pos, 0.0, 1.0);
-    }
-  `;
-  const analysisFS = `#version 300 es
-    precision highp float;
-    uniform sampler2D u_image;
-    in vec2 v_uv;
-    out vec4 outColor;
-    void main() {
-      outColor = texture(u_image, v_uv);
-    }
-  `;
-  
-  const analysisProg = createProgram(gl, analysisVS, analysisFS);
-  const analysisQuad = createFullscreenQuad(gl);
-  
-  gl.bindFramebuffer(gl.FRAMEBUFFER, fbo.fbo);
-  gl.viewport(0, 0, analysisSize, analysisSize);
-  gl.useProgram(analysisProg);
-  gl.bindVertexArray(analysisQuad.vao);
-  
-  gl.activeTexture(gl.TEXTURE0);
-  gl.bindTexture(gl.TEXTURE_2D, srcTex);
-  gl.uniform1i(gl.getUniformLocation(analysisProg, "u_image"), 0);
-  
-  gl.drawArrays(gl.TRIANGLES, 0, 6);
-  
-  const pixels = new Uint8Array(analysisSize * analysisSize * 4);
-  gl.readPixels(0, 0, analysisSize, analysisSize, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
-  
-  gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-  gl.deleteFramebuffer(fbo.fbo);
-  gl.deleteTexture(fbo.tex);
-  gl.deleteProgram(analysisProg);
-  gl.deleteVertexArray(analysisQuad.vao);
-  gl.deleteBuffer(analysisQuad.vbo);
-  
-  const numPixels = analysisSize * analysisSize;
-  let sumLum = 0;
-  let sumLumSq = 0;
-  const luminances = new Float32Array(numPixels);
-  
-  for (let i = 0; i < numPixels; i++) {
-    const r = pixels[i * 4] / 255;
-    const g = pixels[i * 4 + 1] / 255;
-    const b = pixels[i * 4 + 2] / 255;
-    const lum = rgbToLuminance(r, g, b);
-    luminances[i] = lum;
-    sumLum += lum;
-    sumLumSq += lum * lum;
-  }
-  
-  const meanLum = sumLum / numPixels;
-  const variance = (sumLumSq / numPixels) - (meanLum * meanLum);
-  const stdLum = Math.sqrt(Math.max(0, variance));
-  
-  let edgeSum = 0;
-  for (let y = 1; y < analysisSize - 1; y++) {
-    for (let x = 1; x < analysisSize - 1; x++) {
-      const idx = y * analysisSize + x;
-      const left = luminances[idx - 1];
-      const right = luminances[idx + 1];
-      const up = luminances[idx - analysisSize];
-      const down = luminances[idx + analysisSize];
-      
-      const gx = right - left;
-      const gy = down - up;
-      const gradient = Math.sqrt(gx * gx + gy * gy);
-      edgeSum += gradient;
-    }
-  }
-  const edgeDensity = edgeSum / ((analysisSize - 2) * (analysisSize - 2));
-  
-  let localVarSum = 0;
-  const blockSize = 8;
-  const numBlocks = Math.floor(analysisSize / blockSize);
-  
-  for (let by = 0; by < numBlocks; by++) {
-    for (let bx = 0; bx < numBlocks; bx++) {
-      let blockSum = 0;
-      let blockSumSq = 0;
-      const blockPixels = blockSize * blockSize;
-      
-      for (let dy = 0; dy < blockSize; dy++) {
-        for (let dx = 0; dx < blockSize; dx++) {
-          const idx = (by * blockSize + dy) * analysisSize + (bx * blockSize + dx);
-          const lum = luminances[idx];
-          blockSum += lum;
-          blockSumSq += lum * lum;
-        }
-      }
-      
-      const blockMean = blockSum / blockPixels;
-      const blockVar = (blockSumSq / blockPixels) - (blockMean * blockMean);
-      localVarSum += blockVar;
-    }
+void main() {
+  ivec2 px = ivec2(gl_FragCoord.xy);
+  vec4 a = texelFetch(u_a, px, 0);
+  vec4 b = texelFetch(u_b, px, 0);
+  if (u_blend == 1) {
+    outColor = mix(a, b, u_opacity);
+    return;
   }
-  const textureComplexity = localVarSum / (numBlocks * numBlocks);
-  
+  // Pixels past the divider; u_b is on the left or top.
+  float d = u_horizontal == 1
+    ? (u_outSize.y - gl_FragCoord.y) - u_split * u_outSize.y
+    : gl_FragCoord.x - u_split * u_outSize.x;
+  outColor = abs(d) < 1.0 ? vec4(0.0, 0.48, 1.0, 1.0) : (d < 0.0 ? b : a);
+}
+`;
+
+function passthroughUniforms(gl, prog) {
   return {
-    meanLum,
-    stdLum,
-    edgeDensity: Math.min(1, edgeDensity * 5),
-    textureComplexity: Math.min(1, textureComplexity * 20)
+    image: gl.getUniformLocation(prog, "u_image"),
+    texSize: gl.getUniformLocation(prog, "u_texSize"),
+    outSize: gl.getUniformLocation(prog, "u_outSize"),
+    centerPx: gl.getUniformLocation(prog, "u_centerPx"),
+    zoom: gl.getUniformLocation(prog, "u_zoom"),
   };
 }
 
-function calculateAutoSettings(analysis) {
-  // Brightness: dark+high contrast = less boost, dark+low contrast = more boost
-  let brightness;
-  if (analysis.meanLum < 0.35) {
-    const contrastFactor = mapRange(analysis.stdLum, 0.1, 0.25, 1.0, 0.3);
-    brightness = 0.95 + (0.3 * contrastFactor);
-  } else if (analysis.meanLum < 0.55) {
-    brightness = mapRange(analysis.meanLum, 0.35, 0.55, 0.95, 0.85);
-  } else {
-    brightness = mapRange(analysis.meanLum, 0.55, 0.75, 0.85, 0.75);
-  }
-
-  const toon = mapRange(analysis.stdLum, 0.1, 0.25, 0.24, 0.28);
-
-  const threshold = analysis.meanLum < 0.35 
-    ? mapRange(analysis.meanLum, 0.15, 0.35, 0.25, 0.32)
-    : mapRange(analysis.meanLum, 0.35, 0.6, 0.34, 0.30);
-
-  const edges = analysis.meanLum < 0.35
-    ? 1.0
-    : mapRange(analysis.textureComplexity, 0.4, 0.8, 1.15, 1.0);
-
-  const hatching = analysis.meanLum < 0.35
-    ? mapRange(analysis.meanLum, 0.15, 0.35, 0.75, 0.90)
-    : 1.0;
-
-  const scale = 2.0;
-
-  return { brightness, scale, hatching, edges, toon, threshold };
+// Startup failures replace the preview with `message`.
+function showStartupError(message) {
+  const el = document.createElement("p");
+  el.className = "startup-error";
+  el.textContent = message;
+  document.getElementById("wrap").replaceChildren(el);
+  document.getElementById("topbar").inert = true;
 }
 
 async function main() {
   const canvas = document.getElementById("gl");
-  const gl = createGL(canvas);
+  let gl;
+  try {
+    gl = createGL(canvas);
+  } catch (err) {
+    // Without WebGL 2 the basics still work, rendered on the CPU.
+    console.error(err);
+    await startCpuFallback();
+    return;
+  }
 
+  let pipeline = await createCrosshatchPipeline(gl);
   const vsSrc = await loadText("./shaders/fullscreen.vert");
-  const fsSrc = await loadText("./shaders/crosshatch.frag");
-  const prog = createProgram(gl, vsSrc, fsSrc);
-  const quad = createFullscreenQuad(gl);
-
-  const hatchImg = await loadImage("../T_hatch.jpg");
-  const hatchTex = createTilingTexture(gl, hatchImg);
-
-  const U = (name) => gl.getUniformLocation(prog, name);
-  const u = {
-    image: U("u_image"),
-    hatchTex: U("u_hatchTex"),
-    texSize: U("u_texSize"),
-    outSize: U("u_outSize"),
-
-    centerPx: U("u_centerPx"),
-    zoom: U("u_zoom"),
-    hatchScale: U("u_hatchScale"),
-    toonThreshold: U("u_toonThreshold"),
-    finalThreshold: U("u_finalThreshold"),
-    brightness: U("u_brightness"),
-    hatchAmount: U("u_hatchAmount"),
-    edgeStrength: U("u_edgeStrength"),
-  };
 
+  // Side by side, the original is drawn with `gl` too and copied over, so
+  // the image is uploaded once.
   const canvasOriginal = document.getElementById("glOriginal");
-  const glOrig = createGL(canvasOriginal);
-  const progOrig = createProgram(glOrig, vsSrc, PASSTHROUGH_FRAG);
-  const quadOrig = createFullscreenQuad(glOrig);
-
-  const uOrig = {
-    image: glOrig.getUniformLocation(progOrig, "u_image"),
-    texSize: glOrig.getUniformLocation(progOrig, "u_texSize"),
-    outSize: glOrig.getUniformLocation(progOrig, "u_outSize"),
-    centerPx: glOrig.getUniformLocation(progOrig, "u_centerPx"),
-    zoom: glOrig.getUniformLocation(progOrig, "u_zoom"),
-  };
+  const originalCtx = canvasOriginal.getContext("2d");
+
+  let progPlain, uPlain, progCompare, uCompare;
+
+  function createViewPrograms() {
+    progPlain = createProgram(gl, vsSrc, PASSTHROUGH_FRAG);
+    uPlain = passthroughUniforms(gl, progPlain);
+    progCompare = createProgram(gl, vsSrc, COMPARE_FRAG);
+    uCompare = Object.fromEntries(
+      ["a", "b", "blend", "opacity", "split", "horizontal", "outSize"].map((name) => [
+        name,
+        gl.getUniformLocation(progCompare, `u_${name}`),
+      ])
+    );
+  }
+  createViewPrograms();
 
   let srcTex = null;
-  let srcTexOrig = null;
+  let srcSource = null; // see createSource; srcW/srcH are the image size
   let srcW = 0,
     srcH = 0;
+  let exporting = false; // no frames are drawn during tiled exports
 
   let compareMode = false;
   const wrap = document.getElementById("wrap");
@@ -293,6 +190,7 @@ async function main() {
   function setViewCenter(x, y) {
     viewCenter.x = x;
     viewCenter.y = y;
+    requestRender();
   }
 
   function fitToView(outW, outH) {
@@ -317,146 +215,185 @@ async function main() {
 
   const btnOpen = document.getElementById("btnOpen");
   const btnExport = document.getElementById("btnExport");
+  const btnExportSvg = document.getElementById("btnExportSvg");
+  const svgDialog = document.getElementById("svgDialog");
   const btnFit = document.getElementById("btnFit");
   const btnOneToOne = document.getElementById("btnOneToOne");
 
-  const brightnessEl = document.getElementById("brightness");
-  const scaleEl = document.getElementById("flow");
-  const hatchingEl = document.getElementById("hatching");
-  const edgesEl = document.getElementById("edges");
-  const toonEl = document.getElementById("edge");
-  const threshEl = document.getElementById("contrast");
+  // Parameter controls, built from param-schema.json (see params.js)
+  const paramControls = createParamControls(document.getElementById("topbar"));
+  const paramInputs = paramControls.inputs;
+  const toonEl = paramInputs.toon;
+  const threshEl = paramInputs.threshold;
 
   function updateSliderValue(slider) {
     const span = document.querySelector(`.slider-value[data-for="${slider.id}"]`);
     if (span) {
       const val = parseFloat(slider.value);
-      span.textContent = val.toFixed(val >= 10 ? 1 : 2);
-    }
-  }
-  
-  [brightnessEl, scaleEl, hatchingEl, edgesEl, toonEl, threshEl].forEach(el => {
-    if (el) {
-      el.addEventListener("input", () => updateSliderValue(el));
-      updateSliderValue(el); // Set initial value
+      const digits = parseFloat(slider.step) >= 1 ? 0 : val >= 10 ? 1 : 2;
+      span.textContent = val.toFixed(digits);
     }
-  });
-
-  function setDefaults() {
-    gl.useProgram(prog);
-    gl.uniform1f(u.brightness, parseFloat(brightnessEl?.value ?? 1.0));
-    gl.uniform1f(u.hatchScale, parseFloat(scaleEl?.value ?? 2.0));
-    gl.uniform1f(u.hatchAmount, parseFloat(hatchingEl?.value ?? 1.0));
-    gl.uniform1f(u.edgeStrength, parseFloat(edgesEl?.value ?? 1.0));
-    gl.uniform1f(u.toonThreshold, parseFloat(toonEl?.value ?? 0.5));
-    gl.uniform1f(u.finalThreshold, parseFloat(threshEl?.value ?? 0.3));
   }
 
-  function renderToTarget(targetFboOrNull, outW, outH) {
-    if (!srcTex) return;
+  // Painted masks (see masks.js) and the one being edited, if any. While a
+  // mask is edited the controls show its parameters and baseParams holds
+  // those of the whole image.
+  let masks = [];
+  let editMaskId = null;
+  let baseParams = null;
+  const editedMask = () => masks.find((m) => m.id === editMaskId) || null;
 
-    gl.useProgram(prog);
-    gl.bindVertexArray(quad.vao);
+  const readControls = () => paramControls.read();
 
-    if (targetFboOrNull) gl.bindFramebuffer(gl.FRAMEBUFFER, targetFboOrNull);
-    else gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  // Parameters of the whole image.
+  /** @returns {import("./params.js").Params} */
+  function getParams() {
+    return editMaskId !== null ? { ...baseParams } : readControls();
+  }
 
-    gl.viewport(0, 0, outW, outH);
-    gl.disable(gl.DEPTH_TEST);
-    gl.disable(gl.BLEND);
+  // Only one Scale slider is shown: tile size in image pixels, or the
+  // screen-space tiling factor. Flow hatching and halftone screens add
+  // their own controls while in use.
+  function updateChoiceControls() {
+    const p = readControls();
+    updateParamRows(paramControls, p);
+    canvas.classList.toggle("checkerboard", p.paperMode === "transparent");
+  }
 
-    // Bind source image to texture unit 0
-    gl.activeTexture(gl.TEXTURE0);
-    gl.bindTexture(gl.TEXTURE_2D, srcTex);
-    gl.uniform1i(u.image, 0);
+  for (const def of PARAMS) {
+    if (def.type === "choice") paramInputs[def.name].addEventListener("change", updateChoiceControls);
+  }
+  updateChoiceControls();
 
-    // Bind hatch texture to texture unit 1
-    gl.activeTexture(gl.TEXTURE1);
-    gl.bindTexture(gl.TEXTURE_2D, hatchTex);
-    gl.uniform1i(u.hatchTex, 1);
+  // Push a (partial) params object into the controls.
+  function writeControls(params) {
+    paramControls.write(params);
+    updateChoiceControls();
+    requestRender();
+  }
 
-    gl.uniform2f(u.texSize, srcW, srcH);
-    gl.uniform2f(u.outSize, outW, outH);
+  // Set (some) parameters of the whole image; values out of range are
+  // clamped and unknown names ignored.
+  /** @param {Partial<import("./params.js").Params>} params */
+  function setParams(params) {
+    params = clampParams(params);
+    if (editMaskId === null) return writeControls(params);
+    baseParams = { ...baseParams, ...params };
+    writeControls({ ...baseParams, ...editedMask().overrides });
+  }
 
-    // View uniforms
-    gl.uniform2f(u.centerPx, viewCenter.x, viewCenter.y);
-    gl.uniform1f(u.zoom, viewZoom);
+  // Masks of `list` that change anything, as pipeline layers over `base`.
+  function maskLayers(base = getParams(), list = masks) {
+    return list
+      .filter((m) => Object.keys(m.overrides).length)
+      .map((m) => ({ canvas: m.canvas, params: { ...base, ...m.overrides } }));
+  }
 
-    gl.drawArrays(gl.TRIANGLES, 0, quad.vertexCount);
+  function setDefaults() {
+    pipeline.setParams(getParams());
+    pipeline.setMasks(maskLayers());
+  }
 
-    gl.bindTexture(gl.TEXTURE_2D, null);
-    gl.activeTexture(gl.TEXTURE0);
-    gl.bindTexture(gl.TEXTURE_2D, null);
-    gl.bindVertexArray(null);
-    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  function renderToTarget(targetFboOrNull, outW, outH) {
+    if (!srcTex) return;
+    // The zone overlay is for the preview only; exports stay in ink.
+    if (showZones) pipeline.setOutputMode("zones");
+    pipeline.render(
+      targetFboOrNull,
+      outW,
+      outH,
+      srcSource,
+      { center: viewCenter, zoom: viewZoom }
+    );
+    if (showZones) pipeline.setOutputMode("ink");
   }
 
-  function renderOriginal(outW, outH) {
-    if (!srcTexOrig) return;
+  // Draw the image `tex` with the current pan and zoom.
+  function drawPassthrough(c, prog, u, quad, tex, targetFboOrNull, outW, outH) {
+    c.useProgram(prog);
+    c.bindVertexArray(quad.vao);
+    c.bindFramebuffer(c.FRAMEBUFFER, targetFboOrNull);
 
-    glOrig.useProgram(progOrig);
-    glOrig.bindVertexArray(quadOrig.vao);
-    glOrig.bindFramebuffer(glOrig.FRAMEBUFFER, null);
+    c.viewport(0, 0, outW, outH);
+    c.disable(c.DEPTH_TEST);
+    c.disable(c.BLEND);
 
-    glOrig.viewport(0, 0, outW, outH);
-    glOrig.disable(glOrig.DEPTH_TEST);
-    glOrig.disable(glOrig.BLEND);
+    c.activeTexture(c.TEXTURE0);
+    c.bindTexture(c.TEXTURE_2D, tex);
+    c.uniform1i(u.image, 0);
 
-    glOrig.activeTexture(glOrig.TEXTURE0);
-    glOrig.bindTexture(glOrig.TEXTURE_2D, srcTexOrig);
-    glOrig.uniform1i(uOrig.image, 0);
+    c.uniform2f(u.texSize, srcW, srcH);
+    c.uniform2f(u.outSize, outW, outH);
+    c.uniform2f(u.centerPx, viewCenter.x, viewCenter.y);
+    c.uniform1f(u.zoom, viewZoom);
 
-    glOrig.uniform2f(uOrig.texSize, srcW, srcH);
-    glOrig.uniform2f(uOrig.outSize, outW, outH);
-    glOrig.uniform2f(uOrig.centerPx, viewCenter.x, viewCenter.y);
-    glOrig.uniform1f(uOrig.zoom, viewZoom);
+    c.drawArrays(c.TRIANGLES, 0, quad.vertexCount);
 
-    glOrig.drawArrays(glOrig.TRIANGLES, 0, quadOrig.vertexCount);
+    c.bindTexture(c.TEXTURE_2D, null);
+    c.bindVertexArray(null);
+    c.bindFramebuffer(c.FRAMEBUFFER, null);
+  }
 
-    glOrig.bindTexture(glOrig.TEXTURE_2D, null);
-    glOrig.bindVertexArray(null);
+  // The side-by-side original: drawn into the bottom left of the GL
+  // canvas, before the processed view, and copied to its own canvas. The
+  // panes are the same size give or take a pixel.
+  function renderOriginal() {
+    resizeCanvasToDisplaySize(canvasOriginal);
+    const w = Math.min(canvasOriginal.width, canvas.width);
+    const h = Math.min(canvasOriginal.height, canvas.height);
+    drawPassthrough(gl, progPlain, uPlain, pipeline.quad, srcTex, null, w, h);
+    originalCtx.drawImage(
+      canvas,
+      0,
+      canvas.height - h,
+      w,
+      h,
+      0,
+      0,
+      canvasOriginal.width,
+      canvasOriginal.height
+    );
   }
 
-  function frame() {
-    const changed = resizeCanvasToDisplaySize(canvas);
+  // --- Rendering ---
+  // Frames are drawn on demand: whatever changes the preview calls
+  // requestRender(), and the next animation frame draws once.
+  let framePending = false;
 
-    if (srcTex) {
-      // Update slider-driven uniforms live
-      gl.useProgram(prog);
-      gl.uniform1f(u.brightness, parseFloat(brightnessEl?.value ?? 1.0));
-      gl.uniform1f(u.hatchScale, parseFloat(scaleEl?.value ?? 2.0));
-      gl.uniform1f(u.hatchAmount, parseFloat(hatchingEl?.value ?? 1.0));
-      gl.uniform1f(u.edgeStrength, parseFloat(edgesEl?.value ?? 1.0));
-      gl.uniform1f(u.toonThreshold, parseFloat(toonEl?.value ?? 0.5));
-      gl.uniform1f(u.finalThreshold, parseFloat(threshEl?.value ?? 0.3));
-    }
+  function requestRender() {
+    if (framePending) return;
+    framePending = true;
+    requestAnimationFrame(frame);
+  }
 
-    if (changed || srcTex) renderToTarget(null, canvas.width, canvas.height);
+  function frame() {
+    framePending = false;
+    if (exporting || contextLost) return;
 
-    // Render original canvas when in compare mode
-    if (compareMode && srcTexOrig) {
-      resizeCanvasToDisplaySize(canvasOriginal);
-      renderOriginal(canvasOriginal.width, canvasOriginal.height);
-    }
+    const changed = resizeCanvasToDisplaySize(canvas);
 
-    requestAnimationFrame(frame);
+    if (srcTex) setDefaults();
+    if (srcTex && compareMode && compareView === "side") renderOriginal();
+    if (changed || srcTex) renderView(canvas.width, canvas.height);
+    drawOverlay();
+    drawHistogram();
   }
 
-  async function loadImageFromPath(filePath) {
-    const url = `file://${filePath.replaceAll("\\", "/")}`;
-    const img = new Image();
-    img.decoding = "async";
-    img.src = url;
-    await img.decode();
-    return img;
-  }
+  // Controls redraw through their events; they bubble up from the topbar
+  // and the panels.
+  document.addEventListener("input", requestRender);
+  document.addEventListener("change", requestRender);
+  const resizeObserver = new ResizeObserver(requestRender);
+  resizeObserver.observe(canvas);
+  resizeObserver.observe(canvasOriginal);
+  window.addEventListener("resize", requestRender);
 
   let isPanning = false;
   let lastX = 0,
     lastY = 0;
 
   function handleMouseDown(e) {
-    if (!srcTex) return;
+    if (!srcTex || isPaintTarget(e) || onDivider(e)) return;
     isPanning = true;
     lastX = e.clientX;
     lastY = e.clientY;
@@ -477,8 +414,7 @@ async function main() {
     lastX = e.clientX;
     lastY = e.clientY;
 
-    viewCenter.x -= dx / viewZoom;
-    viewCenter.y -= dy / viewZoom;
+    setViewCenter(viewCenter.x - dx / viewZoom, viewCenter.y - dy / viewZoom);
   });
 
   function handleWheel(e) {
@@ -504,8 +440,7 @@ async function main() {
     const outCenterY = outH * 0.5;
 
     viewZoom = newZoom;
-    viewCenter.x = before.x - (sx - outCenterX) / viewZoom;
-    viewCenter.y = before.y - (sy - outCenterY) / viewZoom;
+    setViewCenter(before.x - (sx - outCenterX) / viewZoom, before.y - (sy - outCenterY) / viewZoom);
   }
 
   canvas.addEventListener("wheel", handleWheel, { passive: false });
@@ -516,127 +451,2116 @@ async function main() {
   );
   btnOneToOne?.addEventListener("click", () => oneToOne());
 
-  btnCompare?.addEventListener("click", () => {
-    compareMode = !compareMode;
-    wrap.classList.toggle("compare-mode", compareMode);
+  // --- Compare ---
+  // Side by side uses the second canvas. Wipe and blend show the original
+  // in place, and A/B wipes between the current settings (A) and a stored
+  // set (B). Holding FLIP_KEY shows the original, or B, on its own.
+  const FLIP_KEY = "\\";
+  const DIVIDER_GRAB = 6; // CSS px either side of the wipe divider
+
+  const compareViewEl = document.getElementById("compareView");
+  const wipeDirectionEl = document.getElementById("wipeDirection");
+  const blendOpacityEl = document.getElementById("blendOpacity");
+  const blendOpacityLabel = document.getElementById("blendOpacityLabel");
+  const btnSetB = document.getElementById("btnSetB");
+  const compareLabel = document.getElementById("compareLabel");
+
+  let compareView = compareViewEl.value;
+  let wipeSplit = 0.5;
+  let draggingDivider = false;
+  let flipHeld = false;
+  let abSettings = null; // { params, masks } of B
+  let compareTargets = null; // [a, b] canvas-sized, for wipe and blend
+
+  const inPlaceCompare = () => compareMode && compareView !== "side";
+  const showsWipe = () => inPlaceCompare() && compareView !== "blend";
+
+  // `settings` restores a project's { view, wipeDirection, wipeSplit,
+  // blendOpacity }; any left out keep their current value.
+  function setCompareMode(on, settings = {}) {
+    if (settings.view) compareView = compareViewEl.value = settings.view;
+    if (settings.wipeDirection) wipeDirectionEl.value = settings.wipeDirection;
+    if (settings.wipeSplit !== undefined) wipeSplit = settings.wipeSplit;
+    if (settings.blendOpacity !== undefined) blendOpacityEl.value = settings.blendOpacity;
+    compareMode = on;
+    wrap.classList.toggle("compare-mode", compareMode && compareView === "side");
     btnCompare.classList.toggle("active", compareMode);
-    
-    // Trigger resize after layout change
-    setTimeout(() => {
-      resizeCanvasToDisplaySize(canvas);
-      if (compareMode) {
-        resizeCanvasToDisplaySize(canvasOriginal);
-      }
-    }, 50);
+    if (compareMode && compareView === "ab" && !abSettings) storeB();
+    updateCompareControls();
+  }
+
+  function updateCompareControls() {
+    wipeDirectionEl.hidden = !showsWipe();
+    blendOpacityLabel.hidden = !(compareMode && compareView === "blend");
+    btnSetB.hidden = !(compareMode && compareView === "ab");
+
+    const other = compareView === "ab" ? "B" : "ORIGINAL";
+    const mine = compareView === "ab" ? "A" : "PROCESSED";
+    const sep = wipeDirectionEl.value === "horizontal" ? " / " : " | ";
+    let text = "";
+    if (flipHeld) text = compareMode ? other : "ORIGINAL";
+    else if (showsWipe()) text = other + sep + mine;
+    else if (inPlaceCompare()) text = `${other} ${Math.round(blendOpacityEl.value * 100)}%`;
+    compareLabel.textContent = text;
+    compareLabel.classList.toggle("shown", !!text);
+    requestRender();
+  }
+
+  // B is the settings, masks included, at the time of the click.
+  function storeB() {
+    abSettings = { params: getParams(), masks };
+    requestRender();
+  }
+
+  function renderB(targetFboOrNull, outW, outH) {
+    pipeline.setParams(abSettings.params);
+    pipeline.setMasks(maskLayers(abSettings.params, abSettings.masks));
+    renderToTarget(targetFboOrNull, outW, outH);
+    setDefaults();
+  }
+
+  // What the processed view is compared with.
+  function renderOther(targetFboOrNull, outW, outH) {
+    if (compareMode && compareView === "ab" && abSettings) {
+      renderB(targetFboOrNull, outW, outH);
+    } else {
+      drawPassthrough(gl, progPlain, uPlain, pipeline.quad, srcTex, targetFboOrNull, outW, outH);
+    }
+  }
+
+  // The processed canvas, with the in-place compare modes.
+  function renderView(outW, outH) {
+    if (!srcTex || !(flipHeld || inPlaceCompare())) {
+      return renderToTarget(null, outW, outH);
+    }
+    if (flipHeld) return renderOther(null, outW, outH);
+
+    if (!compareTargets || compareTargets[0].w !== outW || compareTargets[0].h !== outH) {
+      deleteCompareTargets();
+      compareTargets = [createFBO(gl, outW, outH), createFBO(gl, outW, outH)];
+    }
+    const [a, b] = compareTargets;
+    renderToTarget(a.fbo, outW, outH);
+    renderOther(b.fbo, outW, outH);
+
+    gl.useProgram(progCompare);
+    gl.bindVertexArray(pipeline.quad.vao);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.viewport(0, 0, outW, outH);
+    gl.disable(gl.BLEND);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, a.tex);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, b.tex);
+    gl.uniform1i(uCompare.a, 0);
+    gl.uniform1i(uCompare.b, 1);
+    gl.uniform1i(uCompare.blend, compareView === "blend" ? 1 : 0);
+    gl.uniform1f(uCompare.opacity, Number(blendOpacityEl.value));
+    gl.uniform1f(uCompare.split, wipeSplit);
+    gl.uniform1i(uCompare.horizontal, wipeDirectionEl.value === "horizontal" ? 1 : 0);
+    gl.uniform2f(uCompare.outSize, outW, outH);
+    gl.drawArrays(gl.TRIANGLES, 0, pipeline.quad.vertexCount);
+
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.bindVertexArray(null);
+  }
+
+  function deleteCompareTargets() {
+    for (const t of compareTargets || []) {
+      gl.deleteFramebuffer(t.fbo);
+      gl.deleteTexture(t.tex);
+    }
+    compareTargets = null;
+  }
+
+  // Divider position under the mouse, 0..1 from the left or top.
+  function dividerPos(e) {
+    const rect = canvas.getBoundingClientRect();
+    return wipeDirectionEl.value === "horizontal"
+      ? (e.clientY - rect.top) / rect.height
+      : (e.clientX - rect.left) / rect.width;
+  }
+
+  function nearDivider(e) {
+    if (!srcTex || !showsWipe()) return false;
+    const rect = canvas.getBoundingClientRect();
+    const size = wipeDirectionEl.value === "horizontal" ? rect.height : rect.width;
+    return Math.abs(dividerPos(e) - wipeSplit) * size <= DIVIDER_GRAB;
+  }
+
+  // Left-drag on the wipe divider moves it instead of panning or painting.
+  function onDivider(e) {
+    return e.currentTarget === canvas && e.button === 0 && nearDivider(e);
+  }
+
+  canvas.addEventListener("mousedown", (e) => {
+    if (!onDivider(e)) return;
+    e.preventDefault();
+    draggingDivider = true;
+  });
+
+  canvas.addEventListener("mousemove", (e) => {
+    if (draggingDivider || isPanning) return;
+    const cursor = wipeDirectionEl.value === "horizontal" ? "row-resize" : "col-resize";
+    canvas.style.cursor = nearDivider(e) ? cursor : "";
+  });
+
+  window.addEventListener("mousemove", (e) => {
+    if (!draggingDivider) return;
+    wipeSplit = Math.min(1, Math.max(0, dividerPos(e)));
+    requestRender();
+  });
+
+  window.addEventListener("mouseup", () => {
+    draggingDivider = false;
+  });
+
+  function setFlip(on) {
+    if (flipHeld === on) return;
+    flipHeld = on;
+    updateCompareControls();
+  }
+
+  window.addEventListener("keydown", (e) => {
+    if (e.key !== FLIP_KEY || e.repeat || !srcTex) return;
+    const t = e.target;
+    if (t instanceof HTMLInputElement && t.type === "text") return;
+    e.preventDefault();
+    setFlip(true);
+  });
+  window.addEventListener("keyup", (e) => {
+    if (e.key === FLIP_KEY) setFlip(false);
   });
+  window.addEventListener("blur", () => setFlip(false));
+
+  btnCompare?.addEventListener("click", () => setCompareMode(!compareMode));
+  compareViewEl.addEventListener("change", () => {
+    compareView = compareViewEl.value;
+    setCompareMode(compareMode);
+  });
+  wipeDirectionEl.addEventListener("change", updateCompareControls);
+  blendOpacityEl.addEventListener("input", updateCompareControls);
+  btnSetB.addEventListener("click", storeB);
+
+  updateCompareControls();
 
   btnAuto?.addEventListener("click", () => {
-    if (!srcTex) return;
+    if (!srcTex || contextLost) return;
     const analysis = analyzeImage(gl, srcTex, srcW, srcH);
     const settings = calculateAutoSettings(analysis);
-    if (brightnessEl) { brightnessEl.value = settings.brightness.toFixed(2); updateSliderValue(brightnessEl); }
-    if (scaleEl) { scaleEl.value = settings.scale.toFixed(1); updateSliderValue(scaleEl); }
-    if (hatchingEl) { hatchingEl.value = settings.hatching.toFixed(2); updateSliderValue(hatchingEl); }
-    if (edgesEl) { edgesEl.value = settings.edges.toFixed(1); updateSliderValue(edgesEl); }
-    if (toonEl) { toonEl.value = settings.toon.toFixed(2); updateSliderValue(toonEl); }
-    if (threshEl) { threshEl.value = settings.threshold.toFixed(2); updateSliderValue(threshEl); }
+    setParams(settings);
     setDefaults();
+    markModified();
+    history.commit("Auto");
   });
 
-  btnOpen?.addEventListener("click", async () => {
-    const filePath = await window.api.pickImage();
-    if (!filePath) return;
+  // --- Document state ---
+
+  let projectPath = null;
+  let modified = false;
+  // { path, name, embedded } for the loaded image; embedded is the base64
+  // copy from a project whose image file is not available.
+  let sourceInfo = null;
+  const embedImageEl = document.getElementById("embedImage");
+  const btnOpenProject = document.getElementById("btnOpenProject");
+  const btnSaveProject = document.getElementById("btnSaveProject");
+  const btnSaveProjectAs = document.getElementById("btnSaveProjectAs");
+
+  const baseName = (p) => p.split(/[\\/]/).pop();
+
+  function updateTitle() {
+    const name = projectPath
+      ? baseName(projectPath)
+      : sourceInfo
+      ? "Untitled"
+      : null;
+    document.title = name
+      ? `${modified ? "● " : ""}${name} — Crosshatch`
+      : "Crosshatch";
+  }
 
-    const img = await loadImageFromPath(filePath);
+  function markModified(flag = true) {
+    modified = flag;
+    window.api.setDocumentEdited(flag);
+    updateTitle();
+  }
 
-    if (srcTex) gl.deleteTexture(srcTex);
-    srcTex = createTextureFromImage(gl, img);
+  // A slider drag fires many "input" events but a single "change" on
+  // release, so committing on "change" makes one undo step per drag.
+  for (const def of PARAMS) {
+    const el = paramInputs[def.name];
+    if (def.type === "number") {
+      el.addEventListener("input", () => markModified());
+      el.addEventListener("change", () => history.commit(def.label, { key: def.name }));
+    } else {
+      el.addEventListener("change", () => {
+        markModified();
+        history.commit(def.label);
+      });
+    }
+  }
+
+  let sourceImage = null;
 
-    if (srcTexOrig) glOrig.deleteTexture(srcTexOrig);
-    srcTexOrig = createTextureFromImage(glOrig, img);
+  function clearSource() {
+    if (srcTex) gl.deleteTexture(srcTex);
+    srcTex = srcSource = null;
+    srcW = srcH = 0;
+    sourceImage = sourceInfo = null;
+    replaceMasks([]);
+    abSettings = null;
+    for (const b of [btnExport, btnExportSvg, btnFit, btnOneToOne, btnCompare, btnAuto, btnSaveProject, btnSaveProjectAs]) {
+      if (b) b.disabled = true;
+    }
+    setCompareMode(false);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.clearColor(1, 1, 1, 1);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    requestRender();
+  }
 
-    srcW = img.naturalWidth;
-    srcH = img.naturalHeight;
+  function setSourceImage(img, info) {
+    // Made first, so an image that cannot be uploaded leaves the open one.
+    const source = createSource(gl, img);
+    if (srcTex) gl.deleteTexture(srcTex);
+    srcSource = source;
+    srcTex = srcSource.tex;
+    srcW = srcSource.imageW;
+    srcH = srcSource.imageH;
 
     if (btnExport) btnExport.disabled = false;
+    if (btnExportSvg) btnExportSvg.disabled = false;
     if (btnFit) btnFit.disabled = false;
     if (btnOneToOne) btnOneToOne.disabled = false;
     if (btnCompare) btnCompare.disabled = false;
     if (btnAuto) btnAuto.disabled = false;
 
+    if (btnSaveProject) btnSaveProject.disabled = false;
+    if (btnSaveProjectAs) btnSaveProjectAs.disabled = false;
+
+    sourceImage = img;
+    sourceInfo = info;
+    replaceMasks([]);
+    abSettings = null;
     setDefaults();
     fitToView(canvas.width, canvas.height);
+  }
+
+  async function openImagePath(filePath) {
+    const img = await loadImageFromPath(filePath);
+    setSourceImage(img, { path: filePath, name: baseName(filePath) });
+    markModified();
+    history.commit(`Open ${baseName(filePath)}`);
+  }
+
+  // Images with no file behind them (pasted screenshots, drops from a
+  // browser) are kept as data, embedded when the project is saved.
+  async function openImageBlob(blob, name) {
+    const dataUrl = await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+    const img = await loadImage(dataUrl);
+    const [, mime, data] = dataUrl.match(/^data:([^;,]+);base64,(.*)$/);
+    setSourceImage(img, { path: null, name, embedded: { mime, data } });
+    markModified();
+    history.commit(`Open ${name}`);
+  }
+
+  btnOpen?.addEventListener("click", async () => {
+    const filePath = await window.api.pickImage();
+    if (!filePath) return;
+    await openImagePath(filePath).catch(showError);
   });
 
-  btnExport?.addEventListener("click", async () => {
-    if (!srcTex) return;
+  function buildProject() {
+    return {
+      image: sourceInfo,
+      params: getParams(),
+      masks: serializeMasks(masks),
+      hatchTexture,
+      view: { center: { ...viewCenter }, zoom: viewZoom },
+      compareMode,
+      compareView,
+      wipeDirection: wipeDirectionEl.value,
+      wipeSplit,
+      blendOpacity: Number(blendOpacityEl.value),
+      compareB: abSettings && { params: abSettings.params, masks: serializeMasks(abSettings.masks) },
+    };
+  }
 
-    const prevCenter = { x: viewCenter.x, y: viewCenter.y };
-    const prevZoom = viewZoom;
-    viewZoom = 1.0;
-    viewCenter.x = srcW * 0.5;
-    viewCenter.y = srcH * 0.5;
+  async function saveProject(saveAs) {
+    if (!srcTex) return false;
+    try {
+      const res = await window.api.saveProject(
+        saveAs ? null : projectPath,
+        buildProject(),
+        !!embedImageEl?.checked
+      );
+      if (!res.ok) return false;
+      projectPath = res.path;
+      markModified(false);
+      return true;
+    } catch (err) {
+      showError(err);
+      return false;
+    }
+  }
+
+  async function openProject() {
+    if (modified && !confirm("Discard unsaved changes?")) return;
+
+    try {
+      const res = await window.api.openProject();
+      if (!res) return;
+      const { project, image } = res;
+
+      // Everything is read before anything is replaced, so a project that
+      // fails to load leaves the open one as it was.
+      const img = image.path
+        ? await loadImageFromPath(image.path)
+        : await loadImage(image.dataUrl);
+      const projectMasks = await deserializeMasks(project.masks, img.naturalWidth, img.naturalHeight);
+      const bMasks =
+        project.compareB &&
+        (await deserializeMasks(project.compareB.masks, img.naturalWidth, img.naturalHeight));
+      setSourceImage(img, {
+        path: image.path || null,
+        name: project.image.name || (image.path ? baseName(image.path) : null),
+        embedded: image.embedded || null,
+      });
+
+      setParams({ ...DEFAULT_PARAMS, ...project.params });
+      replaceMasks(projectMasks);
+      if (project.hatchTexture) await setHatchTexture(project.hatchTexture);
+      setDefaults();
+
+      viewZoom = project.view.zoom;
+      setViewCenter(project.view.center.x, project.view.center.y);
+      if (project.compareB) {
+        abSettings = { params: { ...DEFAULT_PARAMS, ...project.compareB.params }, masks: bMasks };
+      }
+      setCompareMode(project.compareMode, {
+        view: project.compareView,
+        wipeDirection: project.wipeDirection,
+        wipeSplit: project.wipeSplit,
+        blendOpacity: project.blendOpacity,
+      });
+      if (embedImageEl) embedImageEl.checked = !!project.image.embedded;
+
+      projectPath = res.filePath;
+      markModified(image.relocated);
+      history.reset();
+    } catch (err) {
+      showError(err);
+    }
+  }
 
-    const fbo = createFBO(gl, srcW, srcH);
-    renderToTarget(fbo.fbo, srcW, srcH);
+  btnOpenProject?.addEventListener("click", openProject);
+  btnSaveProject?.addEventListener("click", () => saveProject(false));
+  btnSaveProjectAs?.addEventListener("click", () => saveProject(true));
 
-    gl.bindFramebuffer(gl.FRAMEBUFFER, fbo.fbo);
-    const pixels = new Uint8Array(srcW * srcH * 4);
-    gl.readPixels(0, 0, srcW, srcH, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
-    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  window.addEventListener("keydown", (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== "s") return;
+    e.preventDefault();
+    saveProject(e.shiftKey);
+  });
+
+  window.api.onSaveBeforeClose(async () => {
+    if (await saveProject(false)) window.api.closeWindow();
+  });
 
-    const c2 = document.createElement("canvas");
-    c2.width = srcW;
-    c2.height = srcH;
-    const ctx = c2.getContext("2d");
-    const imageData = ctx.createImageData(srcW, srcH);
+  // --- Export ---
 
-    const rowBytes = srcW * 4;
-    for (let y = 0; y < srcH; y++) {
-      const srcRow = (srcH - 1 - y) * rowBytes;
-      const dstRow = y * rowBytes;
-      imageData.data.set(pixels.subarray(srcRow, srcRow + rowBytes), dstRow);
+  const progressDialog = document.getElementById("progressDialog");
+  const progressLabel = document.getElementById("progressLabel");
+  const progressBar = document.getElementById("progressBar");
+  let progressCancelled = false;
+
+  document.getElementById("btnCancelProgress").addEventListener("click", () => {
+    progressCancelled = true;
+    progressLabel.textContent = "Cancelling…";
+  });
+  // Escape would close the dialog while the work carries on.
+  progressDialog.addEventListener("cancel", (e) => e.preventDefault());
+
+  const exportDialog = document.getElementById("exportDialog");
+  const exportForm = exportDialog.querySelector("form");
+  const exportSize = document.getElementById("exportSize");
+
+  const UNITS_PER_INCH = { in: 1, cm: 2.54, mm: 25.4 };
+  const FORMAT_NAMES = { png: "PNG", jpeg: "JPEG", webp: "WebP", tiff: "TIFF" };
+  // JPEG and WebP go through a canvas, which caps their size.
+  const MAX_CANVAS_SIZE = 32767;
+  const CANVAS_FORMATS = { jpeg: MAX_CANVAS_SIZE, webp: 16383 };
+  const MAX_CANVAS_AREA = 268435456;
+  const MAX_EXPORT_SIZE = 65535;
+
+  function readExportOptions() {
+    const f = exportForm.elements;
+    const dpi = Math.max(1, Number(f.dpi.value) || 300);
+    const inches = Number(f.printWidth.value) / UNITS_PER_INCH[f.units.value];
+    const zoom =
+      f.sizeMode.value === "print" ? (inches * dpi) / srcW : Number(f.scale.value) || 1;
+    return {
+      format: f.format.value,
+      quality: Math.min(100, Math.max(1, Number(f.quality.value) || 92)) / 100,
+      zoom: Math.max(1e-3, zoom) || 1,
+      dpi,
+    };
+  }
+
+  // Keep the print size at the image's aspect ratio and show what the
+  // options produce.
+  function updateExportDialog(changed) {
+    const f = exportForm.elements;
+    const perPx = UNITS_PER_INCH[f.units.value] / (Number(f.dpi.value) || 300);
+    const round = (v) => String(Math.round(v * 100) / 100);
+    if (changed === "printHeight") {
+      f.printWidth.value = round((Number(f.printHeight.value) * srcW) / srcH);
+    } else if (changed === "sizeMode" || changed === "units" || !f.printWidth.value) {
+      f.printWidth.value = round(srcW * (Number(f.scale.value) || 1) * perPx);
+    }
+    if (changed !== "printHeight") {
+      f.printHeight.value = round((Number(f.printWidth.value) * srcH) / srcW);
     }
-    ctx.putImageData(imageData, 0, 0);
 
-    const blob = await new Promise((resolve) =>
-      c2.toBlob(resolve, "image/png")
-    );
-    const buf = new Uint8Array(await blob.arrayBuffer());
+    for (const row of exportForm.querySelectorAll("[data-size]")) {
+      row.hidden = row.dataset.size !== f.sizeMode.value;
+    }
+    for (const row of exportForm.querySelectorAll("[data-formats]")) {
+      row.hidden = !row.dataset.formats.split(" ").includes(f.format.value);
+    }
+
+    const { zoom } = readExportOptions();
+    const out = tiledOutputSize(srcSource, zoom);
+    exportSize.textContent =
+      `${out.w} × ${out.h} px, ${round(out.w * perPx)} × ${round(out.h * perPx)} ` +
+      f.units.value;
+  }
+
+  const fitsCanvas = (out, limit) =>
+    Math.max(out.w, out.h) <= limit && out.w * out.h <= MAX_CANVAS_AREA;
+
+  function checkExportSize(out, format) {
+    const canvasLimit = CANVAS_FORMATS[format];
+    if (Math.max(out.w, out.h) > MAX_EXPORT_SIZE) {
+      throw new Error(`${out.w} × ${out.h} px is too large to export`);
+    }
+    if (canvasLimit && !fitsCanvas(out, canvasLimit)) {
+      throw new Error(
+        `${out.w} × ${out.h} px is too large for ${FORMAT_NAMES[format]}; export as PNG or TIFF`
+      );
+    }
+  }
+
+  // Render `img` through the shader at the output size, in tiles, with the
+  // parameters already set on the pipeline, assembled on a canvas. Returns
+  // null if cancelled.
+  async function renderToCanvas(img, source, params, { zoom = 1, onProgress, isCancelled }) {
+    const out = tiledOutputSize(source, zoom);
+    const canvas = document.createElement("canvas");
+    canvas.width = out.w;
+    canvas.height = out.h;
+    const ctx = canvas.getContext("2d");
+    let y = 0;
+    const done = await renderTiled(gl, pipeline, img, source, params, {
+      zoom,
+      onProgress,
+      isCancelled,
+      onRows: (rows, h) => {
+        ctx.putImageData(new ImageData(new Uint8ClampedArray(rows.buffer), out.w, h), 0, y);
+        y += h;
+      },
+    });
+    return done ? canvas : null;
+  }
+
+  // As renderToCanvas, but written to filePath: PNG and TIFF stream to the
+  // main process strip by strip, JPEG and WebP are encoded from a canvas.
+  // Returns false if cancelled.
+  async function renderToFile(img, source, params, opts) {
+    const { format, quality = 0.92, zoom = 1, dpi = null, filePath } = opts;
+    const out = tiledOutputSize(source, zoom);
+    checkExportSize(out, format);
+
+    if (CANVAS_FORMATS[format]) {
+      const canvas = await renderToCanvas(img, source, params, opts);
+      if (!canvas) return false;
+      if (format === "jpeg") {
+        // No alpha in JPEG: put transparent paper on white.
+        const ctx = canvas.getContext("2d");
+        ctx.globalCompositeOperation = "destination-over";
+        ctx.fillStyle = "#fff";
+        ctx.fillRect(0, 0, out.w, out.h);
+      }
+      const bytes = await canvasBytes(canvas, `image/${format}`, quality);
+      await window.api.saveImage({ filePath, bytes, format, dpi });
+      return true;
+    }
+
+    const stream = await window.api.imageStream.begin({
+      filePath,
+      format,
+      width: out.w,
+      height: out.h,
+      dpi,
+    });
+    try {
+      const done = await renderTiled(gl, pipeline, img, source, params, {
+        zoom,
+        onRows: (rows) => window.api.imageStream.write(stream.id, rows),
+        onProgress: opts.onProgress,
+        isCancelled: opts.isCancelled,
+      });
+      if (done) await window.api.imageStream.end(stream.id);
+      else await window.api.imageStream.abort(stream.id);
+      return done;
+    } catch (err) {
+      await window.api.imageStream.abort(stream.id).catch(() => {});
+      throw err;
+    }
+  }
+
+  async function canvasBytes(canvas, type, quality) {
+    const blob = await new Promise((resolve) => canvas.toBlob(resolve, type, quality));
+    if (!blob) throw new Error(`${type} encoding failed`);
+    return new Uint8Array(await blob.arrayBuffer());
+  }
+
+  function showProgress(label) {
+    progressCancelled = false;
+    progressLabel.textContent = label;
+    progressBar.value = 0;
+    progressDialog.showModal();
+    exporting = true;
+  }
+
+  function hideProgress() {
+    exporting = false;
+    progressDialog.close();
+    requestRender();
+  }
+
+  async function exportImage(opts) {
+    const out = tiledOutputSize(srcSource, opts.zoom);
+    checkExportSize(out, opts.format);
+    const filePath = await window.api.pickExportPath(opts.format, sourceInfo);
+    if (!filePath) return;
+
+    showProgress(`Exporting ${out.w} × ${out.h}…`);
+    try {
+      await renderToFile(sourceImage, srcSource, getParams(), {
+        ...opts,
+        filePath,
+        onProgress: (fraction) => (progressBar.value = fraction),
+        isCancelled: () => progressCancelled,
+      });
+    } finally {
+      hideProgress();
+    }
+  }
+
+  btnExport?.addEventListener("click", () => {
+    if (!srcTex || exporting) return;
+    updateExportDialog();
+    exportDialog.returnValue = "";
+    exportDialog.showModal();
+  });
 
-    const res = await window.api.savePng(buf);
-    if (!res.ok) console.warn("Save canceled/failed");
+  exportForm.addEventListener("input", (e) => updateExportDialog(e.target.name));
 
-    gl.deleteFramebuffer(fbo.fbo);
-    gl.deleteTexture(fbo.tex);
-    viewCenter.x = prevCenter.x;
-    viewCenter.y = prevCenter.y;
-    viewZoom = prevZoom;
+  exportDialog.addEventListener("close", () => {
+    if (exportDialog.returnValue !== "export" || !srcTex) return;
+    exportImage(readExportOptions()).catch(showError);
   });
 
-  window.addEventListener("beforeunload", () => {
-    if (srcTex) {
-      gl.deleteTexture(srcTex);
-      srcTex = null;
+  // --- Clipboard and drag-and-drop ---
+
+  const isTextField = (el) =>
+    el instanceof HTMLTextAreaElement ||
+    (el instanceof HTMLInputElement && (el.type === "text" || el.type === "number"));
+
+  // Copies go through the main process clipboard, at full resolution.
+  async function copyResult() {
+    const out = tiledOutputSize(srcSource, 1);
+    if (!fitsCanvas(out, MAX_CANVAS_SIZE)) {
+      throw new Error(`${out.w} × ${out.h} px is too large to copy; export it instead`);
+    }
+    showProgress(`Copying ${out.w} × ${out.h}…`);
+    try {
+      const canvas = await renderToCanvas(sourceImage, srcSource, getParams(), {
+        onProgress: (fraction) => (progressBar.value = fraction),
+        isCancelled: () => progressCancelled,
+      });
+      if (canvas) await window.api.copyImage(await canvasBytes(canvas, "image/png"));
+    } finally {
+      hideProgress();
+    }
+  }
+
+  document.addEventListener("copy", (e) => {
+    if (!srcTex || exporting || isTextField(e.target)) return;
+    if (window.getSelection()?.toString()) return;
+    e.preventDefault();
+    copyResult().catch(showError);
+  });
+
+  // Pasted files open from disk when they have a path; bitmaps such as
+  // screenshots come from the main process clipboard.
+  document.addEventListener("paste", async (e) => {
+    if (exporting || isTextField(e.target)) return;
+    e.preventDefault();
+    try {
+      const file = [...e.clipboardData.files].find((f) => f.type.startsWith("image/"));
+      const filePath = file && window.api.pathForFile(file);
+      if (filePath) return await openImagePath(filePath);
+      if (file) return await openImageBlob(file, "Pasted image");
+
+      const png = await window.api.readClipboardImage();
+      if (png) await openImageBlob(new Blob([png], { type: "image/png" }), "Pasted image");
+    } catch (err) {
+      showError(err);
+    }
+  });
+
+  // Without this, a file dropped outside a drop target replaces the page.
+  for (const type of ["dragover", "drop"]) {
+    document.addEventListener(type, (e) => e.preventDefault());
+  }
+
+  wrap.addEventListener("dragover", (e) => {
+    if (!e.dataTransfer.types.includes("Files")) return;
+    e.dataTransfer.dropEffect = "copy";
+    wrap.classList.add("drop-target");
+  });
+  wrap.addEventListener("dragleave", (e) => {
+    if (!wrap.contains(e.relatedTarget)) wrap.classList.remove("drop-target");
+  });
+  wrap.addEventListener("drop", async (e) => {
+    wrap.classList.remove("drop-target");
+    if (exporting) return;
+    const file = [...e.dataTransfer.files].find((f) => f.type.startsWith("image/"));
+    if (!file) return;
+    try {
+      const filePath = window.api.pathForFile(file);
+      if (filePath) await openImagePath(filePath);
+      else await openImageBlob(file, file.name || "Dropped image");
+    } catch (err) {
+      showError(err);
+    }
+  });
+
+  // --- Hatch texture ---
+
+  const btnTexture = document.getElementById("btnTexture");
+  const textureDialog = document.getElementById("textureDialog");
+  const textureForm = textureDialog.querySelector("form");
+  const texturePreview = document.getElementById("texturePreview");
+  const textureFileNames = document.getElementById("textureFileNames");
+
+  let hatchTexture = DEFAULT_HATCH_TEXTURE;
+  let hatchTextureKey = JSON.stringify(hatchTexture);
+  let textureLoadToken = 0;
+
+  function updateTextureButton() {
+    if (btnTexture) {
+      btnTexture.textContent = `Texture: ${describeHatchTexture(hatchTexture)}…`;
+    }
+  }
+
+  // Load the layers for a texture descriptor into the pipeline. On failure
+  // the previous texture stays active and the error is reported.
+  async function setHatchTexture(desc) {
+    const key = JSON.stringify(desc);
+    if (key === hatchTextureKey) return;
+
+    const prev = { desc: hatchTexture, key: hatchTextureKey };
+    const token = ++textureLoadToken;
+    hatchTexture = desc;
+    hatchTextureKey = key;
+    updateTextureButton();
+
+    try {
+      const layers = await loadHatchLayers(desc);
+      if (token !== textureLoadToken) return;
+      pipeline.setHatchLayers(layers);
+      requestRender();
+    } catch (err) {
+      if (token !== textureLoadToken) return;
+      hatchTexture = prev.desc;
+      hatchTextureKey = prev.key;
+      updateTextureButton();
+      showError(
+        new Error(`Could not load hatch texture: ${err?.message || "image failed to load"}`)
+      );
+    }
+  }
+
+  // Texture dialog state; "files" holds chosen paths for file-based types.
+  let textureFiles = [];
+
+  function proceduralOptionsFromForm() {
+    const num = (name) => parseFloat(textureForm.elements[name].value);
+    const angle = num("angle");
+    return {
+      ...DEFAULT_PROCEDURAL_OPTIONS,
+      angles: textureForm.elements.cross.checked ? [angle, angle + 90] : [angle],
+      spacing: num("spacing"),
+      thickness: num("thickness"),
+      jitter: num("jitter"),
+      stipple: num("stipple"),
+      seed: Math.round(num("seed")),
+    };
+  }
+
+  function textureFromForm() {
+    const type = textureForm.elements.type.value;
+    switch (type) {
+      case "file":
+        return textureFiles.length ? { type: "file", path: textureFiles[0] } : null;
+      case "procedural":
+        return { type: "procedural", options: proceduralOptionsFromForm() };
+      case "tam-procedural": {
+        const options = proceduralOptionsFromForm();
+        options.angles = options.angles.slice(0, 1);
+        return proceduralTam(parseInt(textureForm.elements.levels.value, 10), options);
+      }
+      case "tam-files":
+        return textureFiles.length
+          ? { type: "tam", levels: textureFiles.map((path) => ({ type: "file", path })) }
+          : null;
+      default:
+        return DEFAULT_HATCH_TEXTURE;
     }
-    gl.deleteTexture(hatchTex);
-    if (quad.vao) gl.deleteVertexArray(quad.vao);
-    if (quad.vbo) gl.deleteBuffer(quad.vbo);
-    gl.deleteProgram(prog);
-    if (srcTexOrig) {
-      glOrig.deleteTexture(srcTexOrig);
-      srcTexOrig = null;
+  }
+
+  function fillTextureForm(desc) {
+    let type = "builtin";
+    let options = null;
+    textureFiles = [];
+    if (desc.type === "file") {
+      type = "file";
+      textureFiles = [desc.path];
+    } else if (desc.type === "procedural") {
+      type = "procedural";
+      options = desc.options;
+    } else if (desc.type === "tam") {
+      if (desc.levels.every((l) => l.type === "file")) {
+        type = "tam-files";
+        textureFiles = desc.levels.map((l) => l.path);
+      } else {
+        type = "tam-procedural";
+        options = desc.levels[0].options;
+        textureForm.elements.levels.value = desc.levels.length;
+      }
+    }
+    textureForm.elements.type.value = type;
+
+    const o = { ...DEFAULT_PROCEDURAL_OPTIONS, ...options };
+    textureForm.elements.angle.value = o.angles[0];
+    textureForm.elements.cross.checked = o.angles.length > 1;
+    for (const name of ["spacing", "thickness", "jitter", "stipple", "seed"]) {
+      textureForm.elements[name].value = o[name];
+    }
+  }
+
+  async function updateTextureDialog() {
+    const type = textureForm.elements.type.value;
+    for (const row of textureForm.querySelectorAll("[data-types]")) {
+      row.hidden = !row.dataset.types.split(" ").includes(type);
+    }
+    textureFileNames.textContent = textureFiles.length
+      ? textureFiles.map((p) => baseName(p)).join(", ")
+      : "none chosen";
+
+    // Preview the densest layer
+    const ctx = texturePreview.getContext("2d");
+    ctx.fillStyle = "#fff";
+    ctx.fillRect(0, 0, texturePreview.width, texturePreview.height);
+    const desc = textureFromForm();
+    if (!desc) return;
+    try {
+      const layers = await loadHatchLayers(
+        desc.type === "tam" ? desc.levels[desc.levels.length - 1] : desc
+      );
+      let img = layers[0];
+      if (img instanceof ImageData) img = await createImageBitmap(img);
+      const pattern = ctx.createPattern(img, "repeat");
+      const s = texturePreview.width / Math.max(img.width, 1);
+      pattern.setTransform(new DOMMatrix().scale(s, s));
+      ctx.fillStyle = pattern;
+      ctx.fillRect(0, 0, texturePreview.width, texturePreview.height);
+    } catch (err) {
+      console.warn(err);
+    }
+  }
+
+  btnTexture?.addEventListener("click", () => {
+    fillTextureForm(hatchTexture);
+    textureDialog.returnValue = "";
+    textureDialog.showModal();
+    updateTextureDialog();
+  });
+
+  textureForm.addEventListener("change", () => updateTextureDialog());
+
+  document.getElementById("btnPickTexture")?.addEventListener("click", async () => {
+    const multiple = textureForm.elements.type.value === "tam-files";
+    const paths = await window.api.pickImages({ multiple });
+    if (!paths || paths.length === 0) return;
+    // Tonal art map levels go from lightest to densest in file name order
+    textureFiles = multiple ? [...paths].sort((a, b) => a.localeCompare(b)) : paths.slice(0, 1);
+    updateTextureDialog();
+  });
+
+  textureDialog.addEventListener("close", async () => {
+    if (textureDialog.returnValue !== "apply") return;
+    const desc = textureFromForm();
+    if (!desc) return;
+    await setHatchTexture(desc);
+    markModified();
+    history.commit("Hatch texture");
+  });
+
+  updateTextureButton();
+
+  // --- Presets ---
+
+  const presetSelect = document.getElementById("presetSelect");
+  const btnSavePreset = document.getElementById("btnSavePreset");
+  const btnDeletePreset = document.getElementById("btnDeletePreset");
+  const btnImportPreset = document.getElementById("btnImportPreset");
+  const btnExportPreset = document.getElementById("btnExportPreset");
+  const presetNameDialog = document.getElementById("presetNameDialog");
+
+  let presetList = [];
+
+  function selectedPreset() {
+    return presetList.find((p) => p.name === presetSelect.value) || null;
+  }
+
+  async function refreshPresets(selectName = presetSelect.value) {
+    presetList = await window.api.listPresets();
+    presetSelect.replaceChildren(new Option("—", ""));
+    for (const [label, builtin] of [["Built-in", true], ["Saved", false]]) {
+      const group = document.createElement("optgroup");
+      group.label = label;
+      for (const p of presetList.filter((p) => p.builtin === builtin)) {
+        group.append(new Option(p.name, p.name));
+      }
+      if (group.children.length) presetSelect.append(group);
+    }
+    presetSelect.value = presetList.some((p) => p.name === selectName)
+      ? selectName
+      : "";
+    btnDeletePreset.disabled = !selectedPreset() || selectedPreset().builtin;
+  }
+
+  async function applyPreset(preset) {
+    setParams({ ...DEFAULT_PARAMS, ...preset.params });
+    if (preset.hatchTexture) await setHatchTexture(preset.hatchTexture);
+    setDefaults();
+    markModified();
+    history.commit(`Preset "${preset.name}"`);
+  }
+
+  function currentPreset(name) {
+    return { name, params: getParams(), hatchTexture };
+  }
+
+  function errorMessage(err) {
+    // ipcRenderer.invoke wraps main-process errors in a long prefix
+    return String(err?.message || err).replace(
+      /^Error invoking remote method '[^']+': (Error: )?/,
+      ""
+    );
+  }
+
+  function showError(err) {
+    console.error(err);
+    showNotice(errorMessage(err));
+  }
+
+  presetSelect?.addEventListener("change", () => {
+    const preset = selectedPreset();
+    btnDeletePreset.disabled = !preset || preset.builtin;
+    if (preset) applyPreset(preset);
+  });
+
+  btnSavePreset?.addEventListener("click", () => {
+    const preset = selectedPreset();
+    const form = presetNameDialog.querySelector("form");
+    form.elements.name.value = preset && !preset.builtin ? preset.name : "";
+    presetNameDialog.returnValue = "";
+    presetNameDialog.showModal();
+  });
+
+  presetNameDialog?.addEventListener("close", async () => {
+    if (presetNameDialog.returnValue !== "save") return;
+    const name = presetNameDialog.querySelector("form").elements.name.value.trim();
+    const existing = presetList.find((p) => p.name === name && !p.builtin);
+    if (existing && !confirm(`Replace the preset "${name}"?`)) return;
+
+    try {
+      const saved = await window.api.savePreset(currentPreset(name));
+      await refreshPresets(saved.name);
+    } catch (err) {
+      showError(err);
+    }
+  });
+
+  btnDeletePreset?.addEventListener("click", async () => {
+    const preset = selectedPreset();
+    if (!preset || preset.builtin) return;
+    if (!confirm(`Delete the preset "${preset.name}"?`)) return;
+
+    try {
+      await window.api.deletePreset(preset.name);
+      await refreshPresets("");
+    } catch (err) {
+      showError(err);
+    }
+  });
+
+  btnImportPreset?.addEventListener("click", async () => {
+    try {
+      const imported = await window.api.importPreset();
+      if (!imported) return;
+      await refreshPresets(imported.name);
+      await applyPreset(imported);
+    } catch (err) {
+      showError(err);
+    }
+  });
+
+  btnExportPreset?.addEventListener("click", async () => {
+    const preset = selectedPreset();
+    try {
+      await window.api.exportPreset(currentPreset(preset?.name || "Untitled"));
+    } catch (err) {
+      showError(err);
+    }
+  });
+
+  refreshPresets().catch(showError);
+
+  // --- Masks ---
+
+  const maskPanel = document.getElementById("maskPanel");
+  const maskList = document.getElementById("maskList");
+  const maskOverrides = document.getElementById("maskOverrides");
+  const maskHint = document.getElementById("maskHint");
+  const btnMasks = document.getElementById("btnMasks");
+  const btnNewMask = document.getElementById("btnNewMask");
+  const btnDeleteMask = document.getElementById("btnDeleteMask");
+  const brushSizeEl = document.getElementById("brushSize");
+  const brushHardnessEl = document.getElementById("brushHardness");
+  const brushEraseEl = document.getElementById("brushErase");
+  const maskOverlay = document.getElementById("maskOverlay");
+  const overlayCtx = maskOverlay.getContext("2d");
+  const processedContainer = document.getElementById("processedContainer");
+
+  let overlayShown = false;
+  let stroke = null; // { mask, last, erase } while painting
+
+  // Edit the parameters of mask `id`, or of the whole image for null.
+  function editMask(id) {
+    if (editMaskId !== null) {
+      writeControls(baseParams);
+      baseParams = null;
+      editMaskId = null;
+    }
+    const mask = masks.find((m) => m.id === id);
+    if (mask) {
+      baseParams = readControls();
+      editMaskId = id;
+      writeControls({ ...baseParams, ...mask.overrides });
+    }
+    renderMasks();
+    requestRender();
+  }
+
+  function replaceMasks(list) {
+    masks = list;
+    requestRender();
+    const mask = editedMask();
+    if (mask) writeControls({ ...baseParams, ...mask.overrides });
+    else if (editMaskId !== null) editMask(null);
+    renderMasks();
+  }
+
+  function changeMask(id, changes) {
+    masks = masks.map((m) => (m.id === id ? { ...m, ...changes } : m));
+    requestRender();
+  }
+
+  function renderMasks() {
+    const mask = editedMask();
+    btnNewMask.disabled = !srcTex;
+    btnDeleteMask.disabled = !mask;
+    maskHint.hidden = masks.length > 0;
+    processedContainer.classList.toggle("painting", !!mask);
+
+    const wholeImage = document.createElement("li");
+    wholeImage.textContent = "Whole image";
+    wholeImage.className = mask ? "" : "current";
+    wholeImage.addEventListener("click", () => editMask(null));
+    maskList.replaceChildren(
+      wholeImage,
+      ...masks.map((m) => {
+        const li = document.createElement("li");
+        li.className = m === mask ? "current" : "";
+        const name = document.createElement("input");
+        name.type = "text";
+        name.value = m.name;
+        name.addEventListener("change", () => {
+          changeMask(m.id, { name: name.value.trim() || m.name });
+          markModified();
+          history.commit("Rename mask");
+          renderMasks();
+        });
+        const count = document.createElement("span");
+        const n = Object.keys(m.overrides).length;
+        count.textContent = n ? `${n} changed` : "no changes";
+        li.append(name, count);
+        li.addEventListener("click", (e) => {
+          if (e.target !== name) editMask(m.id);
+        });
+        return li;
+      })
+    );
+
+    maskOverrides.replaceChildren(
+      ...Object.entries(mask?.overrides || {}).map(([key, value]) => {
+        const li = document.createElement("li");
+        li.textContent = `${PARAM_LABELS[key] ?? key}: ${formatValue(value)} `;
+        const clear = document.createElement("button");
+        clear.textContent = "×";
+        clear.title = "Use the whole image's value";
+        clear.addEventListener("click", () => {
+          const { [key]: _cleared, ...overrides } = mask.overrides;
+          changeMask(mask.id, { overrides });
+          writeControls({ ...baseParams, ...overrides });
+          markModified();
+          history.commit(`Reset ${PARAM_LABELS[key] ?? key}`);
+          renderMasks();
+        });
+        li.append(clear);
+        return li;
+      })
+    );
+  }
+
+  // Control changes while a mask is edited become its overrides.
+  for (const el of Object.values(paramInputs)) {
+    el.addEventListener("input", () => {
+      if (editMaskId === null) return;
+      changeMask(editMaskId, { overrides: diffParams(readControls(), baseParams) });
+      renderMasks();
+    });
+  }
+
+  for (const el of [brushSizeEl, brushHardnessEl]) {
+    el.addEventListener("input", () => updateSliderValue(el));
+    updateSliderValue(el);
+  }
+
+  // Top-down image position under a mouse event on the preview. Fragment
+  // rows count up from the bottom, image rows down from the top.
+  function eventImagePx(e) {
+    const rect = canvas.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+    const sx = (e.clientX - rect.left) * dpr;
+    const sy = (e.clientY - rect.top) * dpr;
+    return {
+      x: (sx - canvas.width * 0.5) / viewZoom + viewCenter.x,
+      y: srcH - ((canvas.height * 0.5 - sy) / viewZoom + viewCenter.y),
+    };
+  }
+
+  // Left-drag paints on the preview while a mask is edited; other buttons
+  // and Alt+drag still pan.
+  function isPaintTarget(e) {
+    return (
+      editMaskId !== null && e.currentTarget === canvas && e.button === 0 && !e.altKey && !onDivider(e)
+    );
+  }
+
+  function paintTo(e) {
+    const p = eventImagePx(e);
+    paintLine(stroke.mask, stroke.last || p, p, srcW, {
+      size: Number(brushSizeEl.value),
+      hardness: Number(brushHardnessEl.value),
+      erase: stroke.erase,
+    });
+    stroke.last = p;
+    pipeline.updateMask(stroke.mask.canvas);
+    requestRender();
+  }
+
+  canvas.addEventListener("mousedown", (e) => {
+    if (!srcTex || !isPaintTarget(e)) return;
+    e.preventDefault();
+    const mask = beginStroke(editedMask());
+    masks = masks.map((m) => (m.id === mask.id ? mask : m));
+    setDefaults();
+    stroke = { mask, last: null, erase: brushEraseEl.checked };
+    paintTo(e);
+  });
+
+  window.addEventListener("mousemove", (e) => {
+    if (stroke) paintTo(e);
+  });
+
+  window.addEventListener("mouseup", () => {
+    if (!stroke) return;
+    const { erase } = stroke;
+    stroke = null;
+    markModified();
+    history.commit(erase ? "Erase mask" : "Paint mask");
+  });
+
+  // The edited mask, tinted over the preview.
+  function drawOverlay() {
+    const mask = srcTex ? editedMask() : null;
+    if (!mask && !overlayShown) return;
+    if (maskOverlay.width !== canvas.width || maskOverlay.height !== canvas.height) {
+      maskOverlay.width = canvas.width;
+      maskOverlay.height = canvas.height;
+    }
+    drawMaskOverlay(overlayCtx, mask, srcW, {
+      scale: viewZoom,
+      x: canvas.width * 0.5 - viewCenter.x * viewZoom,
+      y: canvas.height * 0.5 - (srcH - viewCenter.y) * viewZoom,
+    });
+    overlayShown = !!mask;
+  }
+
+  btnMasks?.addEventListener("click", () => {
+    maskPanel.hidden = !maskPanel.hidden;
+    btnMasks.classList.toggle("active", !maskPanel.hidden);
+    if (maskPanel.hidden) editMask(null);
+    renderMasks();
+  });
+
+  btnNewMask.addEventListener("click", () => {
+    if (!srcTex) return;
+    const mask = createMask(`Mask ${masks.length + 1}`, srcW, srcH);
+    masks = [...masks, mask];
+    editMask(mask.id);
+    markModified();
+    history.commit("New mask");
+  });
+
+  btnDeleteMask.addEventListener("click", () => {
+    const id = editMaskId;
+    editMask(null);
+    replaceMasks(masks.filter((m) => m.id !== id));
+    markModified();
+    history.commit("Delete mask");
+  });
+
+  renderMasks();
+
+  // --- Zones and histogram ---
+
+  const btnZones = document.getElementById("btnZones");
+  const btnHistogram = document.getElementById("btnHistogram");
+  const histogramPanel = document.getElementById("histogramPanel");
+  const histogramCanvas = document.getElementById("histogram");
+  const histogramInfo = document.getElementById("histogramInfo");
+  const histogramCtx = histogramCanvas.getContext("2d");
+
+  // Zone colours of the overlay (crosshatch.frag), as the histogram's
+  // background.
+  const ZONE_FILLS = ["rgba(51, 89, 230, 0.18)", "rgba(77, 204, 102, 0.18)", "rgba(255, 217, 51, 0.25)"];
+  const MARKER_GRAB = 6; // CSS pixels either side of a marker
+
+  let showZones = false;
+  let histogram = null; // raw luminance counts of histogramFor
+  let histogramFor = null;
+  let histogramKey = null;
+  let draggedMarker = null; // "shadow" or "highlight"
+
+  // Zone boundaries in brightness-adjusted luminance, as in the shader.
+  function zoneBounds(p) {
+    return { shadow: p.toon + 0.05, highlight: 1 - p.threshold };
+  }
+
+  function drawHistogram() {
+    if (histogramPanel.hidden) return;
+    if (srcTex !== histogramFor) {
+      histogram = srcTex ? luminanceHistogram(gl, srcTex) : null;
+      histogramFor = srcTex;
+      histogramKey = null;
+    }
+    // Follows the controls, so it shows a mask's values while one is edited.
+    const p = readControls();
+    const bounds = zoneBounds(p);
+    const key = JSON.stringify([!!histogram, p.brightness, bounds]);
+    if (key === histogramKey) return;
+    histogramKey = key;
+
+    const ctx = histogramCtx;
+    const { width: w, height: h } = histogramCanvas;
+    const xs = [0, bounds.shadow * w, bounds.highlight * w, w].map((x) =>
+      Math.min(w, Math.max(0, x))
+    );
+    ctx.clearRect(0, 0, w, h);
+    ZONE_FILLS.forEach((fill, i) => {
+      ctx.fillStyle = fill;
+      ctx.fillRect(xs[i], 0, Math.max(0, xs[i + 1] - xs[i]), h);
+    });
+
+    if (histogram) {
+      // Brightness scales luminance and clips at white, as in the shader.
+      const adjusted = new Float64Array(HISTOGRAM_BINS);
+      const zones = [0, 0, 0];
+      let total = 0;
+      histogram.forEach((count, i) => {
+        const lum = Math.min(1, ((i + 0.5) / HISTOGRAM_BINS) * p.brightness);
+        adjusted[Math.min(HISTOGRAM_BINS - 1, Math.floor(lum * HISTOGRAM_BINS))] += count;
+        zones[lum < bounds.shadow ? 0 : lum > bounds.highlight ? 2 : 1] += count;
+        total += count;
+      });
+
+      // Square-root heights keep small counts visible next to large ones.
+      const peak = Math.max(...adjusted, ...histogram, 1);
+      const barW = w / HISTOGRAM_BINS;
+      const barH = (count) => Math.sqrt(count / peak) * (h - 10);
+      ctx.strokeStyle = "#bbb";
+      ctx.beginPath();
+      histogram.forEach((count, i) => ctx.lineTo((i + 0.5) * barW, h - barH(count)));
+      ctx.stroke();
+      ctx.fillStyle = "#333";
+      adjusted.forEach((count, i) => {
+        const bh = barH(count);
+        ctx.fillRect(i * barW, h - bh, Math.max(1, barW), bh);
+      });
+
+      const pct = (n) => `${Math.round((100 * n) / Math.max(1, total))}%`;
+      histogramInfo.textContent =
+        `Shadows ${pct(zones[0])} · Mid-tones ${pct(zones[1])} · Highlights ${pct(zones[2])}`;
+    } else {
+      histogramInfo.textContent = "Open an image to see its tones.";
+    }
+
+    ctx.fillStyle = ctx.strokeStyle = "#007bff";
+    for (const x of [xs[1], xs[2]]) {
+      ctx.fillRect(x - 1, 0, 2, h);
+      ctx.beginPath();
+      ctx.moveTo(x - 6, 0);
+      ctx.lineTo(x + 6, 0);
+      ctx.lineTo(x, 8);
+      ctx.fill();
+    }
+  }
+
+  function markerAt(e) {
+    const rect = histogramCanvas.getBoundingClientRect();
+    const bounds = zoneBounds(readControls());
+    const x = (e.clientX - rect.left) / rect.width;
+    const near = (v) => Math.abs(v - x) * rect.width <= MARKER_GRAB;
+    // The highlight marker wins when they overlap, so they can be pulled
+    // apart from the right.
+    if (near(bounds.highlight)) return "highlight";
+    if (near(bounds.shadow)) return "shadow";
+    return null;
+  }
+
+  // Marker drags move the Toon and Threshold sliders, which handle undo,
+  // masks and the "modified" state.
+  function dragMarker(e) {
+    const rect = histogramCanvas.getBoundingClientRect();
+    const x = (e.clientX - rect.left) / rect.width;
+    const el = draggedMarker === "shadow" ? toonEl : threshEl;
+    const value = draggedMarker === "shadow" ? x - 0.05 : 1 - x;
+    const clamped = Math.min(Number(el.max), Math.max(Number(el.min), value));
+    el.value = String(Math.round(clamped / Number(el.step)) * Number(el.step));
+    el.dispatchEvent(new Event("input", { bubbles: true }));
+  }
+
+  histogramCanvas.addEventListener("pointerdown", (e) => {
+    draggedMarker = markerAt(e);
+    if (!draggedMarker) return;
+    histogramCanvas.setPointerCapture(e.pointerId);
+    dragMarker(e);
+  });
+  histogramCanvas.addEventListener("pointermove", (e) => {
+    if (draggedMarker) dragMarker(e);
+    else histogramCanvas.style.cursor = markerAt(e) ? "ew-resize" : "";
+  });
+  histogramCanvas.addEventListener("pointerup", () => {
+    if (!draggedMarker) return;
+    const el = draggedMarker === "shadow" ? toonEl : threshEl;
+    draggedMarker = null;
+    el.dispatchEvent(new Event("change", { bubbles: true }));
+  });
+
+  btnZones?.addEventListener("click", () => {
+    showZones = !showZones;
+    btnZones.classList.toggle("active", showZones);
+    requestRender();
+  });
+
+  btnHistogram?.addEventListener("click", () => {
+    histogramPanel.hidden = !histogramPanel.hidden;
+    btnHistogram.classList.toggle("active", !histogramPanel.hidden);
+    histogramKey = null;
+    requestRender();
+  });
+
+  // --- User shaders ---
+
+  const shaderPanel = document.getElementById("shaderPanel");
+  const btnShaders = document.getElementById("btnShaders");
+  const shaderSelect = document.getElementById("shaderSelect");
+  const btnShaderFolder = document.getElementById("btnShaderFolder");
+  const shaderErrorsEl = document.getElementById("shaderErrors");
+  const shaderControlsEl = document.getElementById("shaderControls");
+
+  let userShaderFiles = []; // [{ name, path, source }] in the shaders folder
+  let userShader = null; // { name, path, source, shader } drawing the preview
+
+  // `rel` from a shader's annotation, next to the shader file.
+  function pathNear(file, rel) {
+    if (/^([a-zA-Z]:)?[\\/]/.test(rel)) return rel;
+    return file.replace(/[^\\/]*$/, "") + rel;
+  }
+
+  async function loadShaderTexture(shader, name, filePath) {
+    try {
+      shader.setTexture(name, filePath, await loadImageFromPath(filePath));
+      requestRender();
+    } catch (err) {
+      console.warn(err);
+      showNotice(`Texture ${filePath} for ${name} could not be loaded`);
+    }
+  }
+
+  // Draw with `file`, or crosshatch.frag for null. A shader that does not
+  // compile leaves the last one that did drawing and lists its errors.
+  async function useUserShader(file) {
+    let shader = null;
+    if (file) {
+      try {
+        shader = createUserShader(gl, vsSrc, file.source);
+      } catch (err) {
+        showShaderErrors(file, describeCompileErrors(err.message, file.source));
+        showNotice(`${file.name} does not compile; see the Shaders panel`);
+        return;
+      }
+      // A reloaded shader keeps the values of the controls it still has.
+      const old = userShader?.path === file.path ? userShader.shader : null;
+      for (const u of shader.uniforms) {
+        if (u.kind === "texture") {
+          const filePath = old?.textures[u.name]?.path ?? (u.default && pathNear(file.path, u.default));
+          if (filePath) await loadShaderTexture(shader, u.name, filePath);
+        } else if (old && u.name in old.values) {
+          const v = old.values[u.name];
+          if (typeof v === typeof u.default && (!Array.isArray(v) || v.length === u.default.length)) {
+            shader.values[u.name] = v;
+          }
+        }
+      }
+    }
+    userShader?.shader.dispose();
+    userShader = shader ? { ...file, shader } : null;
+    pipeline.setFilter(shader);
+    requestRender();
+    showShaderErrors(file, []);
+    renderShaderControls();
+  }
+
+  function showShaderErrors(file, errors) {
+    shaderErrorsEl.hidden = !errors.length;
+    shaderErrorsEl.replaceChildren(
+      ...errors.map(({ line, message, code }) => {
+        const li = document.createElement("li");
+        li.textContent = line === null ? message : `${file.name}:${line}: ${message}`;
+        if (code) {
+          const pre = document.createElement("pre");
+          pre.textContent = `${String(line).padStart(4)} | ${code}`;
+          li.append(pre);
+        }
+        return li;
+      })
+    );
+  }
+
+  function renderShaderSelect() {
+    const builtin = document.createElement("option");
+    builtin.value = "";
+    builtin.textContent = "Crosshatch (built-in)";
+    shaderSelect.replaceChildren(
+      builtin,
+      ...userShaderFiles.map((f) => {
+        const option = document.createElement("option");
+        option.value = f.path;
+        option.textContent = f.name;
+        return option;
+      })
+    );
+    shaderSelect.value = userShader?.path ?? "";
+  }
+
+  const toHex = (v) =>
+    "#" + v.slice(0, 3).map((c) => Math.round(c * 255).toString(16).padStart(2, "0")).join("");
+  const fromHex = (hex) => [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16) / 255);
+
+  function shaderSlider(label, min, max, step, value, onInput) {
+    const el = document.createElement("label");
+    const input = document.createElement("input");
+    input.type = "range";
+    Object.assign(input, { min, max, step, value });
+    const shown = document.createElement("span");
+    shown.className = "slider-value";
+    shown.textContent = formatValue(Number(value));
+    input.addEventListener("input", () => {
+      shown.textContent = formatValue(Number(input.value));
+      onInput(Number(input.value));
+    });
+    el.append(label, input, shown);
+    return el;
+  }
+
+  // Controls for the shader's own uniforms, changing its values in place.
+  function renderShaderControls() {
+    const shader = userShader?.shader;
+    shaderControlsEl.replaceChildren(
+      ...(shader?.uniforms || []).flatMap((u) => {
+        const { values } = shader;
+        if (u.kind === "bool") {
+          const el = document.createElement("label");
+          const input = document.createElement("input");
+          input.type = "checkbox";
+          input.checked = values[u.name];
+          input.addEventListener("change", () => (values[u.name] = input.checked));
+          el.append(input, u.label);
+          return [el];
+        }
+        if (u.kind === "texture") {
+          const el = document.createElement("label");
+          const button = document.createElement("button");
+          button.textContent = "Choose…";
+          const name = document.createElement("span");
+          name.textContent = shader.textures[u.name]?.path.split(/[\\/]/).pop() ?? "none";
+          button.addEventListener("click", async () => {
+            const filePath = await window.api.pickImage();
+            if (!filePath) return;
+            await loadShaderTexture(shader, u.name, filePath);
+            renderShaderControls();
+          });
+          el.append(u.label, button, name);
+          return [el];
+        }
+        const controls = [];
+        let c = 0;
+        if (u.color) {
+          const el = document.createElement("label");
+          const input = document.createElement("input");
+          input.type = "color";
+          input.value = toHex(values[u.name]);
+          input.addEventListener("input", () => {
+            values[u.name] = [...fromHex(input.value), ...values[u.name].slice(3)];
+          });
+          el.append(u.label, input);
+          controls.push(el);
+          c = 3;
+        }
+        for (; c < u.components; c++) {
+          const i = c;
+          const suffix = u.color ? " alpha" : u.components > 1 ? ` ${"xyzw"[i]}` : "";
+          controls.push(
+            shaderSlider(u.label + suffix, u.min, u.max, u.step, values[u.name][i], (v) => {
+              values[u.name] = values[u.name].map((old, j) => (j === i ? v : old));
+            })
+          );
+        }
+        return controls;
+      })
+    );
+  }
+
+  // Re-read the shaders folder, recompiling the shader in use if it changed.
+  async function reloadUserShaders() {
+    try {
+      userShaderFiles = await window.api.listUserShaders();
+    } catch (err) {
+      console.warn(err);
+      showNotice(`Could not list user shaders: ${errorMessage(err)}`);
+      return;
+    }
+    const selected = shaderSelect.value;
+    renderShaderSelect();
+    if (!selected) return;
+    const file = userShaderFiles.find((f) => f.path === selected);
+    if (!file) await useUserShader(null);
+    else if (file.source !== userShader?.source) await useUserShader(file);
+    shaderSelect.value = selected && file ? selected : "";
+  }
+
+  btnShaders?.addEventListener("click", () => {
+    shaderPanel.hidden = !shaderPanel.hidden;
+    btnShaders.classList.toggle("active", !shaderPanel.hidden);
+  });
+
+  shaderSelect.addEventListener("change", () => {
+    const file = userShaderFiles.find((f) => f.path === shaderSelect.value) || null;
+    useUserShader(file);
+  });
+
+  btnShaderFolder.addEventListener("click", () => {
+    window.api.openUserShadersFolder().catch(showError);
+  });
+
+  window.api.onUserShadersChanged(reloadUserShaders);
+  reloadUserShaders();
+
+  // --- Undo / redo ---
+
+  const historyPanel = document.getElementById("historyPanel");
+  const historyList = document.getElementById("historyList");
+  const btnHistory = document.getElementById("btnHistory");
+  const btnUndo = document.getElementById("btnUndo");
+  const btnRedo = document.getElementById("btnRedo");
+
+  function captureState() {
+    return {
+      params: getParams(),
+      masks: masks.map((m) => ({ ...m })),
+      hatchTexture,
+      image: sourceImage,
+      info: sourceInfo,
+    };
+  }
+
+  function restoreState(s) {
+    if (s.image !== sourceImage) {
+      if (s.image) setSourceImage(s.image, s.info);
+      else clearSource();
+    }
+    setParams(s.params);
+    replaceMasks(s.masks.map((m) => ({ ...m })));
+    setHatchTexture(s.hatchTexture);
+    setDefaults();
+    markModified();
+  }
+
+  function masksEqual(a, b) {
+    return (
+      a.length === b.length &&
+      a.every(
+        (m, i) =>
+          m.id === b[i].id &&
+          m.name === b[i].name &&
+          m.canvas === b[i].canvas &&
+          JSON.stringify(m.overrides) === JSON.stringify(b[i].overrides)
+      )
+    );
+  }
+
+  function statesEqual(a, b) {
+    return (
+      a.image === b.image &&
+      masksEqual(a.masks, b.masks) &&
+      JSON.stringify(a.hatchTexture) === JSON.stringify(b.hatchTexture) &&
+      JSON.stringify(a.params) === JSON.stringify(b.params)
+    );
+  }
+
+  function formatValue(v) {
+    return typeof v === "number" ? String(+v.toFixed(2)) : String(v);
+  }
+
+  function describeChanges(entry) {
+    const { before, after } = entry;
+    const lines = [];
+    if (before.image !== after.image) {
+      lines.push(`Image: ${before.info?.name ?? "none"} → ${after.info?.name ?? "none"}`);
+    }
+    for (const key of Object.keys(after.params)) {
+      if (before.params[key] !== after.params[key]) {
+        lines.push(
+          `${PARAM_LABELS[key] ?? key}: ${formatValue(before.params[key])} → ${formatValue(after.params[key])}`
+        );
+      }
+    }
+    if (JSON.stringify(before.hatchTexture) !== JSON.stringify(after.hatchTexture)) {
+      lines.push("Hatch texture changed");
+    }
+    const beforeMasks = new Map(before.masks.map((m) => [m.id, m]));
+    for (const m of after.masks) {
+      const old = beforeMasks.get(m.id);
+      beforeMasks.delete(m.id);
+      if (!old) {
+        lines.push(`Mask added: ${m.name}`);
+        continue;
+      }
+      if (old.name !== m.name) lines.push(`Mask: ${old.name} → ${m.name}`);
+      if (old.canvas !== m.canvas) lines.push(`${m.name}: painted`);
+      for (const key of new Set([...Object.keys(old.overrides), ...Object.keys(m.overrides)])) {
+        const [a, b] = [old.overrides[key], m.overrides[key]];
+        if (a !== b) {
+          const show = (v) => (v === undefined ? "—" : formatValue(v));
+          lines.push(`${m.name} ${PARAM_LABELS[key] ?? key}: ${show(a)} → ${show(b)}`);
+        }
+      }
+    }
+    for (const m of beforeMasks.values()) lines.push(`Mask removed: ${m.name}`);
+    return lines;
+  }
+
+  function renderHistory() {
+    if (btnUndo) btnUndo.disabled = !history.canUndo;
+    if (btnRedo) btnRedo.disabled = !history.canRedo;
+    if (!historyList || historyPanel.hidden) return;
+
+    const items = [{ label: "Start", lines: [] }].concat(
+      history.entries.map((e) => ({ label: e.label, lines: describeChanges(e) }))
+    );
+    historyList.replaceChildren(
+      ...items.map((item, n) => {
+        const li = document.createElement("li");
+        li.className = n === history.index ? "current" : n > history.index ? "undone" : "";
+        const title = document.createElement("div");
+        title.textContent = item.label;
+        li.append(title);
+        for (const line of item.lines) {
+          const d = document.createElement("div");
+          d.className = "diff";
+          d.textContent = line;
+          li.append(d);
+        }
+        li.addEventListener("click", () => history.goTo(n));
+        return li;
+      })
+    );
+  }
+
+  const history = createHistory({
+    capture: captureState,
+    restore: restoreState,
+    isEqual: statesEqual,
+    onChange: renderHistory,
+  });
+
+  btnUndo?.addEventListener("click", () => history.undo());
+  btnRedo?.addEventListener("click", () => history.redo());
+  btnHistory?.addEventListener("click", () => {
+    historyPanel.hidden = !historyPanel.hidden;
+    btnHistory.classList.toggle("active", !historyPanel.hidden);
+    renderHistory();
+  });
+
+  window.addEventListener("keydown", (e) => {
+    if (!(e.ctrlKey || e.metaKey)) return;
+    const t = e.target;
+    // Leave text fields their own undo
+    if (t instanceof HTMLInputElement && t.type === "text") return;
+
+    const key = e.key.toLowerCase();
+    if (key === "z" && !e.shiftKey) {
+      e.preventDefault();
+      history.undo();
+    } else if ((key === "z" && e.shiftKey) || key === "y") {
+      e.preventDefault();
+      history.redo();
+    }
+  });
+
+  renderHistory();
+
+  // --- Queue ---
+
+  const queuePanel = document.getElementById("queuePanel");
+  const queueList = document.getElementById("queueList");
+  const queueHint = document.getElementById("queueHint");
+  const queueFolderLabel = document.getElementById("queueFolder");
+  const queueTemplate = document.getElementById("queueTemplate");
+  const queueFormat = document.getElementById("queueFormat");
+  const btnQueue = document.getElementById("btnQueue");
+  const btnQueueRun = document.getElementById("btnQueueRun");
+
+  const FORMAT_EXTENSIONS = { png: "png", jpeg: "jpg", webp: "webp", tiff: "tif" };
+
+  // Items: { path, name, thumb, settings, params, hatchTexture, status,
+  // error, output }. settings is "current", "auto" (current plus Auto),
+  // "preset:<name>" or "custom", which uses the item's own params and
+  // hatchTexture.
+  let queue = [];
+  let queueFolder = null;
+  // The item re-opened in the editor, and the settings it was opened with.
+  let openItem = null;
+  let openItemState = null;
+  let queueHatchKey = null;
+
+  const editorState = () => JSON.stringify([getParams(), hatchTexture]);
+  const stripExtension = (name) => name.replace(/\.[^.]+$/, "");
+
+  // Tweaks made to a re-opened item are kept as its own "custom" settings.
+  function syncOpenItem() {
+    if (!openItem || !queue.includes(openItem) || sourceInfo?.path !== openItem.path) {
+      openItem = null;
+      return;
+    }
+    if (editorState() === openItemState) return;
+    openItem.settings = "custom";
+    openItem.params = getParams();
+    openItem.hatchTexture = hatchTexture;
+    openItemState = editorState();
+  }
+
+  function resolveItemSettings(item, source, base) {
+    if (item.settings === "custom") {
+      return { params: item.params, hatchTexture: item.hatchTexture };
+    }
+    if (item.settings === "auto") {
+      const analysis = analyzeImage(gl, source.tex, source.w, source.h);
+      return {
+        params: { ...base.params, ...calculateAutoSettings(analysis) },
+        hatchTexture: base.hatchTexture,
+      };
+    }
+    if (item.settings.startsWith("preset:")) {
+      const name = item.settings.slice("preset:".length);
+      const preset = presetList.find((p) => p.name === name);
+      if (!preset) throw new Error(`Preset "${name}" no longer exists`);
+      return {
+        params: { ...DEFAULT_PARAMS, ...preset.params },
+        hatchTexture: preset.hatchTexture || DEFAULT_HATCH_TEXTURE,
+      };
+    }
+    return base;
+  }
+
+  function settingsName(item) {
+    return item.settings.startsWith("preset:")
+      ? item.settings.slice("preset:".length)
+      : item.settings;
+  }
+
+  function queueOutputPath(item, n) {
+    const name = expandNameTemplate(queueTemplate.value, {
+      name: stripExtension(item.name),
+      index: String(n + 1).padStart(String(queue.length).length, "0"),
+      settings: settingsName(item),
+    });
+    const ext = FORMAT_EXTENSIONS[queueFormat.value];
+    return `${queueFolder.replace(/[\\/]+$/, "")}/${name}.${ext}`;
+  }
+
+  function renderQueue() {
+    btnQueueRun.disabled = queue.length === 0;
+    queueHint.hidden = queue.length > 0;
+
+    const STATUS = { working: "…", done: "✓", error: "✕" };
+    queueList.replaceChildren(
+      ...queue.map((item) => {
+        const li = document.createElement("li");
+        li.className = item === openItem ? "open" : "";
+
+        const thumb = document.createElement("img");
+        thumb.className = "thumb";
+        if (item.thumb) thumb.src = item.thumb;
+        const name = document.createElement("span");
+        name.className = "name";
+        name.textContent = item.name;
+        name.title = item.path;
+        for (const el of [thumb, name]) {
+          el.addEventListener("click", () => openQueueItem(item));
+        }
+
+        const status = document.createElement("span");
+        status.textContent = STATUS[item.status] || "";
+        status.title = item.error || item.output || "";
+
+        const remove = document.createElement("button");
+        remove.textContent = "×";
+        remove.title = "Remove from queue";
+        remove.addEventListener("click", () => {
+          queue = queue.filter((i) => i !== item);
+          renderQueue();
+        });
+
+        const select = document.createElement("select");
+        select.append(new Option("Current settings", "current"), new Option("Auto", "auto"));
+        if (item.settings === "custom") select.append(new Option("Edited", "custom"));
+        for (const p of presetList) select.append(new Option(p.name, `preset:${p.name}`));
+        select.value = item.settings;
+        select.addEventListener("change", () => (item.settings = select.value));
+
+        li.append(thumb, name, status, remove, select);
+        if (item.error) {
+          const error = document.createElement("span");
+          error.className = "error";
+          error.textContent = item.error;
+          li.append(error);
+        }
+        return li;
+      })
+    );
+  }
+
+  async function addToQueue(paths) {
+    const items = paths
+      .filter((p) => isImageFile(p) && !queue.some((i) => i.path === p))
+      .map((p) => ({ path: p, name: baseName(p), thumb: null, settings: "current", status: "" }));
+    queue.push(...items);
+    renderQueue();
+
+    for (const item of items) {
+      try {
+        item.thumb = makeThumbnail(await loadImageFromPath(item.path));
+      } catch {
+        item.status = "error";
+        item.error = "Cannot read this image";
+      }
+      renderQueue();
+    }
+  }
+
+  async function openQueueItem(item) {
+    syncOpenItem();
+    try {
+      const img = await loadImageFromPath(item.path);
+      setSourceImage(img, { path: item.path, name: item.name });
+      const settings = resolveItemSettings(item, srcSource, { params: getParams(), hatchTexture });
+      setParams(settings.params);
+      await setHatchTexture(settings.hatchTexture);
+      setDefaults();
+      markModified();
+      history.commit(`Open ${item.name}`);
+      openItem = item;
+      openItemState = editorState();
+    } catch (err) {
+      showError(err);
+    }
+    renderQueue();
+  }
+
+  // The queue swaps the pipeline's hatch texture per item; the editor's
+  // is put back afterwards.
+  async function useQueueHatch(desc) {
+    const key = JSON.stringify(desc);
+    if (key === queueHatchKey) return;
+    pipeline.setHatchLayers(await loadHatchLayers(desc));
+    queueHatchKey = key;
+  }
+
+  async function processQueueItem(item, base, onProgress) {
+    const img = await loadImageFromPath(item.path);
+    const source = createSource(gl, img);
+    try {
+      const settings = resolveItemSettings(item, source, base);
+      await useQueueHatch(settings.hatchTexture);
+      pipeline.setParams(settings.params);
+      // Masks belong to the image open in the editor.
+      pipeline.setMasks(item === openItem ? maskLayers(settings.params) : []);
+      return await renderToFile(img, source, settings.params, {
+        format: queueFormat.value,
+        filePath: item.output,
+        onProgress,
+        isCancelled: () => progressCancelled,
+      });
+    } finally {
+      gl.deleteTexture(source.tex);
+    }
+  }
+
+  async function processQueue() {
+    if (!queueFolder) {
+      queueFolder = await window.api.pickFolder();
+      queueFolderLabel.textContent = queueFolder || "not set";
+      if (!queueFolder) return;
+    }
+    syncOpenItem();
+
+    const outputs = queue.map((item, n) => queueOutputPath(item, n));
+    const clash = outputs.find((o, n) => outputs.indexOf(o) !== n);
+    if (clash) {
+      throw new Error(`Two items would be saved as ${baseName(clash)}; add {index} to the name`);
+    }
+    queue.forEach((item, n) => {
+      item.output = outputs[n];
+      item.status = "";
+      item.error = null;
+    });
+
+    const base = { params: getParams(), hatchTexture };
+    queueHatchKey = JSON.stringify(hatchTexture);
+    showProgress("Processing queue…");
+    try {
+      for (const [n, item] of queue.entries()) {
+        if (progressCancelled) break;
+        progressLabel.textContent = `${n + 1} of ${queue.length}: ${item.name}`;
+        item.status = "working";
+        renderQueue();
+        try {
+          const done = await processQueueItem(item, base, (fraction) => {
+            progressBar.value = (n + fraction) / queue.length;
+          });
+          item.status = done ? "done" : "";
+        } catch (err) {
+          item.status = "error";
+          item.error = errorMessage(err);
+        }
+        renderQueue();
+      }
+    } finally {
+      await useQueueHatch(hatchTexture).catch(console.warn);
+      setDefaults();
+      hideProgress();
+    }
+  }
+
+  btnQueue?.addEventListener("click", () => {
+    queuePanel.hidden = !queuePanel.hidden;
+    btnQueue.classList.toggle("active", !queuePanel.hidden);
+    syncOpenItem();
+    renderQueue();
+  });
+
+  document.getElementById("btnQueueAdd").addEventListener("click", async () => {
+    addToQueue(await window.api.pickImages({ multiple: true }));
+  });
+
+  document.getElementById("btnQueueClear").addEventListener("click", () => {
+    queue = [];
+    openItem = null;
+    renderQueue();
+  });
+
+  document.getElementById("btnQueueFolder").addEventListener("click", async () => {
+    const folder = await window.api.pickFolder();
+    if (!folder) return;
+    queueFolder = folder;
+    queueFolderLabel.textContent = folder;
+    queueFolderLabel.title = folder;
+  });
+
+  queueTemplate.placeholder = DEFAULT_NAME_TEMPLATE;
+
+  btnQueueRun.addEventListener("click", () => {
+    if (exporting) return;
+    processQueue().catch(showError);
+  });
+
+  queuePanel.addEventListener("dragover", (e) => {
+    if (!e.dataTransfer.types.includes("Files")) return;
+    e.preventDefault();
+    queuePanel.classList.add("drop-target");
+  });
+  queuePanel.addEventListener("dragleave", (e) => {
+    if (!queuePanel.contains(e.relatedTarget)) queuePanel.classList.remove("drop-target");
+  });
+  queuePanel.addEventListener("drop", (e) => {
+    e.preventDefault();
+    queuePanel.classList.remove("drop-target");
+    addToQueue([...e.dataTransfer.files].map((f) => window.api.pathForFile(f)));
+  });
+
+  renderQueue();
+
+  function readSvgOptions(form) {
+    const num = (name) => parseFloat(form.elements[name].value);
+    return {
+      spacing: num("spacing"),
+      midAngle: num("midAngle"),
+      shadowAngle: num("shadowAngle"),
+      crossHatchShadows: form.elements.crossHatchShadows.checked,
+      minLength: num("minLength"),
+      strokeWidth: num("strokeWidth"),
+      traceSize: num("traceSize"),
+      optimizeOrder: form.elements.optimizeOrder.checked,
+    };
+  }
+
+  btnExportSvg?.addEventListener("click", () => {
+    if (!srcTex) return;
+    svgDialog.returnValue = "";
+    svgDialog.showModal();
+  });
+
+  svgDialog?.addEventListener("close", async () => {
+    if (svgDialog.returnValue !== "export" || !srcTex) return;
+    const options = readSvgOptions(svgDialog.querySelector("form"));
+
+    try {
+      setDefaults();
+      const masks = renderAnalysisMasks(
+        gl,
+        pipeline,
+        srcSource,
+        options.traceSize
+      );
+      const { edges, zones } = decodeAnalysisPixels(masks.pixels, masks.w, masks.h);
+      const paths = vectorize(edges, zones, masks.w, masks.h, masks.scale, options);
+      await window.api.saveSvg(toSvg(paths, srcW, srcH, options));
+    } catch (err) {
+      showError(err);
+    }
+  });
+
+  // --- GPU context ---
+  // A GPU reset (often after a very large export) loses every texture and
+  // program. They are made again from what lives outside WebGL: the image,
+  // masks, parameters, view, hatch texture and user shader.
+  let contextLost = false;
+  let dismissLostNotice = null;
+
+  canvas.addEventListener("webglcontextlost", (e) => {
+    // Without this the context is not restored.
+    e.preventDefault();
+    contextLost = true;
+    dismissLostNotice = showNotice("The graphics device was reset; restoring the preview…", "info");
+  });
+
+  canvas.addEventListener("webglcontextrestored", () => {
+    restoreContext().catch((err) => {
+      showError(err);
+      showNotice("The preview could not be restored; restart Crosshatch");
+    });
+  });
+
+  async function restoreContext() {
+    pipeline = await createCrosshatchPipeline(gl);
+    createViewPrograms();
+    compareTargets = null;
+    if (sourceImage) {
+      srcSource = createSource(gl, sourceImage);
+      srcTex = srcSource.tex;
+    }
+    hatchTextureKey = queueHatchKey = null;
+    await setHatchTexture(hatchTexture);
+    if (userShader) await useUserShader(userShader);
+    contextLost = false;
+    dismissLostNotice?.();
+    requestRender();
+  }
+
+  window.addEventListener("beforeunload", () => {
+    if (srcTex) {
+      gl.deleteTexture(srcTex);
+      srcTex = null;
     }
-    if (quadOrig.vao) glOrig.deleteVertexArray(quadOrig.vao);
-    if (quadOrig.vbo) glOrig.deleteBuffer(quadOrig.vbo);
-    glOrig.deleteProgram(progOrig);
+    deleteCompareTargets();
+    userShader?.shader.dispose();
+    gl.deleteProgram(progPlain);
+    gl.deleteProgram(progCompare);
+    pipeline.dispose();
   });
 
   setDefaults();
-  requestAnimationFrame(frame);
+  requestRender();
 }
 
 main().catch((err) => {
   console.error(err);
-  alert(String(err));
+  showStartupError(`Crosshatch could not start: ${err?.message || err}`);
 });
@@ -1,18 +1,60 @@
 #version 300 es
 precision highp float;
+precision highp sampler2DArray;
 
 uniform sampler2D u_image;
-uniform sampler2D u_hatchTex;
-uniform vec2 u_texSize;
+// One layer for a plain hatch texture, or the levels of a tonal art map
+// ordered from lightest to densest.
+uniform sampler2DArray u_hatchTex;
+uniform int u_hatchLevels;
+uniform vec2 u_imageSize; // whole image, pixels
+// Image rectangle (x, y, w, h; pixels, bottom-up) covered by u_image and
+// u_lines: the whole image, or one tile of it for tiled export.
+uniform vec4 u_texRect;
+// u_outSize is the whole output; a tile renders the part of it that starts
+// at u_outOffset, so screen-space coordinates stay continuous across tiles.
 uniform vec2 u_outSize;
+uniform vec2 u_outOffset;
 uniform vec2 u_centerPx;
 uniform float u_zoom;
 uniform float u_hatchScale;
+uniform float u_hatchPeriod;
+// Mip level of u_hatchTex, the same for every pixel (see hatchLod in
+// pipeline.js); GPUs approximate the one textureGrad would pick.
+uniform float u_hatchLod;
+uniform int u_hatchSpace; // 0 = image pixels, 1 = screen (legacy), 2 = flow
+// Smoothed structure tensor over the whole image, used by flow hatching.
+uniform sampler2D u_flow;
+uniform int u_flowCross; // 1 = cross-hatch perpendicular to the flow
+// Per-zone shading: shadow 0 solid, 1 hatch, 2 halftone; mid 0 hatch,
+// 1 halftone; highlight 0 paper, 1 halftone.
+uniform int u_shadowShading;
+uniform int u_midShading;
+uniform int u_highlightShading;
+uniform int u_halftoneShape; // 0 round, 1 line, 2 diamond
+// Screen rotations for K, C, M and Y (see pipeline.js), computed in JS:
+// GPU sin and cos can be off enough to shift dots far from the origin.
+uniform mat2 u_screenRot[4];
+uniform float u_halftonePeriod; // screen ruling, image pixels per cell
+uniform int u_halftoneCmyk;
+uniform vec3 u_inkColor;
+uniform vec3 u_paperColor;
+uniform int u_paperMode; // 0 paper colour, 1 posterised source, 2 transparent
+uniform float u_posterizeLevels;
 uniform float u_toonThreshold;
 uniform float u_finalThreshold;
 uniform float u_brightness;
 uniform float u_hatchAmount;
-uniform float u_edgeStrength;
+// Outline ink coverage in R, extracted at source resolution by lines.js.
+uniform sampler2D u_lines;
+// 0 = ink, 1 = analysis masks for vector export, 2 = zone overlay
+uniform int u_outputMode;
+// Painted masks are drawn as extra layers, each with its own parameters:
+// a mask layer mixes its result over u_below (the output so far, same size
+// as this one) by the coverage in u_mask's alpha over the whole image.
+uniform int u_maskLayer; // 0 = base layer, 1 = mask layer
+uniform sampler2D u_mask;
+uniform sampler2D u_below;
 
 out vec4 outColor;
 
@@ -24,69 +66,242 @@ float luminance(vec3 rgb) {
   return dot(rgb, vec3(0.2126, 0.7152, 0.0722));
 }
 
+float hatchLayer(vec2 uv, float layer) {
+  return luminance(textureLod(u_hatchTex, vec3(uv, layer), u_hatchLod).rgb);
+}
+
+// Edge tangent at an image position: the minor eigenvector of the
+// structure tensor, or the classic 45° where the image is flat.
+vec2 flowTangent(vec2 imagePx) {
+  vec3 t = textureLod(u_flow, imagePx / u_imageSize, 0.0).rgb;
+  float lambda2 = 0.5 * (t.x + t.z - sqrt((t.x - t.z) * (t.x - t.z) + 4.0 * t.y * t.y));
+  vec2 a = vec2(t.y, lambda2 - t.x);
+  vec2 b = vec2(lambda2 - t.z, t.y);
+  vec2 v = dot(a, a) > dot(b, b) ? a : b;
+  float len = length(v);
+  return len > 1e-10 ? v / len : vec2(0.70710678);
+}
+
+float hash(ivec2 p, uint seed) {
+  uvec2 q = uvec2(p) * uvec2(1597334673u, 3812015801u);
+  uint n = (q.x ^ q.y ^ (seed * 2654435761u)) * 1597334673u;
+  n ^= n >> 16;
+  n *= 2246822519u;
+  n ^= n >> 13;
+  return float(n) / 4294967295.0;
+}
+
+float valueNoise(vec2 p, uint seed) {
+  ivec2 i = ivec2(floor(p));
+  vec2 f = fract(p);
+  vec2 u = f * f * (3.0 - 2.0 * f);
+  return mix(
+    mix(hash(i, seed), hash(i + ivec2(1, 0), seed), u.x),
+    mix(hash(i + ivec2(0, 1), seed), hash(i + ivec2(1, 1), seed), u.x),
+    u.y
+  );
+}
+
+const int FLOW_STEPS = 12;
+
+// Line integral convolution: noise averaged along the streamline through
+// imagePx smears into strokes that follow the flow, rotated by `angle`.
+// Returns a hatch threshold like the texture's, centred on 0.5.
+float flowStrokes(vec2 imagePx, float angle, uint seed, float spacing) {
+  mat2 rot = mat2(cos(angle), sin(angle), -sin(angle), cos(angle));
+  float cell = spacing * 0.5;
+  float stepLen = 6.0 * spacing / float(FLOW_STEPS);
+
+  float sum = valueNoise(imagePx / cell, seed);
+  float wsum = 1.0;
+  for (int side = 0; side < 2; side++) {
+    vec2 p = imagePx;
+    vec2 dir = rot * flowTangent(p) * (side == 0 ? 1.0 : -1.0);
+    for (int i = 1; i <= FLOW_STEPS; i++) {
+      p += dir * stepLen;
+      vec2 t = rot * flowTangent(p);
+      dir = dot(t, dir) < 0.0 ? -t : t; // the tangent field has no sign
+      float w = 1.0 - float(i) / float(FLOW_STEPS + 1);
+      sum += w * valueNoise(p / cell, seed);
+      wsum += w;
+    }
+  }
+  // Averaging flattens the noise; stretch it back over 0..1.
+  return clamp(0.5 + (sum / wsum - 0.5) * 5.0, 0.0, 1.0);
+}
+
 float toonShade(float lum, float threshold) {
   return smoothstep(threshold - 0.15, threshold + 0.15, lum);
 }
 
-// Sobel edge detection
-float detectEdges(sampler2D tex, vec2 uv, vec2 texSize) {
-  vec2 px = 1.0 / texSize;
-  
-  float tl = luminance(texture(tex, uv + vec2(-px.x,  px.y)).rgb);
-  float tm = luminance(texture(tex, uv + vec2(0.0,    px.y)).rgb);
-  float tr = luminance(texture(tex, uv + vec2( px.x,  px.y)).rgb);
-  float ml = luminance(texture(tex, uv + vec2(-px.x,  0.0)).rgb);
-  float mr = luminance(texture(tex, uv + vec2( px.x,  0.0)).rgb);
-  float bl = luminance(texture(tex, uv + vec2(-px.x, -px.y)).rgb);
-  float bm = luminance(texture(tex, uv + vec2(0.0,   -px.y)).rgb);
-  float br = luminance(texture(tex, uv + vec2( px.x, -px.y)).rgb);
-  
-  float gx = -tl + tr - 2.0*ml + 2.0*mr - bl + br;
-  float gy = -tl - 2.0*tm - tr + bl + 2.0*bm + br;
-  
-  return clamp(sqrt(gx*gx + gy*gy) * 3.5, 0.0, 1.0);
+// Hatching for a tone position from 0 (darkest) to 1 (lightest), blended
+// with a plain two-tone split by the Hatching amount.
+float hatchShade(vec2 imagePx, vec2 hatchUV, float tonePos) {
+  float pureResult = step(0.5, tonePos);
+  float textureResult;
+  if (u_hatchSpace == 2) {
+    // Strokes along the edge tangent flow, about as dense as T_hatch's
+    // 40 lines per tile; cross strokes join in the darker half.
+    float spacing = max(u_hatchPeriod, 1.0) / 40.0;
+    textureResult = step(0.5, flowStrokes(imagePx, 0.0, 1u, spacing) + tonePos);
+    if (u_flowCross == 1) {
+      float crossValue = flowStrokes(imagePx, 1.5707963, 2u, spacing);
+      textureResult = min(textureResult, step(0.5, crossValue + 0.25 + 0.5 * tonePos));
+    }
+  } else if (u_hatchLevels > 1) {
+    // Tonal art map: darkness across the band walks from bare paper
+    // through each level, blending neighbouring levels.
+    float n = float(u_hatchLevels);
+    float level = (1.0 - tonePos) * n;
+    float i = floor(level);
+    float lighter = i < 1.0 ? 1.0 : hatchLayer(hatchUV, i - 1.0);
+    float denser = hatchLayer(hatchUV, min(i, n - 1.0));
+    textureResult = step(0.5, mix(lighter, denser, level - i));
+  } else {
+    float hatchValue = hatchLayer(hatchUV, 0.0);
+    textureResult = step(0.5, hatchValue + tonePos);
+  }
+  return mix(pureResult, textureResult, u_hatchAmount);
 }
 
-void main() {
-  vec2 fragPx = gl_FragCoord.xy;
-  vec2 outCenter = 0.5 * u_outSize;
-  vec2 imagePx = (fragPx - outCenter) / max(u_zoom, 1e-6) + u_centerPx;
-  vec2 uv = imagePx / u_texSize;
+// Amplitude-modulated screen: 1 where a cell at image position imagePx is
+// inked for the given coverage (0..1). Above half coverage the paper
+// between dots shrinks instead, as on a printed screen.
+float screenDot(vec2 imagePx, mat2 rot, float coverage) {
+  if (coverage <= 0.0 || coverage >= 1.0) return step(1.0, coverage);
+  vec2 p = fract(rot * imagePx / max(u_halftonePeriod, 1.0)) - 0.5;
 
-  if (uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0) {
-    outColor = vec4(1.0);
-    return;
+  if (u_halftoneShape == 1) {
+    return step(abs(p.y), 0.5 * coverage);
+  }
+  // Area of the dot (or of the paper around a cell corner) for a given
+  // size: a circle is pi*r^2, a diamond 2*d^2 in cell units.
+  float centre, corner;
+  if (u_halftoneShape == 2) {
+    float d = abs(p.x) + abs(p.y);
+    centre = 2.0 * d * d;
+    corner = 2.0 * (1.0 - d) * (1.0 - d);
+  } else {
+    vec2 q = 0.5 - abs(p);
+    centre = 3.14159265 * dot(p, p);
+    corner = 3.14159265 * dot(q, q);
   }
+  return coverage <= 0.5 ? step(centre, coverage) : 1.0 - step(corner, 1.0 - coverage);
+}
+
+// Halftone for a pixel: one black screen, or four CMYK screens at the
+// traditional angles (K at the chosen angle, C -30°, M +30°, Y -45°).
+vec3 halftone(vec2 imagePx, vec3 srcColor, float lum) {
+  if (u_halftoneCmyk == 0) {
+    return vec3(1.0 - screenDot(imagePx, u_screenRot[0], 1.0 - lum));
+  }
+  vec3 rgb = clamp(srcColor * u_brightness, 0.0, 1.0);
+  float k = 1.0 - max(rgb.r, max(rgb.g, rgb.b));
+  vec3 cmy = k < 1.0 ? (1.0 - rgb - k) / (1.0 - k) : vec3(0.0);
+  float inkC = screenDot(imagePx, u_screenRot[1], cmy.x);
+  float inkM = screenDot(imagePx, u_screenRot[2], cmy.y);
+  float inkY = screenDot(imagePx, u_screenRot[3], cmy.z);
+  float inkK = screenDot(imagePx, u_screenRot[0], k);
+  return (1.0 - vec3(inkC, inkM, inkY)) * (1.0 - inkK);
+}
 
+// The ink and paper of one pixel with this layer's parameters.
+vec4 shade(vec2 fragPx, vec2 imagePx) {
+  vec2 uv = (imagePx - u_texRect.xy) / u_texRect.zw;
   vec3 srcColor = texture(u_image, uv).rgb;
   float lum = clamp(luminance(srcColor) * u_brightness, 0.0, 1.0);
 
-  // Edge detection
-  float edge = detectEdges(u_image, uv, u_texSize) * u_edgeStrength;
-  float edgeMask = step(0.15, 1.0 - edge * 0.85);
+  // Outlines; thresholding the filtered coverage keeps edges smooth when
+  // zoomed in.
+  float edgeMask = step(0.5, 1.0 - texture(u_lines, uv).r);
 
   // Zone thresholds
   float shadowThreshold = u_toonThreshold + 0.05;
   float highlightThreshold = 1.0 - u_finalThreshold;
   
-  // Hatch texture
-  float tileScale = u_hatchScale * (u_outSize.y / 800.0);
-  vec2 hatchUV = fragPx / u_outSize * tileScale;
-  float hatchValue = luminance(texture(u_hatchTex, hatchUV).rgb);
+  // Hatch texture. In image space one tile spans u_hatchPeriod source
+  // pixels, so the pattern pans and zooms with the image and an export
+  // matches the preview. Screen space tiles relative to the output size.
+  // Flow hatching ignores the texture and draws its own strokes.
+  vec2 hatchUV;
+  if (u_hatchSpace == 1) {
+    float tileScale = u_hatchScale * (u_outSize.y / 800.0);
+    hatchUV = fragPx / u_outSize * tileScale;
+  } else {
+    hatchUV = imagePx / max(u_hatchPeriod, 1.0);
+  }
   
-  // Zone-based rendering
-  float result;
+  if (u_outputMode == 1) {
+    // R: outline ink, G: zone (0 shadow, 0.5 mid, 1 highlight),
+    // B: position within the mid-tone band.
+    float zone = lum < shadowThreshold ? 0.0 : (lum > highlightThreshold ? 1.0 : 0.5);
+    float midPos = clamp((lum - shadowThreshold) / (highlightThreshold - shadowThreshold), 0.0, 1.0);
+    return vec4(1.0 - edgeMask, zone, midPos, 1.0);
+  }
+  if (u_outputMode == 2) {
+    // Zone overlay: the tone tinted blue in shadows, green in mid-tones and
+    // yellow in highlights, with outlines in red. The histogram legend in
+    // index.html uses the same colours.
+    vec3 tint = lum < shadowThreshold
+      ? vec3(0.2, 0.35, 0.9)
+      : (lum > highlightThreshold ? vec3(1.0, 0.85, 0.2) : vec3(0.3, 0.8, 0.4));
+    vec3 color = edgeMask < 0.5 ? vec3(0.9, 0.1, 0.1) : mix(vec3(lum), tint, 0.6);
+    return vec4(color, 1.0);
+  }
+
+  // Zone-based rendering: each zone is solid/paper, hatched or screened.
+  vec3 result;
   if (lum < shadowThreshold) {
-    result = 0.0;
+    if (u_shadowShading == 1) {
+      result = vec3(hatchShade(imagePx, hatchUV, 0.0));
+    } else if (u_shadowShading == 2) {
+      result = halftone(imagePx, srcColor, lum);
+    } else {
+      result = vec3(0.0);
+    }
   } else if (lum > highlightThreshold) {
-    result = 1.0;
+    result = u_highlightShading == 1 ? halftone(imagePx, srcColor, lum) : vec3(1.0);
   } else {
     float midTonePos = (lum - shadowThreshold) / (highlightThreshold - shadowThreshold);
-    float pureResult = step(0.5, midTonePos);
-    float textureResult = step(0.5, hatchValue + midTonePos);
-    result = mix(pureResult, textureResult, u_hatchAmount);
+    result = u_midShading == 1
+      ? halftone(imagePx, srcColor, lum)
+      : vec3(hatchShade(imagePx, hatchUV, midTonePos));
   }
 
   result *= edgeMask;
-  outColor = vec4(vec3(result), 1.0);
+
+  // `result` is 1 for paper and 0 for ink (per channel for CMYK dots).
+  if (u_paperMode == 2) {
+    // Transparent paper: coverage becomes alpha, and the colour is what
+    // would show over white with that coverage.
+    float alpha = 1.0 - min(result.r, min(result.g, result.b));
+    vec3 overWhite = mix(u_inkColor, vec3(1.0), result);
+    vec3 color = alpha > 0.0 ? (overWhite - (1.0 - alpha)) / alpha : vec3(0.0);
+    return vec4(clamp(color, 0.0, 1.0), alpha);
+  }
+
+  vec3 paper = u_paperColor;
+  if (u_paperMode == 1) {
+    // Flat colours under the ink, like a coloured comic page
+    float n = max(u_posterizeLevels - 1.0, 1.0);
+    paper = floor(clamp(srcColor * u_brightness, 0.0, 1.0) * n + 0.5) / n;
+  }
+  return vec4(mix(u_inkColor, paper, result), 1.0);
+}
+
+void main() {
+  vec2 fragPx = gl_FragCoord.xy + u_outOffset;
+  vec2 outCenter = 0.5 * u_outSize;
+  vec2 imagePx = (fragPx - outCenter) / max(u_zoom, 1e-6) + u_centerPx;
+
+  if (any(lessThan(imagePx, vec2(0.0))) || any(greaterThan(imagePx, u_imageSize))) {
+    outColor = vec4(1.0);
+    return;
+  }
+
+  outColor = shade(fragPx, imagePx);
+  if (u_maskLayer == 1) {
+    float coverage = texture(u_mask, imagePx / u_imageSize).a;
+    outColor = mix(texelFetch(u_below, ivec2(gl_FragCoord.xy), 0), outColor, coverage);
+  }
 }
@@ -0,0 +1,34 @@
+#version 300 es
+precision highp float;
+
+// One direction of a separable Gaussian blur; run along x then y.
+uniform sampler2D u_input;
+uniform vec2 u_outSize;
+uniform vec2 u_dir;
+uniform float u_sigma; // in texels
+// For image sequences: the previous frame's field and its weight, mixed
+// in after the last pass so the flow changes smoothly over time.
+uniform sampler2D u_previous;
+uniform float u_history;
+
+out vec4 outColor;
+
+const int MAX_RADIUS = 128;
+
+void main() {
+  vec2 uv = gl_FragCoord.xy / u_outSize;
+  vec2 stepUV = u_dir / u_outSize;
+  int radius = int(min(ceil(2.5 * u_sigma), float(MAX_RADIUS)));
+  float k = -0.5 / max(u_sigma * u_sigma, 1e-4);
+
+  vec4 sum = texture(u_input, uv);
+  float wsum = 1.0;
+  for (int i = 1; i <= MAX_RADIUS; i++) {
+    if (i > radius) break;
+    float w = exp(float(i * i) * k);
+    vec2 o = stepUV * float(i);
+    sum += w * (texture(u_input, uv + o) + texture(u_input, uv - o));
+    wsum += 2.0 * w;
+  }
+  outColor = mix(sum / wsum, texture(u_previous, uv), u_history);
+}
@@ -0,0 +1,32 @@
+#version 300 es
+precision highp float;
+
+// Structure tensor of the source luminance, (Ix², IxIy, Iy²), at the
+// resolution of the flow field.
+uniform sampler2D u_image;
+uniform vec2 u_outSize;
+
+out vec4 outColor;
+
+float luminance(vec2 uv) {
+  return dot(texture(u_image, uv).rgb, vec3(0.2126, 0.7152, 0.0722));
+}
+
+void main() {
+  vec2 uv = gl_FragCoord.xy / u_outSize;
+  vec2 px = 1.0 / u_outSize;
+
+  float tl = luminance(uv + vec2(-px.x,  px.y));
+  float tm = luminance(uv + vec2(0.0,    px.y));
+  float tr = luminance(uv + vec2( px.x,  px.y));
+  float ml = luminance(uv + vec2(-px.x,  0.0));
+  float mr = luminance(uv + vec2( px.x,  0.0));
+  float bl = luminance(uv + vec2(-px.x, -px.y));
+  float bm = luminance(uv + vec2(0.0,   -px.y));
+  float br = luminance(uv + vec2( px.x, -px.y));
+
+  float gx = (-tl + tr - 2.0*ml + 2.0*mr - bl + br) * 0.25;
+  float gy = (-bl - 2.0*bm - br + tl + 2.0*tm + tr) * 0.25;
+
+  outColor = vec4(gx * gx, gx * gy, gy * gy, 1.0);
+}
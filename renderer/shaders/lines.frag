@@ -0,0 +1,144 @@
+#version 300 es
+precision highp float;
+
+// Outline extraction, one pass at a time (see lines.js). Everything runs at
+// source resolution; the final pass leaves ink coverage in R.
+uniform sampler2D u_input;
+uniform vec2 u_outSize;
+uniform int u_pass; // 0 luminance, 1 blur, 2 extract, 3 hysteresis, 4 dilate
+
+uniform vec2 u_dir; // blur direction
+uniform vec2 u_sigma; // blur radius for R and G, in pixels
+uniform int u_lineMode; // 0 Sobel, 1 XDoG, 2 Canny
+uniform float u_edgeStrength;
+uniform float u_lineThreshold;
+uniform int u_diagonal; // dilate: 8-neighbourhood instead of 4
+
+out vec4 outColor;
+
+const int MAX_RADIUS = 64;
+
+// Whole texels, clamped to the edge: filtering at float offsets can blend
+// in a sliver of the next texel and break Canny's ties between neighbours.
+vec4 at(ivec2 p) {
+  return texelFetch(u_input, clamp(p, ivec2(0), ivec2(u_outSize) - 1), 0);
+}
+
+float luminance(vec3 rgb) {
+  return dot(rgb, vec3(0.2126, 0.7152, 0.0722));
+}
+
+// Sobel gradient of channel R
+vec2 gradient(ivec2 p) {
+  float tl = at(p + ivec2(-1,  1)).r;
+  float tm = at(p + ivec2( 0,  1)).r;
+  float tr = at(p + ivec2( 1,  1)).r;
+  float ml = at(p + ivec2(-1,  0)).r;
+  float mr = at(p + ivec2( 1,  0)).r;
+  float bl = at(p + ivec2(-1, -1)).r;
+  float bm = at(p + ivec2( 0, -1)).r;
+  float br = at(p + ivec2( 1, -1)).r;
+
+  float gx = -tl + tr - 2.0*ml + 2.0*mr - bl + br;
+  float gy = tl + 2.0*tm + tr - bl - 2.0*bm - br;
+  return vec2(gx, gy);
+}
+
+// Gradient magnitude on the scale the original Sobel outlines used.
+float response(ivec2 p) {
+  return length(gradient(p)) * 3.5 * u_edgeStrength;
+}
+
+float gauss(float x, float sigma) {
+  return exp(-0.5 * x * x / (sigma * sigma));
+}
+
+vec4 blur(ivec2 p) {
+  vec2 sigma = max(u_sigma, vec2(1e-3));
+  int radius = int(min(ceil(2.5 * max(sigma.x, sigma.y)), float(MAX_RADIUS)));
+  vec4 c = at(p);
+  vec2 sum = c.rg;
+  vec2 wsum = vec2(1.0);
+  for (int i = 1; i <= MAX_RADIUS; i++) {
+    if (i > radius) break;
+    vec2 w = vec2(gauss(float(i), sigma.x), gauss(float(i), sigma.y));
+    ivec2 o = ivec2(u_dir) * i;
+    sum += w * (at(p + o).rg + at(p - o).rg);
+    wsum += 2.0 * w;
+  }
+  return vec4(sum / wsum, c.ba);
+}
+
+vec4 extract(ivec2 p) {
+  if (u_lineMode == 1) {
+    // XDoG: ink on the dark side of edges, where the narrow blur (R) falls
+    // below the wide one (G).
+    vec2 g = at(p).rg;
+    float ink = max(g.g - g.r, 0.0) * 120.0 * u_edgeStrength;
+    return vec4(step(u_lineThreshold, ink), 0.0, 0.0, 1.0);
+  }
+  if (u_lineMode == 2) {
+    // Canny: keep gradient maxima across the edge; R = strong, G = weak.
+    vec2 g = gradient(p);
+    float m = length(g) * 3.5 * u_edgeStrength;
+    ivec2 d = abs(g.x) > 2.414 * abs(g.y) ? ivec2(1, 0)
+            : abs(g.y) > 2.414 * abs(g.x) ? ivec2(0, 1)
+            : g.x * g.y > 0.0 ? ivec2(1, 1) : ivec2(1, -1);
+    float neighbours = max(response(p + d), response(p - d));
+    float peak = m >= neighbours ? 1.0 : 0.0;
+    return vec4(
+      peak * step(u_lineThreshold, m),
+      peak * step(0.5 * u_lineThreshold, m),
+      0.0,
+      1.0
+    );
+  }
+  // Sobel, as before the line extractors existed
+  float edge = min(length(gradient(p)) * 3.5, 1.0) * u_edgeStrength;
+  return vec4(step(u_lineThreshold, edge), 0.0, 0.0, 1.0);
+}
+
+// Grow strong edges into touching weak ones by one pixel per pass.
+vec4 hysteresis(ivec2 p) {
+  vec4 c = at(p);
+  if (c.r > 0.5 || c.g < 0.5) return c;
+  for (int y = -1; y <= 1; y++) {
+    for (int x = -1; x <= 1; x++) {
+      if (at(p + ivec2(x, y)).r > 0.5) return vec4(1.0, c.gba);
+    }
+  }
+  return c;
+}
+
+// One step of dilation; alternating 4- and 8-neighbourhoods grows an
+// octagon, close enough to a round pen.
+vec4 dilate(ivec2 p) {
+  float ink = at(p).r;
+  ink = max(ink, at(p + ivec2( 1,  0)).r);
+  ink = max(ink, at(p + ivec2(-1,  0)).r);
+  ink = max(ink, at(p + ivec2( 0,  1)).r);
+  ink = max(ink, at(p + ivec2( 0, -1)).r);
+  if (u_diagonal == 1) {
+    ink = max(ink, at(p + ivec2( 1,  1)).r);
+    ink = max(ink, at(p + ivec2(-1,  1)).r);
+    ink = max(ink, at(p + ivec2( 1, -1)).r);
+    ink = max(ink, at(p + ivec2(-1, -1)).r);
+  }
+  return vec4(ink, 0.0, 0.0, 1.0);
+}
+
+void main() {
+  ivec2 p = ivec2(gl_FragCoord.xy);
+  if (u_pass == 0) {
+    float lum = luminance(at(p).rgb);
+    outColor = vec4(lum, lum, 0.0, 1.0);
+  } else if (u_pass == 1) {
+    outColor = blur(p);
+  } else if (u_pass == 2) {
+    outColor = extract(p);
+  } else if (u_pass == 3) {
+    outColor = hysteresis(p);
+  } else {
+    outColor = dilate(p);
+  }
+}
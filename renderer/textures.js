@@ -0,0 +1,179 @@
+import { loadImage, loadImageFromPath } from "./pipeline.js";
+
+// Hatch textures are described by small JSON objects so they can be stored
+// in presets and projects:
+//
+//   { type: "builtin", name: "T_hatch" }
+//   { type: "file", path: "/abs/path/to/tile.png" }
+//   { type: "procedural", options: { angles, spacing, thickness, ... } }
+//   { type: "tam", levels: [ <builtin|file|procedural>, ... ] }
+//
+// A tonal art map ("tam") lists layers from lightest to densest; the shader
+// picks and blends between them by tone.
+
+export const DEFAULT_HATCH_TEXTURE = { type: "builtin", name: "T_hatch" };
+
+const BUILTIN_TEXTURES = {
+  T_hatch: "../T_hatch.jpg",
+};
+
+export const DEFAULT_PROCEDURAL_OPTIONS = {
+  size: 512, // tile size in texels
+  angles: [45], // degrees; several angles cross-hatch
+  spacing: 16, // texels between lines
+  thickness: 2, // line width at the darkest tone, texels
+  jitter: 0.2, // 0..1, waviness of the lines
+  stipple: 0, // 0..1, density of random dots
+  seed: 1,
+};
+
+// Angles added per tonal art map level: single, cross, then diagonals.
+const TAM_ANGLE_OFFSETS = [0, 90, 45, -45, 22.5, -67.5];
+
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function makeImageData(data, size) {
+  return typeof ImageData !== "undefined"
+    ? new ImageData(data, size, size)
+    : { data, width: size, height: size };
+}
+
+// Generate a seamlessly tiling hatch tile. Each texel stores the tone at
+// which it turns to ink, like T_hatch.jpg: 0 on a line's centre rising to 1
+// on bare paper, so lines thicken as the shaded tone darkens.
+export function generateHatchTile(options = {}) {
+  const o = { ...DEFAULT_PROCEDURAL_OPTIONS, ...options };
+  const S = Math.max(16, Math.round(o.size));
+  const rand = mulberry32(o.seed);
+  const value = new Float32Array(S * S).fill(1);
+  const thickness = Math.max(0.1, o.thickness);
+
+  // Tileable low-frequency wobble: integer cycles per tile in x and y.
+  const waves = Array.from({ length: 3 }, () => ({
+    fx: 1 + Math.floor(rand() * 3),
+    fy: Math.floor(rand() * 3),
+    phase: rand() * Math.PI * 2,
+  }));
+  const wobble = (x, y, offset) => {
+    let w = 0;
+    for (const { fx, fy, phase } of waves) {
+      w += Math.sin((2 * Math.PI * (fx * x + fy * y)) / S + phase + offset);
+    }
+    return w / waves.length;
+  };
+
+  for (const angle of o.angles) {
+    const a = (angle * Math.PI) / 180;
+    // Round the line normal to a whole number of lines per tile along each
+    // axis so the pattern wraps without a seam.
+    let kx = Math.round((S * -Math.sin(a)) / o.spacing);
+    let ky = Math.round((S * Math.cos(a)) / o.spacing);
+    if (kx === 0 && ky === 0) kx = 1;
+    const period = S / Math.hypot(kx, ky);
+    const jitter = o.jitter * 0.25;
+
+    for (let y = 0; y < S; y++) {
+      for (let x = 0; x < S; x++) {
+        const phase = (kx * x + ky * y) / S + jitter * wobble(x, y, a);
+        const d = Math.abs(phase - Math.round(phase)) * period;
+        const i = y * S + x;
+        value[i] = Math.min(value[i], (0.5 * d) / thickness);
+      }
+    }
+  }
+
+  if (o.stipple > 0) {
+    const count = Math.round((o.stipple * S * S) / (o.spacing * o.spacing));
+    for (let n = 0; n < count; n++) {
+      const cx = rand() * S, cy = rand() * S;
+      const r = thickness * (0.5 + rand() * 0.5);
+      const r0 = Math.ceil(r * 2);
+      for (let dy = -r0; dy <= r0; dy++) {
+        for (let dx = -r0; dx <= r0; dx++) {
+          const x = (((Math.floor(cx) + dx) % S) + S) % S;
+          const y = (((Math.floor(cy) + dy) % S) + S) % S;
+          const d = Math.hypot(Math.floor(cx) + dx + 0.5 - cx, Math.floor(cy) + dy + 0.5 - cy);
+          const i = y * S + x;
+          value[i] = Math.min(value[i], (0.5 * d) / r);
+        }
+      }
+    }
+  }
+
+  const data = new Uint8ClampedArray(S * S * 4);
+  for (let i = 0; i < S * S; i++) {
+    const v = Math.round(Math.min(1, value[i]) * 255);
+    data[i * 4] = data[i * 4 + 1] = data[i * 4 + 2] = v;
+    data[i * 4 + 3] = 255;
+  }
+  return makeImageData(data, S);
+}
+
+// Procedural tonal art map: level k adds one more stroke direction, so
+// every level contains the strokes of the lighter ones.
+export function proceduralTam(levels, options = {}) {
+  const o = { ...DEFAULT_PROCEDURAL_OPTIONS, ...options };
+  const base = o.angles[0] ?? 45;
+  const n = Math.max(2, Math.min(TAM_ANGLE_OFFSETS.length, levels));
+  return {
+    type: "tam",
+    levels: Array.from({ length: n }, (_, k) => ({
+      type: "procedural",
+      options: {
+        ...o,
+        angles: TAM_ANGLE_OFFSETS.slice(0, k + 1).map((d) => base + d),
+      },
+    })),
+  };
+}
+
+async function loadLayer(desc) {
+  switch (desc?.type) {
+    case "builtin": {
+      const url = BUILTIN_TEXTURES[desc.name];
+      if (!url) throw new Error(`Unknown built-in hatch texture "${desc.name}"`);
+      return await loadImage(url);
+    }
+    case "file":
+      return await loadImageFromPath(desc.path);
+    case "procedural":
+      return generateHatchTile(desc.options);
+    default:
+      throw new Error(`Unsupported hatch texture type "${desc?.type}"`);
+  }
+}
+
+// Resolve a descriptor to the list of images for pipeline.setHatchLayers.
+export async function loadHatchLayers(desc = DEFAULT_HATCH_TEXTURE) {
+  if (desc.type === "tam") {
+    if (!Array.isArray(desc.levels) || desc.levels.length === 0) {
+      throw new Error("Tonal art map has no levels");
+    }
+    return await Promise.all(desc.levels.map(loadLayer));
+  }
+  return [await loadLayer(desc)];
+}
+
+export function describeHatchTexture(desc) {
+  switch (desc?.type) {
+    case "builtin":
+      return desc.name;
+    case "file":
+      return desc.path.split(/[\\/]/).pop();
+    case "procedural":
+      return "Procedural";
+    case "tam":
+      return `Tonal art map (${desc.levels.length} levels)`;
+    default:
+      return "Unknown";
+  }
+}
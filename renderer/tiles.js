@@ -0,0 +1,118 @@
+import { createTextureFromImage, createFBO, assertContext } from "./gl.js";
+import { sourceSizeLimit } from "./pipeline.js";
+import { lineMargin } from "./lines.js";
+
+// Full-resolution rendering of images too large for one texture or
+// framebuffer. The image is cut into tiles; each is uploaded with a margin
+// of neighbouring source so outlines match across the seams, and rendered
+// as its part of one virtual output so hatching and halftone coordinates
+// run on continuously. Flow hatching reads the field of the preview.
+
+const TILE_SIZE = 1024;
+
+// Lets the progress bar repaint and Cancel clicks through between tiles.
+// Not requestAnimationFrame: it never fires in the hidden batch window.
+const yieldToEvents = () => new Promise((resolve) => setTimeout(resolve));
+
+export function tiledOutputSize(source, zoom) {
+  return {
+    w: Math.max(1, Math.round(source.imageW * zoom)),
+    h: Math.max(1, Math.round(source.imageH * zoom)),
+  };
+}
+
+// Render `img` scaled by `zoom` with the current pipeline parameters
+// (`params` must match them). Finished strips of top-down RGBA rows, the
+// full output width wide, go to `await onRows(rows, height)` from the top
+// down. Returns false when isCancelled() stopped it early.
+export async function renderTiled(
+  gl,
+  pipeline,
+  img,
+  preview,
+  params,
+  { zoom = 1, onRows, onProgress = () => {}, isCancelled = () => false } = {}
+) {
+  const W = preview.imageW;
+  const H = preview.imageH;
+  const out = tiledOutputSize(preview, zoom);
+  // One more pixel for rounding the tile's source region outwards. Mask
+  // layers may draw wider lines than the base.
+  const margin = Math.max(...[params, ...pipeline.maskParams()].map(lineMargin)) + 1;
+  const limit = sourceSizeLimit(gl);
+  const core = Math.max(64, Math.min(TILE_SIZE, limit, Math.floor((limit - 2 * margin) * zoom)));
+  const cols = Math.ceil(out.w / core);
+  const rows = Math.ceil(out.h / core);
+  // Centred so output pixel (0, 0) starts at image pixel (0, 0).
+  const view = {
+    center: { x: out.w / (2 * zoom), y: out.h / (2 * zoom) },
+    zoom,
+    outSize: out,
+  };
+
+  const canvas = document.createElement("canvas");
+  const ctx = canvas.getContext("2d");
+
+  for (let row = 0; row < rows; row++) {
+    const top = row * core;
+    const th = Math.min(core, out.h - top);
+    const strip = new Uint8Array(out.w * th * 4);
+
+    for (let col = 0; col < cols; col++) {
+      if (isCancelled()) return false;
+
+      const left = col * core;
+      const tw = Math.min(core, out.w - left);
+      // Source region with margin, in top-down image pixels.
+      const x0 = Math.max(0, Math.floor(left / zoom) - margin);
+      const y0 = Math.max(0, Math.floor(top / zoom) - margin);
+      const x1 = Math.min(W, Math.ceil((left + tw) / zoom) + margin);
+      const y1 = Math.min(H, Math.ceil((top + th) / zoom) + margin);
+
+      canvas.width = x1 - x0;
+      canvas.height = y1 - y0;
+      ctx.drawImage(img, x0, y0, x1 - x0, y1 - y0, 0, 0, x1 - x0, y1 - y0);
+
+      const source = {
+        tex: createTextureFromImage(gl, canvas),
+        w: x1 - x0,
+        h: y1 - y0,
+        imageW: W,
+        imageH: H,
+        rect: { x: x0, y: H - y1, w: x1 - x0, h: y1 - y0 },
+        preview,
+      };
+      const fbo = createFBO(gl, tw, th);
+      const pixels = new Uint8Array(tw * th * 4);
+      try {
+        pipeline.render(fbo.fbo, tw, th, source, {
+          ...view,
+          outOffset: { x: left, y: out.h - top - th },
+        });
+        gl.bindFramebuffer(gl.FRAMEBUFFER, fbo.fbo);
+        gl.readPixels(0, 0, tw, th, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        assertContext(gl);
+      } finally {
+        gl.deleteFramebuffer(fbo.fbo);
+        gl.deleteTexture(fbo.tex);
+        gl.deleteTexture(source.tex);
+      }
+
+      // readPixels rows are bottom-up.
+      const rowBytes = tw * 4;
+      for (let y = 0; y < th; y++) {
+        strip.set(
+          pixels.subarray(y * rowBytes, (y + 1) * rowBytes),
+          ((th - 1 - y) * out.w + left) * 4
+        );
+      }
+
+      onProgress((row * cols + col + 1) / (rows * cols));
+      await yieldToEvents();
+    }
+
+    await onRows(strip, th);
+  }
+  return true;
+}
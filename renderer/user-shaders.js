@@ -0,0 +1,204 @@
+import { createProgram, createTextureFromImage } from "./gl.js";
+
+// Fragment shaders from the user shaders folder, drawn in place of
+// crosshatch.frag. They get the same view uniforms as the passthrough
+// shader in renderer.js:
+//
+//   uniform sampler2D u_image;  // the source image, bottom-up
+//   uniform vec2 u_texSize;     // image size in pixels
+//   uniform vec2 u_outSize;     // size of what is being rendered
+//   uniform vec2 u_centerPx;    // image pixel at the centre of the output
+//   uniform float u_zoom;       // output pixels per image pixel
+//
+// so imagePx = (gl_FragCoord.xy - 0.5 * u_outSize) / u_zoom + u_centerPx
+// and uv = imagePx / u_texSize. Any other float, vec2-4, int, bool and
+// sampler2D uniforms get controls, described by a comment after their
+// declaration:
+//
+//   uniform float u_amount;    // @label Amount @range 0 2 0.01 @default 1
+//   uniform vec3 u_tint;       // @label Tint @color @default 1 0.9 0.8
+//   uniform bool u_invert;     // @default true
+//   uniform sampler2D u_paper; // @label Paper @default paper.png
+//
+// A texture's default is a path relative to the shader file.
+
+export const VIEW_UNIFORMS = ["u_image", "u_texSize", "u_outSize", "u_centerPx", "u_zoom"];
+
+// Texture units 1 and up hold the shader's own textures.
+const FIRST_TEXTURE_UNIT = 1;
+
+const numbers = (s) => s.split(/\s+/).filter(Boolean).map(Number);
+
+// { uniformName: { label, range, default, color } } from the comments
+// after uniform declarations.
+export function parseAnnotations(source) {
+  const annotations = {};
+  const decl = /^\s*uniform\s+\w+\s+(?:\w+\s+)?(\w+)\s*;\s*\/\/(.*)$/;
+  for (const line of source.split("\n")) {
+    const m = decl.exec(line);
+    if (!m) continue;
+    const tags = {};
+    for (const [, key, value] of m[2].matchAll(/@(\w+)([^@]*)/g)) {
+      tags[key] = value.trim();
+    }
+    annotations[m[1]] = {
+      label: tags.label || null,
+      range: tags.range ? numbers(tags.range) : null,
+      default: tags.default ?? null,
+      color: "color" in tags,
+    };
+  }
+  return annotations;
+}
+
+// Errors in a shader info log as [{ line, message, code }], `code` being
+// the source line they point at. Lines the log does not number come back
+// with line null.
+export function describeCompileErrors(log, source) {
+  const lines = source.split("\n");
+  return String(log)
+    .split("\n")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((s) => {
+      const m = /^(?:ERROR|WARNING):\s*\d+:(\d+):\s*(.*)$/.exec(s);
+      if (!m) return { line: null, message: s, code: null };
+      const line = Number(m[1]);
+      return { line, message: m[2], code: lines[line - 1]?.trim() ?? null };
+    });
+}
+
+const COMPONENTS = (gl) => ({
+  [gl.FLOAT]: 1,
+  [gl.FLOAT_VEC2]: 2,
+  [gl.FLOAT_VEC3]: 3,
+  [gl.FLOAT_VEC4]: 4,
+});
+
+// The shader's own uniforms, as controls: { name, kind: "float" | "int" |
+// "bool" | "texture", components, label, min, max, step, color, default }.
+function describeUniforms(gl, prog, annotations) {
+  const components = COMPONENTS(gl);
+  const count = gl.getProgramParameter(prog, gl.ACTIVE_UNIFORMS);
+  const uniforms = [];
+  for (let i = 0; i < count; i++) {
+    const info = gl.getActiveUniform(prog, i);
+    if (VIEW_UNIFORMS.includes(info.name)) continue;
+    if (info.size > 1) {
+      console.warn(`Uniform array ${info.name} gets no control`);
+      continue;
+    }
+
+    const a = annotations[info.name] || {};
+    const label = a.label || info.name.replace(/^u_/, "");
+    let kind;
+    if (info.type in components) kind = "float";
+    else if (info.type === gl.INT) kind = "int";
+    else if (info.type === gl.BOOL) kind = "bool";
+    else if (info.type === gl.SAMPLER_2D) kind = "texture";
+    else {
+      console.warn(`Uniform ${info.name} has a type that gets no control`);
+      continue;
+    }
+
+    const u = { name: info.name, kind, label, location: gl.getUniformLocation(prog, info.name) };
+    if (kind === "bool") {
+      u.default = a.default === "true" || a.default === "1";
+    } else if (kind === "texture") {
+      u.default = a.default || null;
+    } else {
+      const n = components[info.type] || 1;
+      const [min = 0, max = 1, step] = a.range || [];
+      const given = a.default ? numbers(a.default) : [];
+      u.components = n;
+      u.color = a.color && n >= 3;
+      u.min = u.color ? 0 : min;
+      u.max = u.color ? 1 : max;
+      u.step = step || (kind === "int" ? 1 : (u.max - u.min) / 100);
+      u.default = Array.from({ length: n }, (_, c) =>
+        Math.min(u.max, Math.max(u.min, given[c] ?? given[0] ?? u.min))
+      );
+    }
+    uniforms.push(u);
+  }
+  return uniforms;
+}
+
+// Compile `source` with its controls at their defaults. Throws the
+// compiler's log when it does not compile. `values` holds numbers arrays
+// for float and int uniforms and booleans for bool ones; textures are set
+// with setTexture.
+export function createUserShader(gl, vsSrc, source) {
+  const prog = createProgram(gl, vsSrc, source);
+  const uniforms = describeUniforms(gl, prog, parseAnnotations(source));
+  const values = Object.fromEntries(
+    uniforms.filter((u) => u.kind !== "texture").map((u) => [u.name, u.default])
+  );
+  const textures = {}; // name -> { path, tex }
+  const U = (name) => gl.getUniformLocation(prog, name);
+  const u = {
+    image: U("u_image"),
+    texSize: U("u_texSize"),
+    outSize: U("u_outSize"),
+    centerPx: U("u_centerPx"),
+    zoom: U("u_zoom"),
+  };
+
+  function setTexture(name, path, img) {
+    if (textures[name]) gl.deleteTexture(textures[name].tex);
+    if (!img) {
+      delete textures[name];
+      return;
+    }
+    const tex = createTextureFromImage(gl, img);
+    gl.bindTexture(gl.TEXTURE_2D, tex);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.REPEAT);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    textures[name] = { path, tex };
+  }
+
+  // Draw the full-screen quad with the program in use: `imageTex` covers
+  // the whole image; the view is as for the passthrough shader.
+  function draw(quad, imageTex, imageW, imageH, outW, outH, center, zoom) {
+    gl.useProgram(prog);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, imageTex);
+    gl.uniform1i(u.image, 0);
+    gl.uniform2f(u.texSize, imageW, imageH);
+    gl.uniform2f(u.outSize, outW, outH);
+    gl.uniform2f(u.centerPx, center.x, center.y);
+    gl.uniform1f(u.zoom, zoom);
+
+    let unit = FIRST_TEXTURE_UNIT;
+    for (const uniform of uniforms) {
+      const v = values[uniform.name];
+      if (uniform.kind === "float") gl[`uniform${uniform.components}fv`](uniform.location, v);
+      else if (uniform.kind === "int") gl.uniform1i(uniform.location, Math.round(v[0]));
+      else if (uniform.kind === "bool") gl.uniform1i(uniform.location, v ? 1 : 0);
+      else {
+        gl.activeTexture(gl.TEXTURE0 + unit);
+        gl.bindTexture(gl.TEXTURE_2D, textures[uniform.name]?.tex ?? null);
+        gl.uniform1i(uniform.location, unit++);
+      }
+    }
+
+    gl.bindVertexArray(quad.vao);
+    gl.drawArrays(gl.TRIANGLES, 0, quad.vertexCount);
+
+    while (unit-- > FIRST_TEXTURE_UNIT) {
+      gl.activeTexture(gl.TEXTURE0 + unit);
+      gl.bindTexture(gl.TEXTURE_2D, null);
+    }
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+    gl.bindVertexArray(null);
+  }
+
+  function dispose() {
+    for (const name of Object.keys(textures)) setTexture(name, null, null);
+    gl.deleteProgram(prog);
+  }
+
+  return { uniforms, values, textures, setTexture, draw, dispose };
+}
@@ -0,0 +1,357 @@
+// Vector tracing for the SVG export: turns the edge and tone-zone masks
+// rendered by crosshatch.frag (analysis output mode) into polylines.
+// Everything here is plain array work so it can run without a GL context.
+//
+// Paths are arrays of points in mask pixels, [x0, y0, x1, y1, ...], with
+// y pointing down as in the exported SVG.
+
+export const DEFAULT_SVG_OPTIONS = {
+  spacing: 6, // hatch line spacing, source pixels
+  midAngle: 45, // degrees, counter-clockwise from the x axis
+  shadowAngle: -45,
+  crossHatchShadows: true,
+  minLength: 4, // drop strokes shorter than this, source pixels
+  optimizeOrder: true,
+  strokeWidth: 1, // source pixels
+  traceSize: 2048, // longest side of the traced masks
+};
+
+// Zone values written to the G channel in analysis mode.
+export const ZONE_SHADOW = 0;
+export const ZONE_MID = 1;
+export const ZONE_HIGHLIGHT = 2;
+
+// Split RGBA analysis pixels into a binary outline mask and a zone map.
+export function decodeAnalysisPixels(pixels, w, h) {
+  const edges = new Uint8Array(w * h);
+  const zones = new Uint8Array(w * h);
+  for (let i = 0; i < w * h; i++) {
+    edges[i] = pixels[i * 4] > 127 ? 1 : 0;
+    zones[i] = Math.min(ZONE_HIGHLIGHT, Math.round(pixels[i * 4 + 1] / 127.5));
+  }
+  return { edges, zones };
+}
+
+// Zhang-Suen thinning, in place. Reduces outline blobs to 1px centrelines
+// so a pen draws each line once instead of tracing both sides of it.
+export function thin(mask, w, h) {
+  const remove = [];
+  let changed = true;
+
+  const at = (x, y) =>
+    x < 0 || y < 0 || x >= w || y >= h ? 0 : mask[y * w + x];
+
+  while (changed) {
+    changed = false;
+    for (let pass = 0; pass < 2; pass++) {
+      remove.length = 0;
+      for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+          if (!mask[y * w + x]) continue;
+
+          const p2 = at(x, y - 1), p3 = at(x + 1, y - 1), p4 = at(x + 1, y);
+          const p5 = at(x + 1, y + 1), p6 = at(x, y + 1), p7 = at(x - 1, y + 1);
+          const p8 = at(x - 1, y), p9 = at(x - 1, y - 1);
+
+          const b = p2 + p3 + p4 + p5 + p6 + p7 + p8 + p9;
+          if (b < 2 || b > 6) continue;
+
+          const seq = [p2, p3, p4, p5, p6, p7, p8, p9, p2];
+          let a = 0;
+          for (let k = 0; k < 8; k++) if (!seq[k] && seq[k + 1]) a++;
+          if (a !== 1) continue;
+
+          if (pass === 0) {
+            if (p2 * p4 * p6 || p4 * p6 * p8) continue;
+          } else if (p2 * p4 * p8 || p2 * p6 * p8) {
+            continue;
+          }
+          remove.push(y * w + x);
+        }
+      }
+      for (const i of remove) mask[i] = 0;
+      if (remove.length) changed = true;
+    }
+  }
+  return mask;
+}
+
+const NEIGHBOURS = [
+  [1, 0], [0, 1], [-1, 0], [0, -1], // 4-connected first for smoother chains
+  [1, 1], [-1, 1], [-1, -1], [1, -1],
+];
+
+// Follow a 1px skeleton into polylines. Chains start at end points, then
+// whatever is left (closed loops) is picked up from any pixel.
+export function traceSkeleton(mask, w, h) {
+  const visited = new Uint8Array(w * h);
+  const paths = [];
+
+  const isSet = (x, y) =>
+    x >= 0 && y >= 0 && x < w && y < h && mask[y * w + x] === 1;
+
+  const degree = (x, y) => {
+    let n = 0;
+    for (const [dx, dy] of NEIGHBOURS) if (isSet(x + dx, y + dy)) n++;
+    return n;
+  };
+
+  function walk(sx, sy) {
+    const pts = [sx, sy];
+    visited[sy * w + sx] = 1;
+    let x = sx, y = sy;
+    let px = -1, py = -1;
+
+    for (;;) {
+      let next = null;
+      let join = null;
+      for (const [dx, dy] of NEIGHBOURS) {
+        const nx = x + dx, ny = y + dy;
+        if (!isSet(nx, ny)) continue;
+        if (!visited[ny * w + nx]) {
+          next = [nx, ny];
+          break;
+        }
+        if (!join && (nx !== px || ny !== py) && pts.length > 2) join = [nx, ny];
+      }
+      if (!next) {
+        // Connect to the junction or loop start we ran into.
+        if (join) pts.push(join[0], join[1]);
+        break;
+      }
+      px = x; py = y;
+      [x, y] = next;
+      visited[y * w + x] = 1;
+      pts.push(x, y);
+    }
+    return pts;
+  }
+
+  for (let pass = 0; pass < 2; pass++) {
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        const i = y * w + x;
+        if (!mask[i] || visited[i]) continue;
+        if (pass === 0 && degree(x, y) !== 1) continue;
+        paths.push(walk(x, y));
+      }
+    }
+  }
+  return paths.filter((p) => p.length >= 4);
+}
+
+function perpendicularDistance(px, py, ax, ay, bx, by) {
+  const dx = bx - ax, dy = by - ay;
+  const len2 = dx * dx + dy * dy;
+  if (len2 === 0) return Math.hypot(px - ax, py - ay);
+  const t = Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / len2));
+  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+}
+
+// Ramer-Douglas-Peucker, iterative to cope with long chains.
+export function simplify(pts, epsilon) {
+  const n = pts.length / 2;
+  if (n <= 2) return pts.slice();
+
+  const keep = new Uint8Array(n);
+  keep[0] = keep[n - 1] = 1;
+  const stack = [[0, n - 1]];
+
+  while (stack.length) {
+    const [a, b] = stack.pop();
+    let maxD = 0, idx = -1;
+    for (let i = a + 1; i < b; i++) {
+      const d = perpendicularDistance(
+        pts[i * 2], pts[i * 2 + 1],
+        pts[a * 2], pts[a * 2 + 1],
+        pts[b * 2], pts[b * 2 + 1]
+      );
+      if (d > maxD) { maxD = d; idx = i; }
+    }
+    if (maxD > epsilon) {
+      keep[idx] = 1;
+      stack.push([a, idx], [idx, b]);
+    }
+  }
+
+  const out = [];
+  for (let i = 0; i < n; i++) if (keep[i]) out.push(pts[i * 2], pts[i * 2 + 1]);
+  return out;
+}
+
+export function pathLength(pts) {
+  let len = 0;
+  for (let i = 2; i < pts.length; i += 2) {
+    len += Math.hypot(pts[i] - pts[i - 2], pts[i + 1] - pts[i - 1]);
+  }
+  return len;
+}
+
+// Parallel lines at `angleDeg`, `spacing` pixels apart, clipped to pixels
+// where inside(x, y) is true. Lines are anchored to the image origin so the
+// pattern does not shift with the image size.
+export function hatchRegion(inside, w, h, angleDeg, spacing) {
+  const a = (angleDeg * Math.PI) / 180;
+  const dx = Math.cos(a), dy = -Math.sin(a); // y down
+  const nx = -dy, ny = dx;
+
+  const corners = [[0, 0], [w, 0], [0, h], [w, h]];
+  const projN = corners.map(([x, y]) => x * nx + y * ny);
+  const projD = corners.map(([x, y]) => x * dx + y * dy);
+  const nMin = Math.min(...projN), nMax = Math.max(...projN);
+  const tMin = Math.floor(Math.min(...projD)), tMax = Math.ceil(Math.max(...projD));
+
+  const segments = [];
+  for (let o = Math.ceil(nMin / spacing) * spacing; o <= nMax; o += spacing) {
+    let start = null;
+    let last = null;
+    for (let t = tMin; t <= tMax + 1; t++) {
+      const x = o * nx + t * dx;
+      const y = o * ny + t * dy;
+      const ix = Math.floor(x), iy = Math.floor(y);
+      const on =
+        t <= tMax && ix >= 0 && iy >= 0 && ix < w && iy < h && inside(ix, iy);
+      if (on) {
+        if (!start) start = [x, y];
+        last = [x, y];
+      } else if (start) {
+        segments.push([start[0], start[1], last[0], last[1]]);
+        start = null;
+      }
+    }
+  }
+  return segments;
+}
+
+// Greedy nearest-neighbour ordering with path reversal, to cut pen-up
+// travel. Path end points are bucketed on a grid so the search stays local.
+export function optimizePathOrder(paths) {
+  if (paths.length < 2) return paths.slice();
+
+  const cell = 32;
+  const grid = new Map();
+  const key = (cx, cy) => cx * 65536 + cy;
+  const add = (x, y, idx) => {
+    const k = key(Math.floor(x / cell), Math.floor(y / cell));
+    let bucket = grid.get(k);
+    if (!bucket) grid.set(k, (bucket = []));
+    bucket.push(idx);
+  };
+
+  paths.forEach((p, i) => {
+    add(p[0], p[1], i);
+    add(p[p.length - 2], p[p.length - 1], i);
+  });
+
+  const used = new Uint8Array(paths.length);
+  const out = [];
+  let x = 0, y = 0;
+  let remaining = paths.length;
+  let maxRing = 0;
+  for (const k of grid.keys()) {
+    maxRing = Math.max(maxRing, Math.floor(k / 65536), k % 65536);
+  }
+
+  while (remaining > 0) {
+    const cx = Math.floor(x / cell), cy = Math.floor(y / cell);
+    let best = -1, bestD = Infinity, bestReverse = false;
+
+    for (let r = 0; r <= maxRing + Math.max(cx, cy) + 1; r++) {
+      // Anything in ring r is at least (r - 1) cells away.
+      if (best >= 0 && (r - 1) * cell > bestD) break;
+      for (let gy = cy - r; gy <= cy + r; gy++) {
+        for (let gx = cx - r; gx <= cx + r; gx++) {
+          if (Math.max(Math.abs(gx - cx), Math.abs(gy - cy)) !== r) continue;
+          if (gx < 0 || gy < 0) continue;
+          const bucket = grid.get(key(gx, gy));
+          if (!bucket) continue;
+          for (const i of bucket) {
+            if (used[i]) continue;
+            const p = paths[i];
+            const ds = Math.hypot(p[0] - x, p[1] - y);
+            const de = Math.hypot(p[p.length - 2] - x, p[p.length - 1] - y);
+            if (ds < bestD) { bestD = ds; best = i; bestReverse = false; }
+            if (de < bestD) { bestD = de; best = i; bestReverse = true; }
+          }
+        }
+      }
+    }
+
+    used[best] = 1;
+    remaining--;
+    let p = paths[best];
+    if (bestReverse) {
+      const rev = [];
+      for (let i = p.length - 2; i >= 0; i -= 2) rev.push(p[i], p[i + 1]);
+      p = rev;
+    }
+    out.push(p);
+    x = p[p.length - 2];
+    y = p[p.length - 1];
+  }
+  return out;
+}
+
+// Build outline and hatch paths from decoded masks. `scale` is mask pixels
+// per source pixel; returned coordinates are in source pixels.
+export function vectorize(edges, zones, w, h, scale, options = {}) {
+  const o = { ...DEFAULT_SVG_OPTIONS, ...options };
+  const toSource = (pts) => pts.map((v) => v / scale);
+  const minLen = o.minLength * scale;
+  const spacing = Math.max(1, o.spacing * scale);
+
+  const skeleton = thin(edges.slice(), w, h);
+  let outlines = traceSkeleton(skeleton, w, h)
+    .map((p) => simplify(p, 0.75))
+    .filter((p) => pathLength(p) >= minLen);
+
+  const isShadow = (x, y) =>
+    zones[y * w + x] === ZONE_SHADOW && !edges[y * w + x];
+  const isMid = (x, y) => zones[y * w + x] === ZONE_MID && !edges[y * w + x];
+
+  let hatching = [
+    ...hatchRegion(isMid, w, h, o.midAngle, spacing),
+    ...hatchRegion(isShadow, w, h, o.shadowAngle, spacing),
+  ];
+  if (o.crossHatchShadows) {
+    hatching.push(...hatchRegion(isShadow, w, h, o.shadowAngle + 90, spacing));
+  }
+  hatching = hatching.filter((p) => pathLength(p) >= minLen);
+
+  if (o.optimizeOrder) {
+    outlines = optimizePathOrder(outlines);
+    hatching = optimizePathOrder(hatching);
+  }
+
+  return {
+    outlines: outlines.map(toSource),
+    hatching: hatching.map(toSource),
+  };
+}
+
+function pointsAttr(pts) {
+  const parts = [];
+  for (let i = 0; i < pts.length; i += 2) {
+    parts.push(`${+pts[i].toFixed(2)},${+pts[i + 1].toFixed(2)}`);
+  }
+  return parts.join(" ");
+}
+
+export function toSvg({ outlines, hatching }, w, h, options = {}) {
+  const o = { ...DEFAULT_SVG_OPTIONS, ...options };
+  const group = (id, paths) =>
+    `  <g id="${id}">\n` +
+    paths.map((p) => `    <polyline points="${pointsAttr(p)}"/>`).join("\n") +
+    (paths.length ? "\n" : "") +
+    "  </g>\n";
+
+  return (
+    `<?xml version="1.0" encoding="UTF-8"?>\n` +
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" ` +
+    `viewBox="0 0 ${w} ${h}" fill="none" stroke="#000" ` +
+    `stroke-width="${o.strokeWidth}" stroke-linecap="round" stroke-linejoin="round">\n` +
+    group("outlines", outlines) +
+    group("hatching", hatching) +
+    `</svg>\n`
+  );
+}
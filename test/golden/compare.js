@@ -0,0 +1,88 @@
+// Tolerant comparison of a render with its golden image. GPUs, drivers and
+// image decoders differ in the last bit or two and may move a hatch line
+// by a pixel, so two things are checked:
+//
+//   pixels  a pixel differs when any channel is more than `pixel` levels
+//           off; at most a `ratio` of them may
+//   tone    the mean luminance of each BLOCK x BLOCK block, which is what
+//           the eye sees of hatching, may move by at most `tone` levels
+
+const BLOCK = 8;
+
+const DEFAULT_TOLERANCE = { pixel: 16, ratio: 0.002, tone: 6 };
+
+function luminance(data, i) {
+  return 0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2];
+}
+
+// Largest difference in mean luminance between matching blocks.
+function maxToneDelta(a, b, width, height) {
+  let max = 0;
+  for (let by = 0; by < height; by += BLOCK) {
+    for (let bx = 0; bx < width; bx += BLOCK) {
+      let sum = 0;
+      let n = 0;
+      for (let y = by; y < Math.min(height, by + BLOCK); y++) {
+        for (let x = bx; x < Math.min(width, bx + BLOCK); x++) {
+          const i = (y * width + x) * 4;
+          sum += luminance(a, i) - luminance(b, i);
+          n++;
+        }
+      }
+      max = Math.max(max, Math.abs(sum / n));
+    }
+  }
+  return max;
+}
+
+// Compare two { width, height, data } RGBA images. `diff` shows the
+// golden faded to grey with differing pixels in red.
+function compareImages(actual, expected, tolerance = {}) {
+  const tol = { ...DEFAULT_TOLERANCE, ...tolerance };
+  if (actual.width !== expected.width || actual.height !== expected.height) {
+    return {
+      ok: false,
+      message: `size ${actual.width} x ${actual.height}, expected ${expected.width} x ${expected.height}`,
+      diff: null,
+    };
+  }
+
+  const { width, height } = actual;
+  const a = actual.data;
+  const b = expected.data;
+  const diff = new Uint8Array(width * height * 4);
+  let differing = 0;
+  let maxDelta = 0;
+  for (let i = 0; i < a.length; i += 4) {
+    let delta = 0;
+    for (let c = 0; c < 4; c++) delta = Math.max(delta, Math.abs(a[i + c] - b[i + c]));
+    maxDelta = Math.max(maxDelta, delta);
+    if (delta > tol.pixel) {
+      differing++;
+      diff.set([255, 0, 0, 255], i);
+    } else {
+      const grey = 192 + luminance(b, i) / 4;
+      diff.set([grey, grey, grey, 255], i);
+    }
+  }
+
+  const ratio = differing / (width * height);
+  const tone = maxToneDelta(a, b, width, height);
+  const problems = [];
+  if (ratio > tol.ratio) {
+    problems.push(`${(ratio * 100).toFixed(2)}% of pixels differ (allowed ${(tol.ratio * 100).toFixed(2)}%)`);
+  }
+  if (tone > tol.tone) {
+    problems.push(`tone moved by ${tone.toFixed(1)} levels (allowed ${tol.tone})`);
+  }
+  return {
+    ok: problems.length === 0,
+    message: problems.join("; ") || `${differing} pixels differ, largest difference ${maxDelta}`,
+    differing,
+    ratio,
+    tone,
+    diff,
+  };
+}
+
+module.exports = { compareImages, DEFAULT_TOLERANCE };
@@ -0,0 +1,120 @@
+import { createGL, createTextureFromImage } from "../../renderer/gl.js";
+import { DEFAULT_PARAMS } from "../../renderer/params.js";
+import {
+  loadImage,
+  createCrosshatchPipeline,
+  createSource,
+  renderImageToPixels,
+} from "../../renderer/pipeline.js";
+import { analyzeImage, analyzePixels } from "../../renderer/analysis.js";
+import { DEFAULT_HATCH_TEXTURE, loadHatchLayers } from "../../renderer/textures.js";
+import { renderImage } from "../../renderer/cpu-render.js";
+import { imageDataOf } from "../../renderer/cpu-workers.js";
+
+// Window side of the golden-image run (main.js): renders every case with
+// the real pipeline, and again with the CPU renderer, and hands the pixels
+// to the main process, which compares both with the case's golden. Also
+// checks analyzeImage's GPU readback against analyzePixels, whose
+// statistics test/unit covers.
+
+// Longest side of the renders; goldens stay small and quick to compare.
+const RENDER_SIZE = 512;
+
+const ANALYSIS_SIZE = 64;
+
+// Patterns drawn at the analysis size, so the readback is exact.
+const PATTERNS = {
+  flat: (ctx) => {
+    ctx.fillStyle = "#808080";
+    ctx.fillRect(0, 0, ANALYSIS_SIZE, ANALYSIS_SIZE);
+  },
+  halves: (ctx) => {
+    ctx.fillStyle = "#000000";
+    ctx.fillRect(0, 0, ANALYSIS_SIZE / 2, ANALYSIS_SIZE);
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(ANALYSIS_SIZE / 2, 0, ANALYSIS_SIZE / 2, ANALYSIS_SIZE);
+  },
+  checkerboard: (ctx) => {
+    for (let y = 0; y < ANALYSIS_SIZE; y++) {
+      for (let x = 0; x < ANALYSIS_SIZE; x++) {
+        ctx.fillStyle = (x + y) % 2 ? "#ffffff" : "#000000";
+        ctx.fillRect(x, y, 1, 1);
+      }
+    }
+  },
+  gradient: (ctx) => {
+    const g = ctx.createLinearGradient(0, 0, ANALYSIS_SIZE, ANALYSIS_SIZE);
+    g.addColorStop(0, "#202020");
+    g.addColorStop(1, "#e0e0e0");
+    ctx.fillStyle = g;
+    ctx.fillRect(0, 0, ANALYSIS_SIZE, ANALYSIS_SIZE);
+  },
+};
+
+async function checkAnalysis(gl) {
+  const canvas = document.createElement("canvas");
+  canvas.width = ANALYSIS_SIZE;
+  canvas.height = ANALYSIS_SIZE;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+
+  for (const [name, draw] of Object.entries(PATTERNS)) {
+    draw(ctx);
+    const expected = analyzePixels(ctx.getImageData(0, 0, ANALYSIS_SIZE, ANALYSIS_SIZE).data, ANALYSIS_SIZE);
+    const tex = createTextureFromImage(gl, canvas);
+    let actual;
+    try {
+      actual = analyzeImage(gl, tex, ANALYSIS_SIZE, ANALYSIS_SIZE);
+    } finally {
+      gl.deleteTexture(tex);
+    }
+    const off = Object.keys(expected).filter((key) => Math.abs(actual[key] - expected[key]) > 0.01);
+    await window.golden.report({
+      name: `analyzeImage ${name}`,
+      ok: off.length === 0,
+      message: off.map((key) => `${key} ${actual[key].toFixed(4)}, expected ${expected[key].toFixed(4)}`).join("; "),
+    });
+  }
+}
+
+async function main() {
+  const gl = createGL(document.getElementById("gl"));
+  const pipeline = await createCrosshatchPipeline(gl);
+
+  await checkAnalysis(gl);
+
+  const hatch = (await loadHatchLayers(DEFAULT_HATCH_TEXTURE)).map((img) => imageDataOf(img));
+  const images = new Map(); // file -> img
+  for (const { name, image, params } of await window.golden.cases()) {
+    if (!images.has(image)) images.set(image, await loadImage(`../${image}`));
+    const img = images.get(image);
+    const zoom = Math.min(1, RENDER_SIZE / Math.max(img.naturalWidth, img.naturalHeight));
+
+    const source = createSource(gl, img);
+    try {
+      pipeline.setParams({ ...DEFAULT_PARAMS, ...params });
+      const { pixels, w, h } = renderImageToPixels(gl, pipeline, source, zoom);
+      await window.golden.image({ name, width: w, height: h, pixels });
+    } catch (err) {
+      await window.golden.report({ name, ok: false, message: err?.message || String(err) });
+    } finally {
+      gl.deleteTexture(source.tex);
+    }
+
+    // The CPU renderer is held to the GPU's golden.
+    try {
+      const { width, height, data } = renderImage(imageDataOf(img), params, { hatch, zoom });
+      const pixels = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+      await window.golden.image({ name: `${name}.cpu`, golden: name, width, height, pixels });
+    } catch (err) {
+      await window.golden.report({ name: `${name}.cpu`, ok: false, message: err?.message || String(err) });
+    }
+  }
+
+  pipeline.dispose();
+  await window.golden.done();
+}
+
+main().catch((err) => {
+  console.error(err);
+  window.golden.fail(String(err?.message || err));
+});
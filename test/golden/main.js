@@ -0,0 +1,135 @@
+const fs = require("fs");
+const path = require("path");
+const { app, BrowserWindow, ipcMain } = require("electron");
+const { createPngWriter } = require("../../lib/png-writer");
+const { readPng } = require("./png");
+const { compareImages } = require("./compare");
+
+// Golden-image run: renders every case of cases.json in a hidden window
+// (golden.mjs), on the GPU and on the CPU, and compares both with
+// images/<name>.png. Failures leave <name>.actual.png and <name>.diff.png,
+// or <name>.cpu.actual.png and so on, in output/.
+//
+//   electron test/golden/main.js            compare
+//   electron test/golden/main.js --update   write the GPU renders as goldens
+//
+// WebGL goes through SwiftShader, so results do not depend on the GPU and
+// the run needs no graphics hardware; on Linux without a display, run it
+// under xvfb-run.
+
+app.commandLine.appendSwitch("use-gl", "angle");
+app.commandLine.appendSwitch("use-angle", "swiftshader");
+app.commandLine.appendSwitch("enable-unsafe-swiftshader");
+app.commandLine.appendSwitch("ignore-gpu-blocklist");
+
+const GOLDEN_DIR = path.join(__dirname, "images");
+const OUTPUT_DIR = path.join(__dirname, "output");
+const CASES = JSON.parse(fs.readFileSync(path.join(__dirname, "cases.json"), "utf8"));
+
+const update = process.argv.includes("--update");
+
+async function writePng(file, width, height, pixels) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const writer = createPngWriter(file, width, height);
+  try {
+    await writer.write(pixels);
+    await writer.end();
+  } catch (err) {
+    writer.abort();
+    throw err;
+  }
+}
+
+// Compare (or with --update store) one render; resolves with a message
+// when it fails. Only a case's own render is stored; CPU renders, which
+// name the case as `golden`, are always compared.
+async function checkImage({ name, golden: caseName = name, width, height, pixels }) {
+  const golden = path.join(GOLDEN_DIR, `${caseName}.png`);
+  if (update && caseName === name) {
+    await writePng(golden, width, height, pixels);
+    return null;
+  }
+  if (!fs.existsSync(golden)) {
+    return `no golden image; run with --update to create ${path.relative(process.cwd(), golden)}`;
+  }
+
+  const { tolerance } = CASES.find((c) => c.name === caseName);
+  const result = compareImages({ width, height, data: pixels }, readPng(golden), tolerance);
+  if (result.ok) return null;
+  await writePng(path.join(OUTPUT_DIR, `${name}.actual.png`), width, height, pixels);
+  if (result.diff) await writePng(path.join(OUTPUT_DIR, `${name}.diff.png`), width, height, result.diff);
+  return result.message;
+}
+
+// Resolves with the number of failed checks, or rejects when the run
+// could not finish.
+function runGolden() {
+  let count = 0;
+  let failed = 0;
+
+  function report(name, message) {
+    count++;
+    if (message) failed++;
+    console.log(message ? `not ok ${count} - ${name}: ${message}` : `ok ${count} - ${name}`);
+  }
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    const win = new BrowserWindow({
+      show: false,
+      webPreferences: {
+        preload: path.join(__dirname, "preload.js"),
+        contextIsolation: true,
+        nodeIntegration: false,
+        backgroundThrottling: false,
+      },
+    });
+
+    function finish(error) {
+      if (settled) return;
+      settled = true;
+      if (!win.isDestroyed()) win.destroy();
+      if (error) reject(new Error(error));
+      else resolve(failed);
+    }
+
+    ipcMain.handle("golden:cases", () => CASES.map(({ name, image, params }) => ({ name, image, params })));
+    ipcMain.handle("golden:image", async (_evt, result) => {
+      try {
+        report(result.name, await checkImage(result));
+      } catch (err) {
+        report(result.name, err.message);
+      }
+    });
+    ipcMain.handle("golden:report", (_evt, { name, ok, message }) => report(name, ok ? null : message));
+    ipcMain.handle("golden:done", () => setImmediate(() => finish()));
+    ipcMain.handle("golden:fail", (_evt, { message }) => finish(message));
+
+    win.webContents.on("render-process-gone", (_evt, details) =>
+      finish(`Renderer exited: ${details.reason}`)
+    );
+    win.webContents.on("did-fail-load", (_evt, _code, desc) =>
+      finish(`Failed to load the golden-image page: ${desc}`)
+    );
+
+    win.loadFile(path.join(__dirname, "golden.html"));
+  });
+}
+
+app.whenReady().then(async () => {
+  let code = 0;
+  // Diffs from an earlier run would look like this one's.
+  fs.rmSync(OUTPUT_DIR, { recursive: true, force: true });
+  try {
+    const failed = await runGolden();
+    if (update) console.log(`Wrote golden images to ${GOLDEN_DIR}`);
+    if (failed) {
+      console.log(`${failed} failed; renders and diffs are in ${OUTPUT_DIR}`);
+      code = 1;
+    }
+  } catch (err) {
+    console.error(err.message);
+    code = 1;
+  }
+  app.exit(code);
+});
@@ -0,0 +1,87 @@
+const fs = require("fs");
+const zlib = require("zlib");
+
+// Minimal PNG reader for the golden images: 8-bit grey, grey + alpha, RGB
+// or RGBA, not interlaced, which covers what png-writer.js and image
+// editors write for them. Pixels come back as top-down RGBA bytes.
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+function readPng(file) {
+  const buf = fs.readFileSync(file);
+  if (!buf.subarray(0, 8).equals(SIGNATURE)) throw new Error(`${file} is not a PNG`);
+
+  let header = null;
+  const idat = [];
+  for (let pos = 8; pos < buf.length; ) {
+    const length = buf.readUInt32BE(pos);
+    const type = buf.toString("latin1", pos + 4, pos + 8);
+    const data = buf.subarray(pos + 8, pos + 8 + length);
+    if (type === "IHDR") {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        depth: data[8],
+        colorType: data[9],
+        interlace: data[12],
+      };
+    } else if (type === "IDAT") {
+      idat.push(data);
+    } else if (type === "IEND") {
+      break;
+    }
+    pos += 12 + length;
+  }
+  if (!header) throw new Error(`${file} has no header`);
+
+  const { width, height, depth, colorType, interlace } = header;
+  const channels = CHANNELS[colorType];
+  if (depth !== 8 || !channels || interlace) {
+    throw new Error(`${file}: only 8-bit, non-interlaced grey, RGB or RGBA PNGs are supported`);
+  }
+
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const rowBytes = width * channels;
+  const rows = Buffer.alloc(rowBytes * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (rowBytes + 1)];
+    const src = y * (rowBytes + 1) + 1;
+    const dst = y * rowBytes;
+    for (let i = 0; i < rowBytes; i++) {
+      const a = i >= channels ? rows[dst + i - channels] : 0;
+      const b = y > 0 ? rows[dst + i - rowBytes] : 0;
+      const c = y > 0 && i >= channels ? rows[dst + i - rowBytes - channels] : 0;
+      let predictor;
+      if (filter === 0) predictor = 0;
+      else if (filter === 1) predictor = a;
+      else if (filter === 2) predictor = b;
+      else if (filter === 3) predictor = (a + b) >> 1;
+      else if (filter === 4) predictor = paeth(a, b, c);
+      else throw new Error(`${file}: unknown filter ${filter}`);
+      rows[dst + i] = raw[src + i] + predictor;
+    }
+  }
+
+  const data = new Uint8Array(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const px = rows.subarray(i * channels, (i + 1) * channels);
+    const grey = channels < 3;
+    data[i * 4] = px[0];
+    data[i * 4 + 1] = grey ? px[0] : px[1];
+    data[i * 4 + 2] = grey ? px[0] : px[2];
+    data[i * 4 + 3] = channels === 2 ? px[1] : channels === 4 ? px[3] : 255;
+  }
+  return { width, height, data };
+}
+
+module.exports = { readPng };
@@ -0,0 +1,12 @@
+const { contextBridge, ipcRenderer } = require("electron");
+
+contextBridge.exposeInMainWorld("golden", {
+  cases: () => ipcRenderer.invoke("golden:cases"),
+  // { name, width, height, pixels } of a render, compared by main.js with
+  // the golden of its case, or of case `golden` when given.
+  image: (result) => ipcRenderer.invoke("golden:image", result),
+  // { name, ok, message } of a check made in the window.
+  report: (result) => ipcRenderer.invoke("golden:report", result),
+  done: () => ipcRenderer.invoke("golden:done"),
+  fail: (message) => ipcRenderer.invoke("golden:fail", { message }),
+});
@@ -0,0 +1,110 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { analyzePixels, calculateAutoSettings } from "../../renderer/analysis.js";
+import { DEFAULT_PARAMS } from "../../renderer/params.js";
+
+const SIZE = 64;
+
+// size x size RGBA bytes with grey level value(x, y).
+function image(value) {
+  const pixels = new Uint8Array(SIZE * SIZE * 4);
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) {
+      const v = value(x, y);
+      pixels.set([v, v, v, 255], (y * SIZE + x) * 4);
+    }
+  }
+  return pixels;
+}
+
+function assertClose(actual, expected, epsilon = 1e-4) {
+  for (const [key, value] of Object.entries(expected)) {
+    assert.ok(
+      Math.abs(actual[key] - value) <= epsilon,
+      `${key} is ${actual[key]}, expected ${value}`
+    );
+  }
+}
+
+test("analyzePixels: flat grey has no contrast, edges or texture", () => {
+  assertClose(analyzePixels(image(() => 128), SIZE), {
+    meanLum: 128 / 255,
+    stdLum: 0,
+    edgeDensity: 0,
+    textureComplexity: 0,
+  });
+});
+
+test("analyzePixels: black and white halves have one edge and flat blocks", () => {
+  // The central difference crosses the edge in columns 31 and 32: 2 x 62
+  // of the 62 x 62 interior pixels, scaled by 5.
+  assertClose(analyzePixels(image((x) => (x < SIZE / 2 ? 0 : 255)), SIZE), {
+    meanLum: 0.5,
+    stdLum: 0.5,
+    edgeDensity: ((2 * 62) / (62 * 62)) * 5,
+    textureComplexity: 0,
+  });
+});
+
+test("analyzePixels: a pixel checkerboard is all texture", () => {
+  // Neighbours either side are equal, so the central differences vanish;
+  // every block has variance 0.25, capped at 1 once scaled.
+  assertClose(analyzePixels(image((x, y) => ((x + y) % 2 ? 255 : 0)), SIZE), {
+    meanLum: 0.5,
+    stdLum: 0.5,
+    edgeDensity: 0,
+    textureComplexity: 1,
+  });
+});
+
+test("analyzePixels: luminance weights the channels", () => {
+  const pixels = new Uint8Array(SIZE * SIZE * 4);
+  for (let i = 0; i < SIZE * SIZE; i++) pixels.set([0, 255, 0, 255], i * 4);
+  assertClose(analyzePixels(pixels, SIZE), { meanLum: 0.7152, stdLum: 0 });
+});
+
+test("calculateAutoSettings: dark, flat images are brightened most", () => {
+  assertClose(calculateAutoSettings({ meanLum: 0.2, stdLum: 0.1, edgeDensity: 0.3, textureComplexity: 0.5 }), {
+    brightness: 1.25,
+    toon: 0.24,
+    threshold: 0.2675,
+    edges: 1,
+    hatching: 0.7875,
+    scale: DEFAULT_PARAMS.scale,
+  });
+});
+
+test("calculateAutoSettings: dark, contrasty images are brightened less", () => {
+  assertClose(calculateAutoSettings({ meanLum: 0.1, stdLum: 0.3, edgeDensity: 0.5, textureComplexity: 0.5 }), {
+    brightness: 1.04,
+    toon: 0.28,
+    threshold: 0.25,
+    edges: 1,
+    hatching: 0.75,
+  });
+});
+
+test("calculateAutoSettings: mid tones follow the texture", () => {
+  assertClose(calculateAutoSettings({ meanLum: 0.45, stdLum: 0.175, edgeDensity: 0.2, textureComplexity: 0.6 }), {
+    brightness: 0.9,
+    toon: 0.26,
+    threshold: 0.324,
+    edges: 1.075,
+    hatching: 1,
+  });
+});
+
+test("calculateAutoSettings: bright images are darkened", () => {
+  assertClose(calculateAutoSettings({ meanLum: 0.9, stdLum: 0.05, edgeDensity: 0.1, textureComplexity: 0.9 }), {
+    brightness: 0.75,
+    toon: 0.24,
+    threshold: 0.3,
+    edges: 1,
+    hatching: 1,
+  });
+});
+
+test("calculateAutoSettings: returns only the settings Auto changes", () => {
+  const auto = calculateAutoSettings({ meanLum: 0.5, stdLum: 0.2, edgeDensity: 0.5, textureComplexity: 0.5 });
+  assert.deepEqual(Object.keys(auto).sort(), ["brightness", "edges", "hatching", "scale", "threshold", "toon"]);
+});
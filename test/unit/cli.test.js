@@ -0,0 +1,25 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseArgs } = require("../../lib/cli");
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "crosshatch-test-"));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+const input = path.join(tempDir, "a.jpg");
+fs.writeFileSync(input, "");
+fs.mkdirSync(path.join(tempDir, "out"));
+
+test("parseArgs: a single image renders to a .png or into a folder", () => {
+  for (const output of ["b.png", "B.PNG", path.join(tempDir, "out"), "new/", `new${path.sep}`]) {
+    assert.equal(parseArgs(["--input", input, "--output", output]).output, output);
+  }
+});
+
+test("parseArgs: other outputs for a single image are usage errors", () => {
+  for (const output of ["out.jpg", "out.tif", "out"]) {
+    assert.throws(() => parseArgs(["--input", input, "--output", output]), { usage: true }, output);
+  }
+});
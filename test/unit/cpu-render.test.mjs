@@ -0,0 +1,160 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  renderImage,
+  renderCpu,
+  createCpuSource,
+  cropSource,
+  computeFlowField,
+  prepareHatch,
+} from "../../renderer/cpu-render.js";
+import { splitBands } from "../../renderer/cpu-workers.js";
+import { generateHatchTile } from "../../renderer/textures.js";
+import { DEFAULT_PARAMS } from "../../renderer/params.js";
+
+const hatchImages = [generateHatchTile({ size: 64 })];
+const hatch = prepareHatch(hatchImages);
+
+// w x h image with RGBA(x, y) -> [r, g, b, a].
+function image(w, h, rgba) {
+  const data = new Uint8ClampedArray(w * h * 4);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) data.set(rgba(x, y), (y * w + x) * 4);
+  }
+  return { width: w, height: h, data };
+}
+
+const flat = (w, h, v) => image(w, h, () => [v, v, v, 255]);
+
+// Shading, a disc and a gradient, so every pass has something to do.
+const scene = image(90, 70, (x, y) => {
+  const v = (x - 40) ** 2 + (y - 30) ** 2 < 400 ? 40 + y : 200 - x;
+  return [v, v * 0.8, 255 - v, 255];
+});
+
+const pixel = (result, x, y) => [...result.data.subarray((y * result.width + x) * 4, (y * result.width + x) * 4 + 4)];
+
+test("renderImage: white paper stays white", () => {
+  const result = renderImage(flat(24, 16, 255), DEFAULT_PARAMS, { hatch: hatchImages });
+  assert.equal(result.width, 24);
+  assert.equal(result.height, 16);
+  assert.ok(result.data.every((v) => v === 255));
+});
+
+test("renderImage: shadows are solid ink", () => {
+  const result = renderImage(flat(24, 16, 0), { inkColor: "#1a2a6c" }, { hatch: hatchImages });
+  for (let i = 0; i < result.data.length; i += 4) {
+    assert.deepEqual([...result.data.subarray(i, i + 4)], [0x1a, 0x2a, 0x6c, 255]);
+  }
+});
+
+test("renderImage: rows come out top-down", () => {
+  const result = renderImage(
+    image(32, 32, (x, y) => (y < 16 ? [0, 0, 0, 255] : [255, 255, 255, 255])),
+    DEFAULT_PARAMS,
+    { hatch: hatchImages }
+  );
+  assert.deepEqual(pixel(result, 16, 2), [0, 0, 0, 255]);
+  assert.deepEqual(pixel(result, 16, 29), [255, 255, 255, 255]);
+});
+
+test("renderImage: zoom scales the output", () => {
+  const result = renderImage(flat(20, 10, 128), DEFAULT_PARAMS, { hatch: hatchImages, zoom: 2.5 });
+  assert.equal(result.width, 50);
+  assert.equal(result.height, 25);
+  assert.equal(result.data.length, 50 * 25 * 4);
+});
+
+test("renderImage: transparent paper leaves highlights clear", () => {
+  const result = renderImage(flat(8, 8, 255), { paperMode: "transparent" }, { hatch: hatchImages });
+  for (let i = 3; i < result.data.length; i += 4) assert.equal(result.data[i], 0);
+});
+
+test("renderImage: masks draw their parameters where they cover", () => {
+  const coverage = image(32, 16, (x) => [0, 0, 0, x < 16 ? 255 : 0]);
+  const result = renderImage(flat(32, 16, 0), DEFAULT_PARAMS, {
+    hatch: hatchImages,
+    masks: [{ coverage, params: { inkColor: "#ff0000" } }],
+  });
+  assert.deepEqual(pixel(result, 4, 8), [255, 0, 0, 255]);
+  assert.deepEqual(pixel(result, 28, 8), [0, 0, 0, 255]);
+});
+
+test("renderImage: the same input renders the same bytes", () => {
+  const params = { lineMode: "canny", midShading: "halftone" };
+  const a = renderImage(scene, params, { hatch: hatchImages });
+  const b = renderImage(scene, params, { hatch: hatchImages });
+  assert.deepEqual(a.data, b.data);
+});
+
+test("cropSource: copies the texels and maps them onto the image", () => {
+  const source = createCpuSource(scene);
+  const part = cropSource(source, [10, 5, 30, 25]);
+  assert.equal(part.w, 20);
+  assert.equal(part.h, 20);
+  assert.deepEqual(part.rect, { x: 10, y: 5, w: 20, h: 20 });
+  assert.equal(part.imageW, 90);
+  assert.equal(part.imageH, 70);
+  for (let y = 0; y < 20; y++) {
+    const row = ((5 + y) * source.w + 10) * 4;
+    assert.deepEqual(part.data.subarray(y * 20 * 4, (y + 1) * 20 * 4), source.data.subarray(row, row + 20 * 4));
+  }
+});
+
+test("cropSource: rects are in image pixels on a downscaled source", () => {
+  const source = createCpuSource(scene, 45);
+  assert.equal(source.w, 45);
+  assert.equal(source.h, 35);
+  const part = cropSource(source, [4, 2, 14, 12]);
+  assert.deepEqual(part.rect, { x: 8, y: 4, w: 20, h: 20 });
+});
+
+// Render `params` in bands of `bandRows` as the workers do and in one
+// pass; flow fields come from the whole image either way.
+function renderBanded(params, zoom, bandRows) {
+  const source = createCpuSource(scene);
+  const p = { ...DEFAULT_PARAMS, ...params };
+  const outW = Math.round(scene.width * zoom);
+  const outH = Math.round(scene.height * zoom);
+  const view = { center: { x: scene.width / 2, y: scene.height / 2 }, zoom };
+  const flows = p.hatchSpace === "flow" ? { [p.flowRadius]: computeFlowField(source, p.flowRadius) } : {};
+  const whole = renderCpu(outW, outH, source, view, { params: p, hatch, flows });
+
+  const joined = new Uint8ClampedArray(whole.data.length);
+  const bands = splitBands(outW, outH, source, view, [p], bandRows);
+  for (const band of bands) {
+    const part = cropSource(source, band.region);
+    const strip = renderCpu(outW, band.h, part, band.view, { params: p, hatch, flows, flowSource: source });
+    joined.set(strip.data, band.top * outW * 4);
+  }
+  return { whole: whole.data, joined, bands };
+}
+
+for (const [name, params] of Object.entries({
+  default: {},
+  canny: { lineMode: "canny", lineBlur: 2 },
+  "xdog, wide lines": { lineMode: "xdog", lineWeight: 3 },
+  flow: { hatchSpace: "flow", flowRadius: 8 },
+  "cmyk halftone": { midShading: "halftone", halftoneColor: "cmyk" },
+})) {
+  test(`splitBands: ${name} in bands matches one pass`, () => {
+    for (const zoom of [1, 1.7]) {
+      const { whole, joined, bands } = renderBanded(params, zoom, 16);
+      assert.ok(bands.length > 1);
+      assert.deepEqual(joined, whole, `seams at zoom ${zoom}`);
+    }
+  });
+}
+
+test("splitBands: bands cover the rows once, from the top", () => {
+  const source = createCpuSource(scene);
+  const view = { center: { x: 45, y: 35 }, zoom: 1 };
+  const bands = splitBands(90, 70, source, view, [DEFAULT_PARAMS], 16);
+  assert.deepEqual(
+    bands.map((b) => [b.top, b.h]),
+    [[0, 16], [16, 16], [32, 16], [48, 16], [64, 6]]
+  );
+  // Output rows are top-down, view offsets bottom-up like the GPU's.
+  assert.equal(bands[0].view.outOffset.y, 54);
+  assert.equal(bands[4].view.outOffset.y, 0);
+});
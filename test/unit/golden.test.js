@@ -0,0 +1,141 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const { createPngWriter } = require("../../lib/png-writer");
+const { readPng } = require("../golden/png");
+const { compareImages } = require("../golden/compare");
+
+// The helpers the golden-image run (test/golden) compares renders with.
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "crosshatch-test-"));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+const tempFile = (name) => path.join(tempDir, name);
+
+// w x h RGBA image with a deterministic pattern.
+function pattern(w, h) {
+  const data = new Uint8Array(w * h * 4);
+  for (let i = 0; i < data.length; i++) data[i] = (i * 37 + (i >> 7) * 11) & 255;
+  return { width: w, height: h, data };
+}
+
+function chunk(type, data) {
+  const out = Buffer.alloc(12 + data.length);
+  out.writeUInt32BE(data.length, 0);
+  out.write(type, 4, "latin1");
+  data.copy(out, 8);
+  return out; // readPng does not check CRCs
+}
+
+// An RGB PNG using every filter type, row y with filter y % 5.
+function rgbPngWithAllFilters(w, h, rgb) {
+  const rowBytes = w * 3;
+  const raw = Buffer.alloc(h * (rowBytes + 1));
+  const at = (x, y) => (x < 0 || y < 0 ? 0 : rgb[y * rowBytes + x]);
+  for (let y = 0; y < h; y++) {
+    const filter = y % 5;
+    raw[y * (rowBytes + 1)] = filter;
+    for (let i = 0; i < rowBytes; i++) {
+      const a = at(i - 3, y);
+      const b = at(i, y - 1);
+      const c = at(i - 3, y - 1);
+      const p = a + b - c;
+      const paeth =
+        Math.abs(p - a) <= Math.abs(p - b) && Math.abs(p - a) <= Math.abs(p - c)
+          ? a
+          : Math.abs(p - b) <= Math.abs(p - c)
+            ? b
+            : c;
+      const predictor = [0, a, b, (a + b) >> 1, paeth][filter];
+      raw[y * (rowBytes + 1) + 1 + i] = (rgb[y * rowBytes + i] - predictor) & 255;
+    }
+  }
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(w, 0);
+  ihdr.writeUInt32BE(h, 4);
+  ihdr[8] = 8;
+  ihdr[9] = 2;
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk("IHDR", ihdr),
+    chunk("IDAT", zlib.deflateSync(raw)),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+test("readPng reads what png-writer writes", async () => {
+  const file = tempFile("round-trip.png");
+  const image = pattern(33, 17);
+  const writer = createPngWriter(file, image.width, image.height);
+  await writer.write(image.data);
+  await writer.end();
+  assert.deepEqual(readPng(file), image);
+});
+
+test("readPng undoes every filter type and fills in opaque alpha", () => {
+  const w = 9;
+  const h = 10;
+  const rgb = Buffer.alloc(w * h * 3);
+  for (let i = 0; i < rgb.length; i++) rgb[i] = (i * 53) & 255;
+  const file = tempFile("filters.png");
+  fs.writeFileSync(file, rgbPngWithAllFilters(w, h, rgb));
+
+  const { width, height, data } = readPng(file);
+  assert.equal(width, w);
+  assert.equal(height, h);
+  for (let i = 0; i < w * h; i++) {
+    assert.deepEqual([...data.subarray(i * 4, i * 4 + 4)], [...rgb.subarray(i * 3, i * 3 + 3), 255]);
+  }
+});
+
+test("compareImages accepts identical images", () => {
+  const image = pattern(64, 64);
+  const result = compareImages(image, { ...image, data: image.data.slice() });
+  assert.equal(result.ok, true);
+  assert.equal(result.differing, 0);
+});
+
+test("compareImages tolerates small and isolated differences", () => {
+  const expected = pattern(64, 64);
+  const data = expected.data.map((v) => Math.max(0, v - 3));
+  data.set([255, 255, 255, 255], 0);
+  const result = compareImages({ ...expected, data }, expected);
+  assert.equal(result.ok, true);
+  assert.equal(result.differing, 1);
+});
+
+test("compareImages fails when many pixels differ and marks them in the diff", () => {
+  const expected = pattern(64, 64);
+  const data = expected.data.slice();
+  for (let i = 0; i < 64 * 4; i += 4) data[i] ^= 0x80; // the top row's red
+  const result = compareImages({ ...expected, data }, expected);
+  assert.equal(result.ok, false);
+  assert.equal(result.differing, 64);
+  assert.match(result.message, /of pixels differ/);
+  assert.deepEqual([...result.diff.subarray(0, 4)], [255, 0, 0, 255]);
+  assert.notDeepEqual([...result.diff.subarray(64 * 4, 64 * 4 + 4)], [255, 0, 0, 255]);
+});
+
+test("compareImages fails when the tone shifts within the pixel tolerance", () => {
+  const expected = { width: 32, height: 32, data: new Uint8Array(32 * 32 * 4).fill(128) };
+  const data = expected.data.map((v, i) => (i % 4 === 3 ? v : v + 10));
+  const result = compareImages({ ...expected, data }, expected);
+  assert.equal(result.ok, false);
+  assert.equal(result.differing, 0);
+  assert.match(result.message, /tone moved/);
+});
+
+test("compareImages fails on a size mismatch", () => {
+  const result = compareImages(pattern(10, 10), pattern(10, 11));
+  assert.equal(result.ok, false);
+  assert.match(result.message, /size 10 x 10, expected 10 x 11/);
+});
+
+test("compareImages takes per-case tolerances", () => {
+  const expected = { width: 32, height: 32, data: new Uint8Array(32 * 32 * 4).fill(128) };
+  const data = expected.data.map((v, i) => (i % 4 === 3 ? v : v + 10));
+  assert.equal(compareImages({ ...expected, data }, expected, { tone: 12 }).ok, true);
+});
@@ -0,0 +1,17 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import { fileUrl } from "../../renderer/pipeline.js";
+
+test("fileUrl: names with #, ? and % point at the file", () => {
+  for (const file of ["/photos/shot #1.png", "/photos/why?.jpg", "/photos/100% crop.png", "/a#b/c.png"]) {
+    const url = fileUrl(file);
+    assert.equal(new URL(url).hash, "");
+    assert.equal(new URL(url).search, "");
+    assert.equal(fileURLToPath(url), file);
+  }
+});
+
+test("fileUrl: Windows paths keep their drive letter", () => {
+  assert.equal(fileUrl("C:\\photos\\shot #1.png"), "file:///C:/photos/shot%20%231.png");
+});
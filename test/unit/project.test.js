@@ -0,0 +1,57 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { readProject, writeProject } = require("../../lib/project");
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "crosshatch-test-"));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+const file = path.join(tempDir, "a.crosshatch");
+const view = { center: { x: 10, y: 20 }, zoom: 2 };
+
+test("readProject: restores the compare settings", () => {
+  writeProject(file, {
+    image: { path: path.join(tempDir, "a.png") },
+    params: { brightness: 0.9 },
+    view,
+    compareMode: true,
+    compareView: "ab",
+    wipeDirection: "horizontal",
+    wipeSplit: 0.25,
+    blendOpacity: 0.8,
+    compareB: { params: { brightness: 1.2 }, masks: [] },
+  });
+  const project = readProject(file);
+  assert.equal(project.compareMode, true);
+  assert.equal(project.compareView, "ab");
+  assert.equal(project.wipeDirection, "horizontal");
+  assert.equal(project.wipeSplit, 0.25);
+  assert.equal(project.blendOpacity, 0.8);
+  assert.deepEqual(project.compareB, { params: { brightness: 1.2 }, masks: [] });
+});
+
+test("readProject: missing or bad compare settings fall back to side by side", () => {
+  fs.writeFileSync(
+    file,
+    JSON.stringify({
+      format: "crosshatch-project",
+      version: 1,
+      image: {},
+      params: {},
+      view,
+      compareMode: true,
+      compareView: "overlay",
+      wipeDirection: "diagonal",
+      wipeSplit: 3,
+      blendOpacity: "half",
+    })
+  );
+  const project = readProject(file);
+  assert.equal(project.compareView, "side");
+  assert.equal(project.wipeDirection, "vertical");
+  assert.equal(project.wipeSplit, 0.5);
+  assert.equal(project.blendOpacity, 0.5);
+  assert.equal(project.compareB, null);
+});
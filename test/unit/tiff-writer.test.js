@@ -0,0 +1,46 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createTiffWriter } = require("../../lib/tiff-writer");
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "crosshatch-test-"));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+// Write a w x h TIFF of a deterministic pattern and return its bytes.
+async function writeTiff(w, h) {
+  const file = path.join(tempDir, `${w}x${h}.tif`);
+  const pixels = new Uint8Array(w * h * 4);
+  for (let i = 0; i < pixels.length; i++) pixels[i] = (i * 37) % 251;
+  const writer = createTiffWriter(file, w, h);
+  await writer.write(pixels);
+  await writer.end();
+  return fs.readFileSync(file);
+}
+
+test("createTiffWriter: the directory and its values are word-aligned", async () => {
+  let sawOddStrips = false;
+  for (const [w, h] of [[1, 1], [3, 5], [17, 9], [64, 130], [101, 67]]) {
+    const tiff = await writeTiff(w, h);
+    const ifd = tiff.readUInt32LE(4);
+    assert.equal(ifd % 2, 0, `IFD at ${ifd} for ${w} x ${h}`);
+
+    let stripEnd = 8;
+    const entries = tiff.readUInt16LE(ifd);
+    for (let i = 0; i < entries; i++) {
+      const at = ifd + 2 + i * 12;
+      const type = tiff.readUInt16LE(at + 2);
+      const count = tiff.readUInt32LE(at + 4);
+      const size = count * { 3: 2, 4: 4, 5: 8 }[type];
+      if (size > 4) assert.equal(tiff.readUInt32LE(at + 8) % 2, 0, `values of tag ${tiff.readUInt16LE(at)}`);
+      if (tiff.readUInt16LE(at) === 279) {
+        for (let k = 0; k < count; k++) {
+          stripEnd += count === 1 ? tiff.readUInt32LE(at + 8) : tiff.readUInt32LE(tiff.readUInt32LE(at + 8) + k * 4);
+        }
+      }
+    }
+    if (stripEnd % 2) sawOddStrips = true;
+  }
+  assert.ok(sawOddStrips, "no case ended its strips on an odd offset");
+});